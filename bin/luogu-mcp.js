@@ -0,0 +1,47 @@
+#!/usr/bin/env node
+/**
+ * 本地运行洛谷 MCP 服务器
+ *   luogu-mcp                          以 stdio 方式运行（供 MCP 客户端以子进程启动）
+ *   luogu-mcp --http [--port 8787] [--host 127.0.0.1] [--sessions]
+ *                                      以 HTTP 方式运行，提供 /mcp、REST API 和前端页面；
+ *                                      --sessions 开启有状态会话（等同于 MCP_SESSION_MODE=memory）
+ * 配置与 Worker 相同，从环境变量读取（如 CACHE_TTL_PROBLEM、FETCH_TIMEOUT_MS）。
+ */
+
+import { parseArgs } from 'node:util';
+import { startStdioServer, startHttpServer } from '../src/node.js';
+
+const USAGE = `用法:
+  luogu-mcp                                   以 stdio 方式运行 MCP 服务器
+  luogu-mcp --http [--port <端口>] [--host <地址>]  以 HTTP 方式运行（默认 127.0.0.1:8787）
+            [--sessions]                      HTTP 方式下开启有状态会话（SSE 推送、断线恢复）
+  luogu-mcp --help                            显示帮助`;
+
+let args;
+try {
+  ({ values: args } = parseArgs({
+    options: {
+      http: { type: 'boolean', default: false },
+      port: { type: 'string' },
+      host: { type: 'string' },
+      sessions: { type: 'boolean', default: false },
+      help: { type: 'boolean', short: 'h', default: false },
+    },
+  }));
+} catch (err) {
+  console.error(`${err.message}\n\n${USAGE}`);
+  process.exit(2);
+}
+
+if (args.help) {
+  console.log(USAGE);
+} else if (args.http) {
+  const env = args.sessions ? { ...process.env, MCP_SESSION_MODE: 'memory' } : process.env;
+  const server = await startHttpServer({ port: args.port, host: args.host, env });
+  const { address, port } = server.address();
+  console.error(`Luogu MCP Server 已启动: http://${address}:${port}/mcp`);
+} else {
+  // stdout 留给 MCP 消息，提示信息写到 stderr
+  await startStdioServer();
+  console.error('Luogu MCP Server 已通过 stdio 启动');
+}
@@ -0,0 +1,203 @@
+/**
+ * 认证（可选）
+ * 设置 env.API_KEYS（建议用 wrangler secret put API_KEYS）后，/mcp 和 /api/* 要求在请求头中提供
+ * Authorization: Bearer <API 密钥>；未设置时不做认证。
+ * API_KEYS 的格式：
+ *   - JSON 对象：{ "<密钥>": ["read"] }，或 { "<密钥>": { "name": "alice", "scopes": "read" } }
+ *   - 逗号或换行分隔的密钥列表：key1,key2（权限为 read）
+ * 权限范围（scope）：
+ *   - read：只读工具和 REST API（目前的全部工具）
+ * 权限范围为空的密钥可以通过认证，但不能调用任何工具或 REST API（例如临时停用某个密钥）。
+ * 目前没有以洛谷账号身份执行操作的工具，增加此类工具时在 AUTH_SCOPES 中加入新的权限范围，
+ * 并在注册工具时通过 toolHandler 的 scope 选项要求该权限。
+ * 未认证的请求返回 401 和 WWW-Authenticate，其中的 resource_metadata 指向
+ * /.well-known/oauth-protected-resource（RFC 9728，MCP 授权规范使用的受保护资源元数据）。
+ */
+
+import { UnauthorizedError, InsufficientScopeError, ConfigurationError } from './errors.js';
+
+const AUTH_SCOPES = ['read'];
+const DEFAULT_SCOPES = ['read'];
+
+/** WWW-Authenticate 中的 realm */
+const AUTH_REALM = 'luogu-mcp';
+
+const PROTECTED_RESOURCE_METADATA_PATH = '/.well-known/oauth-protected-resource';
+
+/** 上次解析的 API_KEYS，配置不变时复用 */
+let parsedKeys = { source: null, keys: null };
+
+/**
+ * 计算字符串的 SHA-256（十六进制）
+ * @param {string} text
+ * @returns {Promise<string>}
+ */
+async function sha256Hex(text) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * 规范化权限范围：数组或空格分隔的字符串，忽略未知的权限
+ * @param {string[]|string|undefined} scopes
+ * @returns {string[]}
+ */
+function normalizeScopes(scopes) {
+  if (scopes === undefined || scopes === null) return DEFAULT_SCOPES;
+  const list = Array.isArray(scopes) ? scopes : String(scopes).split(/[\s,]+/);
+  return AUTH_SCOPES.filter(scope => list.includes(scope));
+}
+
+/**
+ * 解析 API_KEYS
+ * 按密钥的 SHA-256 保存，查找时比较哈希值而不是密钥本身。
+ * @param {string} source - env.API_KEYS
+ * @returns {Promise<Map<string, { name: string, scopes: string[] }>>} 哈希 → 密钥信息
+ * @throws {ConfigurationError} API_KEYS 以 { 开头但不是合法的 JSON 对象
+ */
+async function parseApiKeys(source) {
+  const text = String(source ?? '').trim();
+  let entries;
+  if (text.startsWith('{')) {
+    try {
+      entries = Object.entries(JSON.parse(text));
+    } catch (err) {
+      throw new ConfigurationError({ key: 'apiKeysInvalid' }, { cause: err });
+    }
+  } else {
+    entries = text.split(/[\n,]+/).map(key => [key.trim(), DEFAULT_SCOPES]);
+  }
+
+  const keys = new Map();
+  for (const [key, value] of entries) {
+    if (!key) continue;
+    const hash = await sha256Hex(key);
+    const options = Array.isArray(value) || typeof value === 'string' ? { scopes: value } : value ?? {};
+    keys.set(hash, {
+      // 没有指定名称时用哈希前缀标识，避免在日志和限流键中出现密钥本身
+      name: options.name ? String(options.name) : `key-${hash.slice(0, 8)}`,
+      scopes: normalizeScopes(options.scopes),
+    });
+  }
+  return keys;
+}
+
+/**
+ * 是否开启了认证
+ * @param {object} [env] - Worker 环境变量
+ * @returns {boolean}
+ */
+function isAuthEnabled(env = {}) {
+  return Boolean(String(env.API_KEYS ?? '').trim());
+}
+
+/**
+ * 读取并缓存 API 密钥配置
+ * @param {object} env - Worker 环境变量
+ * @returns {Promise<Map<string, { name: string, scopes: string[] }>>}
+ */
+async function getApiKeys(env) {
+  if (parsedKeys.source !== env.API_KEYS) {
+    parsedKeys = { source: env.API_KEYS, keys: await parseApiKeys(env.API_KEYS) };
+  }
+  return parsedKeys.keys;
+}
+
+/**
+ * 校验请求中的 Bearer 令牌
+ * @param {Request} request
+ * @param {object} env - Worker 环境变量
+ * @param {object} [options]
+ * @param {string} [options.scope='read'] - 所需的权限范围
+ * @returns {Promise<{ token: string, clientId: string, scopes: string[] }>} MCP SDK 的 AuthInfo
+ * @throws {UnauthorizedError} 缺少令牌或令牌无效
+ * @throws {InsufficientScopeError} 令牌没有所需的权限范围
+ * @throws {ConfigurationError} API_KEYS 配置不合法
+ */
+async function authenticateRequest(request, env, { scope = 'read' } = {}) {
+  const header = request.headers.get('Authorization') ?? '';
+  const match = header.match(/^Bearer\s+(\S+)\s*$/i);
+  if (!match) {
+    throw new UnauthorizedError({ key: 'apiKeyRequired' });
+  }
+
+  const key = (await getApiKeys(env)).get(await sha256Hex(match[1]));
+  if (!key) {
+    const error = new UnauthorizedError({ key: 'apiKeyInvalid' });
+    error.authError = 'invalid_token';
+    throw error;
+  }
+
+  const authInfo = { token: match[1], clientId: key.name, scopes: key.scopes };
+  requireScope(authInfo, scope);
+  return authInfo;
+}
+
+/**
+ * 检查已认证的请求是否有所需的权限范围；未开启认证（authInfo 为空）时不检查
+ * @param {{ scopes: string[] }|undefined} authInfo
+ * @param {string} scope
+ * @throws {InsufficientScopeError}
+ */
+function requireScope(authInfo, scope) {
+  if (!authInfo || authInfo.scopes.includes(scope)) return;
+  const error = new InsufficientScopeError({ key: 'apiKeyMissingScope', params: { scope } });
+  error.authError = 'insufficient_scope';
+  error.scope = scope;
+  throw error;
+}
+
+// ---------------------------------------------------------------------------
+// 响应
+// ---------------------------------------------------------------------------
+
+/**
+ * 受保护资源元数据的地址
+ * @param {URL} url - 当前请求的 URL
+ * @returns {string}
+ */
+function protectedResourceMetadataUrl(url) {
+  return `${url.origin}${PROTECTED_RESOURCE_METADATA_PATH}`;
+}
+
+/**
+ * 认证失败时的 WWW-Authenticate 响应头
+ * @param {UnauthorizedError|InsufficientScopeError} error
+ * @param {URL} url - 当前请求的 URL
+ * @returns {string}
+ */
+function wwwAuthenticate(error, url) {
+  const params = [`realm="${AUTH_REALM}"`, `resource_metadata="${protectedResourceMetadataUrl(url)}"`];
+  if (error.authError) params.push(`error="${error.authError}"`);
+  if (error.scope) params.push(`scope="${error.scope}"`);
+  return `Bearer ${params.join(', ')}`;
+}
+
+/**
+ * 受保护资源元数据（RFC 9728）
+ * @param {URL} url - 当前请求的 URL
+ * @param {object} [env] - Worker 环境变量，OAUTH_AUTHORIZATION_SERVERS 为逗号分隔的授权服务器地址
+ * @returns {object}
+ */
+function protectedResourceMetadata(url, env = {}) {
+  const metadata = {
+    resource: `${url.origin}/mcp`,
+    resource_name: 'Luogu MCP Server',
+    bearer_methods_supported: ['header'],
+    scopes_supported: AUTH_SCOPES,
+  };
+  const servers = String(env.OAUTH_AUTHORIZATION_SERVERS ?? '').split(',').map(s => s.trim()).filter(Boolean);
+  if (servers.length) metadata.authorization_servers = servers;
+  return metadata;
+}
+
+export {
+  AUTH_SCOPES,
+  PROTECTED_RESOURCE_METADATA_PATH,
+  isAuthEnabled,
+  parseApiKeys,
+  authenticateRequest,
+  requireScope,
+  wwwAuthenticate,
+  protectedResourceMetadata,
+};
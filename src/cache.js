@@ -0,0 +1,284 @@
+/**
+ * 缓存层
+ * 对题目（fetchProblemPage + parseProblemHtml）、搜索结果、题解、用户信息、比赛、题单等做缓存，避免重复请求洛谷。
+ * 存储后端可插拔：
+ *   - KV 绑定（env.PROBLEM_CACHE）
+ *   - Workers Cache API（caches.default）
+ *   - 内存（测试 / 本地开发）
+ * 通过 env.CACHE_STORE 显式指定：'kv' | 'cache-api' | 'memory' | 'none'。
+ */
+
+import { fetchProblemPage } from './fetcher.js';
+import { parseProblemHtml, renderProblem } from './parser.js';
+import { extractProblemId } from './utils.js';
+import { getTagCatalog } from './tags.js';
+
+/** 各类数据的默认缓存时间（秒），可通过 env.CACHE_TTL_<KIND> 覆盖 */
+const DEFAULT_TTLS = {
+  problem: 3600,
+  search: 600,
+  solutions: 1800,
+  user: 600,
+  contest: 600,
+  scoreboard: 60,
+  training: 1800,
+  tags: 604800,
+};
+
+/** Cache API 需要一个合法的 URL 作为缓存键 */
+const CACHE_API_ORIGIN = 'https://luogu-mcp.cache';
+
+/** KV 的 expirationTtl 最小值为 60 秒 */
+const KV_MIN_TTL = 60;
+
+/** 题目缓存键的版本号，缓存内容的结构变化时递增，避免读到旧格式的数据 */
+const PROBLEM_CACHE_VERSION = 6;
+
+/** 最近获取题目列表的最大长度 */
+const RECENT_PROBLEMS_LIMIT = 50;
+
+// ---------------------------------------------------------------------------
+// 存储后端
+// ---------------------------------------------------------------------------
+
+/**
+ * 内存存储，按条目记录过期时间。
+ * 仅在当前 isolate 内有效，主要用于测试和本地开发。
+ */
+class MemoryCacheStore {
+  constructor(maxEntries = 500) {
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+    return entry.value;
+  }
+
+  async put(key, value, ttl) {
+    // Map 保持插入顺序，超出容量时淘汰最早写入的条目
+    this.entries.delete(key);
+    if (this.entries.size >= this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+    this.entries.set(key, { value, expiresAt: Date.now() + ttl * 1000 });
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+}
+
+/**
+ * KV 存储，值以 JSON 形式保存。
+ */
+class KvCacheStore {
+  constructor(namespace) {
+    this.namespace = namespace;
+  }
+
+  async get(key) {
+    return this.namespace.get(key, 'json');
+  }
+
+  async put(key, value, ttl) {
+    await this.namespace.put(key, JSON.stringify(value), { expirationTtl: Math.max(KV_MIN_TTL, ttl) });
+  }
+
+  async delete(key) {
+    await this.namespace.delete(key);
+  }
+}
+
+/**
+ * Workers Cache API 存储（数据中心本地缓存）。
+ */
+class CacheApiStore {
+  constructor(cache) {
+    this.cache = cache;
+  }
+
+  toRequest(key) {
+    return new Request(`${CACHE_API_ORIGIN}/${encodeURIComponent(key)}`);
+  }
+
+  async get(key) {
+    const response = await this.cache.match(this.toRequest(key));
+    return response ? response.json() : null;
+  }
+
+  async put(key, value, ttl) {
+    const response = new Response(JSON.stringify(value), {
+      headers: { 'Content-Type': 'application/json', 'Cache-Control': `max-age=${ttl}` },
+    });
+    await this.cache.put(this.toRequest(key), response);
+  }
+
+  async delete(key) {
+    await this.cache.delete(this.toRequest(key));
+  }
+}
+
+/** 模块级内存存储，在同一 isolate 的多次请求之间共享 */
+const memoryStore = new MemoryCacheStore();
+
+/**
+ * 根据 env 选择缓存存储后端。
+ * @param {object} [env] - Worker 环境变量 / 绑定
+ * @returns {MemoryCacheStore|KvCacheStore|CacheApiStore|null} 为 null 表示禁用缓存
+ */
+function createCacheStore(env = {}) {
+  const kind = env.CACHE_STORE;
+
+  if (kind === 'none') return null;
+  if (kind === 'memory') return memoryStore;
+  if (kind === 'kv' || (!kind && env.PROBLEM_CACHE)) {
+    if (!env.PROBLEM_CACHE) throw new Error('CACHE_STORE=kv 需要配置 PROBLEM_CACHE KV 绑定');
+    return new KvCacheStore(env.PROBLEM_CACHE);
+  }
+  if (typeof caches !== 'undefined' && caches.default) {
+    return new CacheApiStore(caches.default);
+  }
+  return memoryStore;
+}
+
+/**
+ * 获取某类数据的缓存时间（秒）。
+ * @param {object} [env] - Worker 环境变量
+ * @param {string} kind - 数据类别，如 'problem'
+ * @returns {number}
+ */
+function getCacheTtl(env = {}, kind) {
+  const override = Number(env[`CACHE_TTL_${kind.toUpperCase()}`] ?? env.CACHE_TTL);
+  return Number.isFinite(override) && override > 0 ? override : DEFAULT_TTLS[kind];
+}
+
+// ---------------------------------------------------------------------------
+// 缓存读写
+// ---------------------------------------------------------------------------
+
+/** 缓存键 → 正在进行的加载，仅在当前 isolate 内有效 */
+const inFlightLoads = new Map();
+
+/**
+ * 合并同一缓存键的并发加载：加载完成前到达的调用共用同一个 Promise，
+ * 完成（无论成功或失败）后移除，之后的调用重新走缓存。
+ * @param {string} key - 缓存键
+ * @param {() => Promise<any>} load
+ * @returns {Promise<any>}
+ */
+function coalesce(key, load) {
+  let pending = inFlightLoads.get(key);
+  if (!pending) {
+    pending = load().finally(() => inFlightLoads.delete(key));
+    inFlightLoads.set(key, pending);
+  }
+  return pending;
+}
+
+/**
+ * 先查缓存，未命中时调用 loader 并写回缓存。
+ * 缓存读写失败不影响主流程，只会退化为直接请求。
+ * 同一缓存键的并发未命中只调用一次 loader、写一次缓存（例如一个班的学生同时打开同一道题）。
+ * @param {object|null} store - 缓存存储，为 null 时直接调用 loader
+ * @param {string} key - 缓存键
+ * @param {number} ttl - 缓存时间（秒）
+ * @param {() => Promise<any>} loader - 未命中时的加载函数
+ * @param {object} [options]
+ * @param {boolean} [options.bypass] - 为 true 时跳过读缓存，但仍会刷新缓存
+ * @returns {Promise<{ value: any, status: 'HIT'|'MISS'|'BYPASS' }>}
+ */
+async function cached(store, key, ttl, loader, { bypass = false } = {}) {
+  if (!store) {
+    return { value: await coalesce(key, loader), status: 'BYPASS' };
+  }
+
+  if (!bypass) {
+    const hit = await store.get(key).catch(() => null);
+    if (hit !== null && hit !== undefined) {
+      return { value: hit, status: 'HIT' };
+    }
+  }
+
+  const value = await coalesce(key, async () => {
+    const loaded = await loader();
+    await store.put(key, loaded, ttl).catch(() => {});
+    return loaded;
+  });
+  return { value, status: bypass ? 'BYPASS' : 'MISS' };
+}
+
+/**
+ * 获取并解析题目页面，结果经过缓存。
+ * 缓存中保存所有语言的题面 Markdown 原文，读取后再按 locale 和 format 转换，同一份缓存可服务所有语言和格式。
+ * @param {string} url - 洛谷题目URL
+ * @param {object} [options]
+ * @param {object} [options.env] - Worker 环境变量 / 绑定
+ * @param {boolean} [options.bypassCache] - 跳过缓存读取
+ * @param {string} [options.format] - 题面格式：'markdown' | 'raw' | 'text' | 'html'
+ * @param {string} [options.locale] - 题面语言，如 en、zh-CN
+ * @returns {Promise<{ problem: object, cacheStatus: string, ttl: number }>}
+ */
+async function getCachedProblem(url, { env, bypassCache = false, format, locale } = {}) {
+  const ttl = getCacheTtl(env, 'problem');
+  const { value, status } = await cached(
+    createCacheStore(env),
+    `problem:v${PROBLEM_CACHE_VERSION}:${url}`,
+    ttl,
+    async () => parseProblemHtml(await fetchProblemPage(url, { env }), { tagCatalog: await getTagCatalog(env) }),
+    { bypass: bypassCache },
+  );
+  rememberRecentProblem(extractProblemId(url), value.title);
+  return { problem: renderProblem(value, { format, locale }), cacheStatus: status, ttl };
+}
+
+// ---------------------------------------------------------------------------
+// 最近获取的题目（供 MCP resources/list 使用）
+// ---------------------------------------------------------------------------
+
+/** 题号 → 标题，按最近获取时间排序；仅在当前 isolate 内有效 */
+const recentProblems = new Map();
+
+/**
+ * 记录一道最近获取的题目
+ * @param {string|null} id - 题号
+ * @param {string} title - 题目标题
+ */
+function rememberRecentProblem(id, title) {
+  if (!id) return;
+  recentProblems.delete(id);
+  recentProblems.set(id, title);
+  if (recentProblems.size > RECENT_PROBLEMS_LIMIT) {
+    recentProblems.delete(recentProblems.keys().next().value);
+  }
+}
+
+/**
+ * 列出最近获取的题目，最新的在前
+ * @returns {Array<{ id: string, title: string }>}
+ */
+function listRecentProblems() {
+  return [...recentProblems].reverse().map(([id, title]) => ({ id, title }));
+}
+
+export {
+  MemoryCacheStore,
+  KvCacheStore,
+  CacheApiStore,
+  createCacheStore,
+  getCacheTtl,
+  cached,
+  getCachedProblem,
+  listRecentProblems,
+  memoryStore,
+};
@@ -0,0 +1,462 @@
+/**
+ * 题面内容处理
+ * 洛谷题面以 Markdown 存储，包含 $...$ 数学公式、表格、列表和代码块。
+ * 支持以下输出格式：
+ *   - raw：洛谷存储的 Markdown 原文
+ *   - markdown：规范化后的 Markdown（统一换行、去除行尾空白和多余空行，保留公式、表格和代码块）
+ *   - text：纯文本（去掉 Markdown 标记，公式只保留内容）
+ *   - html：经过转义的安全 HTML（原文中的 HTML 一律转义，只输出本模块生成的标签）
+ */
+
+import { InvalidParameterError } from './errors.js';
+
+/** 支持的内容格式，第一个为默认格式 */
+const CONTENT_FORMATS = ['markdown', 'raw', 'text', 'html'];
+
+const DEFAULT_CONTENT_FORMAT = CONTENT_FORMATS[0];
+
+const FENCE_RE = /^\s*(`{3,}|~{3,})\s*([\w+#-]*)\s*$/;
+const HEADING_RE = /^(#{1,6})\s+(.*?)\s*#*\s*$/;
+const LIST_ITEM_RE = /^(\s*)([-*+]|\d+[.)])\s+(.*)$/;
+const TABLE_SEPARATOR_RE = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+const HR_RE = /^\s*([-*_])(\s*\1){2,}\s*$/;
+const MATH_BLOCK_RE = /^\s*\$\$/;
+
+/**
+ * 校验内容格式
+ * @param {string} [format] - 格式名称，为空时返回默认格式
+ * @returns {string} 合法的格式名称
+ * @throws {Error} 不支持的格式
+ */
+function resolveContentFormat(format) {
+  if (format === undefined || format === null || format === '') return DEFAULT_CONTENT_FORMAT;
+  const name = String(format).toLowerCase();
+  if (!CONTENT_FORMATS.includes(name)) {
+    throw new InvalidParameterError({ key: 'unsupportedFormat', params: { format, options: CONTENT_FORMATS } });
+  }
+  return name;
+}
+
+/**
+ * 将 Markdown 原文转换为指定格式
+ * @param {string} source - 洛谷存储的 Markdown 原文
+ * @param {string} [format='markdown'] - 输出格式
+ * @returns {string}
+ */
+function renderContent(source, format = DEFAULT_CONTENT_FORMAT) {
+  if (!source) return '';
+  switch (resolveContentFormat(format)) {
+    case 'raw':
+      return source.trim();
+    case 'text':
+      return markdownToText(source);
+    case 'html':
+      return markdownToHtml(source);
+    default:
+      return normalizeMarkdown(source);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// 图片
+// ---------------------------------------------------------------------------
+
+/** 相对地址的图片以洛谷主站为基准解析 */
+const IMAGE_BASE_URL = 'https://www.luogu.com.cn/';
+
+/**
+ * 提取 Markdown 中的图片引用，包括 ![alt](url) 和内嵌的 <img src="...">。
+ * 代码块中的内容不会被当作图片。
+ * @param {string} source - Markdown 原文
+ * @returns {Array<{ alt: string, url: string }>} 按出现顺序去重后的图片列表，只保留 http(s) 地址
+ */
+function extractImages(source) {
+  if (!source) return [];
+  const text = source.replace(/(`{3,}|~{3,})[\s\S]*?(\1|$)/g, '').replace(/`[^`\n]*`/g, '');
+  const found = [];
+  const pattern = /!\[([^\]]*)\]\(\s*<?([^)\s>]+)>?(?:\s+["'][^)]*["'])?\s*\)|<img\b[^>]*?\bsrc\s*=\s*["']?([^"'\s>]+)[^>]*>/gi;
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    const alt = match[1] ?? match[0].match(/\balt\s*=\s*["']([^"']*)["']/i)?.[1] ?? '';
+    let url;
+    try {
+      url = new URL(match[2] ?? match[3], IMAGE_BASE_URL).href;
+    } catch (error) {
+      continue;
+    }
+    if (!/^https?:/i.test(url) || found.some(image => image.url === url)) continue;
+    found.push({ alt: alt.trim(), url });
+  }
+
+  return found;
+}
+
+/**
+ * 根据图片地址的扩展名推断 MIME 类型
+ * @param {string} url - 图片地址
+ * @returns {string|undefined} 无法识别时返回 undefined
+ */
+function guessImageMimeType(url) {
+  const ext = new URL(url).pathname.split('.').pop().toLowerCase();
+  return {
+    png: 'image/png',
+    jpg: 'image/jpeg',
+    jpeg: 'image/jpeg',
+    gif: 'image/gif',
+    webp: 'image/webp',
+    svg: 'image/svg+xml',
+    bmp: 'image/bmp',
+  }[ext];
+}
+
+// ---------------------------------------------------------------------------
+// 规范化 Markdown
+// ---------------------------------------------------------------------------
+
+/**
+ * 规范化 Markdown：统一换行符，去掉行尾空白、HTML 注释和多余空行，<br> 转为换行。
+ * 代码块内部保持原样。
+ * @param {string} source - Markdown 原文
+ * @returns {string}
+ */
+function normalizeMarkdown(source) {
+  const lines = source.replace(/\r\n?/g, '\n').replace(/<!--[\s\S]*?-->/g, '').split('\n');
+  const out = [];
+  let fence = null;
+
+  for (const line of lines) {
+    const fenceMatch = line.match(FENCE_RE);
+    if (fence) {
+      out.push(line);
+      if (fenceMatch && fenceMatch[1].startsWith(fence) && !fenceMatch[2]) fence = null;
+      continue;
+    }
+    if (fenceMatch) {
+      fence = fenceMatch[1];
+      out.push(line.trimEnd());
+      continue;
+    }
+    out.push(...line.replace(/<br\s*\/?>/gi, '\n').split('\n').map(l => l.trimEnd()));
+  }
+
+  return out.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+// ---------------------------------------------------------------------------
+// 块级解析
+// ---------------------------------------------------------------------------
+
+/**
+ * 将 Markdown 拆分为块：code、math、heading、table、quote、list、hr、paragraph
+ * @param {string} source - Markdown 原文
+ * @returns {object[]} 块列表
+ */
+function parseBlocks(source) {
+  const lines = normalizeMarkdown(source).split('\n');
+  const blocks = [];
+  let i = 0;
+
+  const isBlockStart = line =>
+    FENCE_RE.test(line) || HEADING_RE.test(line) || LIST_ITEM_RE.test(line) || MATH_BLOCK_RE.test(line) ||
+    HR_RE.test(line) || /^\s*>/.test(line);
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (!line.trim()) {
+      i++;
+      continue;
+    }
+
+    const fenceMatch = line.match(FENCE_RE);
+    if (fenceMatch) {
+      const body = [];
+      i++;
+      while (i < lines.length && !(lines[i].trim().startsWith(fenceMatch[1]) && FENCE_RE.test(lines[i]))) {
+        body.push(lines[i++]);
+      }
+      i++;
+      blocks.push({ type: 'code', lang: fenceMatch[2], text: body.join('\n') });
+      continue;
+    }
+
+    if (MATH_BLOCK_RE.test(line)) {
+      // $$ 公式 $$ 可以写在一行，也可以跨多行
+      const rest = line.trim().slice(2);
+      if (rest.endsWith('$$')) {
+        blocks.push({ type: 'math', text: rest.slice(0, -2).trim() });
+        i++;
+        continue;
+      }
+      const body = rest ? [rest] : [];
+      i++;
+      while (i < lines.length && !lines[i].trim().endsWith('$$')) {
+        body.push(lines[i++]);
+      }
+      if (i < lines.length) {
+        const last = lines[i++].trim().slice(0, -2);
+        if (last) body.push(last);
+      }
+      blocks.push({ type: 'math', text: body.join('\n').trim() });
+      continue;
+    }
+
+    const headingMatch = line.match(HEADING_RE);
+    if (headingMatch) {
+      blocks.push({ type: 'heading', level: headingMatch[1].length, text: headingMatch[2] });
+      i++;
+      continue;
+    }
+
+    if (line.includes('|') && i + 1 < lines.length && TABLE_SEPARATOR_RE.test(lines[i + 1])) {
+      const rows = [splitTableRow(line)];
+      i += 2;
+      while (i < lines.length && lines[i].includes('|') && lines[i].trim()) {
+        rows.push(splitTableRow(lines[i++]));
+      }
+      blocks.push({ type: 'table', header: rows[0], rows: rows.slice(1) });
+      continue;
+    }
+
+    if (HR_RE.test(line)) {
+      blocks.push({ type: 'hr' });
+      i++;
+      continue;
+    }
+
+    if (/^\s*>/.test(line)) {
+      const body = [];
+      while (i < lines.length && /^\s*>/.test(lines[i])) {
+        body.push(lines[i++].replace(/^\s*>\s?/, ''));
+      }
+      blocks.push({ type: 'quote', blocks: parseBlocks(body.join('\n')) });
+      continue;
+    }
+
+    const listMatch = line.match(LIST_ITEM_RE);
+    if (listMatch) {
+      const ordered = /\d/.test(listMatch[2]);
+      const items = [];
+      while (i < lines.length) {
+        const itemMatch = lines[i].match(LIST_ITEM_RE);
+        if (itemMatch) {
+          items.push(itemMatch[3]);
+        } else if (lines[i].trim() && /^\s+/.test(lines[i]) && items.length) {
+          // 缩进的续行属于上一项
+          items[items.length - 1] += `\n${lines[i].trim()}`;
+        } else {
+          break;
+        }
+        i++;
+      }
+      blocks.push({ type: 'list', ordered, start: ordered ? parseInt(listMatch[2], 10) : 1, items });
+      continue;
+    }
+
+    const body = [];
+    while (i < lines.length && lines[i].trim() && !isBlockStart(lines[i]) &&
+      !(lines[i].includes('|') && i + 1 < lines.length && TABLE_SEPARATOR_RE.test(lines[i + 1]))) {
+      body.push(lines[i++].trim());
+    }
+    blocks.push({ type: 'paragraph', text: body.join('\n') });
+  }
+
+  return blocks;
+}
+
+function splitTableRow(line) {
+  return line.trim().replace(/^\|/, '').replace(/\|$/, '').split(/(?<!\\)\|/).map(cell => cell.trim());
+}
+
+// ---------------------------------------------------------------------------
+// 行内解析
+// ---------------------------------------------------------------------------
+
+/**
+ * 将行内代码和数学公式替换为占位符，避免其中的 * _ [ 等字符被当作 Markdown 标记
+ * @param {string} text - 行内文本
+ * @returns {{ text: string, tokens: Array<{ type: string, value: string }> }}
+ */
+function protectInline(text) {
+  const tokens = [];
+  const protectedText = text.replace(/(`+)([\s\S]*?[^`])\1(?!`)|\$\$([\s\S]+?)\$\$|\$((?:\\\$|[^$\n])+?)\$/g, (match, ticks, code, display, inline) => {
+    if (ticks) return stashInline(tokens, { type: 'code', value: code.trim() });
+    return stashInline(tokens, { type: 'math', value: display ?? inline, display: display !== undefined });
+  });
+  return { text: protectedText, tokens };
+}
+
+/**
+ * 保存一段已处理好的内容，返回占位符（链接地址、图片等，避免后续的强调等替换改动其中的 * _）
+ * @param {Array<object>} tokens - protectInline 返回的 tokens
+ * @param {{ type: string, value: string }} token
+ * @returns {string} 占位符
+ */
+function stashInline(tokens, token) {
+  tokens.push(token);
+  return `\u0000${tokens.length - 1}\u0000`;
+}
+
+function restoreInline(text, tokens, render) {
+  return text.replace(/\u0000(\d+)\u0000/g, (_, index) => {
+    const token = tokens[Number(index)];
+    return token.type === 'literal' ? token.value : render(token);
+  });
+}
+
+/**
+ * 链接 / 图片：[文字](地址 "标题")。地址中允许一层配对的括号，如 javascript:alert(1)、Tree_(graph_theory)，
+ * 避免在第一个 ) 处截断后把剩余部分留在正文中。
+ * @param {object} [options]
+ * @param {boolean} [options.image=false] - 是否匹配图片（![alt](src)）
+ * @param {string} [options.quote='"'] - 标题的引号，HTML 转义后为 &quot;
+ * @returns {RegExp} 第 1 组为文字，第 2 组为地址
+ */
+function linkPattern({ image = false, quote = '"' } = {}) {
+  const label = image ? String.raw`!\[([^\]]*)\]` : String.raw`\[([^\]]+)\]`;
+  return new RegExp(String.raw`${label}\(((?:[^()\s]|\([^()\s]*\))*)(?:\s+${quote}.*?${quote})?\)`, 'g');
+}
+
+/**
+ * 去掉或替换强调标记。_ 与 CommonMark 一致，只在单词边界处表示强调，
+ * 标识符和下标中的 _（如 a_i、image_hosting）保持原样；* 两侧紧挨英文字母或数字时也不算强调，
+ * 避免 2*3*4 这样的算式被当成强调（中文正文中的 **重点** 不受影响）。
+ * 代码和公式已由 protectInline 替换为占位符，不会被改动。
+ * @param {string} text
+ * @param {(content: string, strong: boolean) => string} render
+ * @returns {string}
+ */
+function replaceEmphasis(text, render) {
+  return text
+    .replace(/(?<![A-Za-z0-9\\])\*\*(?=\S)(.+?)(?<=[^\s\\])\*\*(?![A-Za-z0-9])|(?<![\p{L}\p{N}_\\])__(?=\S)(.+?)(?<=[^\s\\])__(?![\p{L}\p{N}_])/gu, (_, star, underscore) => render(star ?? underscore, true))
+    .replace(/(?<![A-Za-z0-9\\])\*(?=\S)(.+?)(?<=[^\s\\])\*(?![A-Za-z0-9])|(?<![\p{L}\p{N}_\\])_(?=\S)(.+?)(?<=[^\s\\])_(?![\p{L}\p{N}_])/gu, (_, star, underscore) => render(star ?? underscore, false));
+}
+
+// ---------------------------------------------------------------------------
+// 纯文本
+// ---------------------------------------------------------------------------
+
+function inlineToText(source) {
+  const { text, tokens } = protectInline(source);
+  const stripped = text
+    .replace(/<[A-Za-z/!][^>]*>?/g, '')
+    .replace(linkPattern({ image: true }), (_, alt) => stashInline(tokens, { type: 'literal', value: alt ? `[图片: ${alt}]` : '[图片]' }))
+    .replace(linkPattern(), '$1');
+  const plain = replaceEmphasis(stripped, content => content)
+    .replace(/~~(.+?)~~/g, '$1')
+    .replace(/\\([\\`*_{}[\]()#+\-.!|$])/g, '$1');
+  return restoreInline(plain, tokens, token => token.value);
+}
+
+/**
+ * 将 Markdown 转换为纯文本
+ * @param {string} source - Markdown 原文
+ * @returns {string}
+ */
+function markdownToText(source) {
+  const render = blocks => blocks.map(block => {
+    switch (block.type) {
+      case 'code':
+      case 'math':
+        return block.text;
+      case 'heading':
+      case 'paragraph':
+        return inlineToText(block.text);
+      case 'table':
+        return [block.header, ...block.rows].map(row => row.map(inlineToText).join('\t')).join('\n');
+      case 'quote':
+        return render(block.blocks);
+      case 'list':
+        return block.items.map((item, i) => `${block.ordered ? `${block.start + i}.` : '-'} ${inlineToText(item)}`).join('\n');
+      default:
+        return '';
+    }
+  }).filter(Boolean).join('\n\n');
+
+  return render(parseBlocks(source));
+}
+
+// ---------------------------------------------------------------------------
+// 安全 HTML
+// ---------------------------------------------------------------------------
+
+function escapeHtml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
+/** 只允许 http(s) 和相对地址，其余（如 javascript:）一律丢弃 */
+function safeUrl(url) {
+  const trimmed = url.trim();
+  return /^(https?:)?\/\//i.test(trimmed) || !/^[a-z][a-z0-9+.-]*:/i.test(trimmed) ? trimmed : null;
+}
+
+function inlineToHtml(source) {
+  const { text, tokens } = protectInline(source);
+  // 图片和链接地址换成占位符，强调只作用于正文（链接文字仍可带强调）
+  const linked = escapeHtml(text)
+    .replace(linkPattern({ image: true, quote: '&quot;' }), (match, alt, src) => {
+      const url = safeUrl(src);
+      return url ? stashInline(tokens, { type: 'literal', value: `<img src="${url}" alt="${alt}">` }) : alt;
+    })
+    .replace(linkPattern({ quote: '&quot;' }), (match, label, href) => {
+      const url = safeUrl(href);
+      return url ? `<a href="${stashInline(tokens, { type: 'literal', value: url })}" rel="nofollow noopener">${label}</a>` : label;
+    });
+  const html = replaceEmphasis(linked, (content, strong) => (strong ? `<strong>${content}</strong>` : `<em>${content}</em>`))
+    .replace(/~~(.+?)~~/g, '<del>$1</del>')
+    .replace(/\n/g, '<br>');
+  return restoreInline(html, tokens, token => {
+    if (token.type === 'code') return `<code>${escapeHtml(token.value)}</code>`;
+    const delimiter = token.display ? '$$' : '$';
+    return `<span class="math${token.display ? ' display' : ''}">${escapeHtml(`${delimiter}${token.value}${delimiter}`)}</span>`;
+  });
+}
+
+/**
+ * 将 Markdown 转换为安全的 HTML。原文中的 HTML 标签会被转义，公式保留为 $...$ 交给前端渲染。
+ * @param {string} source - Markdown 原文
+ * @returns {string}
+ */
+function markdownToHtml(source) {
+  const render = blocks => blocks.map(block => {
+    switch (block.type) {
+      case 'code':
+        return `<pre><code${block.lang ? ` class="language-${escapeHtml(block.lang)}"` : ''}>${escapeHtml(block.text)}</code></pre>`;
+      case 'math':
+        return `<div class="math display">${escapeHtml(`$$${block.text}$$`)}</div>`;
+      case 'heading':
+        return `<h${block.level}>${inlineToHtml(block.text)}</h${block.level}>`;
+      case 'table': {
+        const head = `<tr>${block.header.map(cell => `<th>${inlineToHtml(cell)}</th>`).join('')}</tr>`;
+        const body = block.rows.map(row => `<tr>${row.map(cell => `<td>${inlineToHtml(cell)}</td>`).join('')}</tr>`).join('');
+        return `<table><thead>${head}</thead><tbody>${body}</tbody></table>`;
+      }
+      case 'quote':
+        return `<blockquote>${render(block.blocks)}</blockquote>`;
+      case 'list': {
+        const items = block.items.map(item => `<li>${inlineToHtml(item)}</li>`).join('');
+        if (!block.ordered) return `<ul>${items}</ul>`;
+        return block.start === 1 ? `<ol>${items}</ol>` : `<ol start="${block.start}">${items}</ol>`;
+      }
+      case 'hr':
+        return '<hr>';
+      default:
+        return `<p>${inlineToHtml(block.text)}</p>`;
+    }
+  }).join('\n');
+
+  return render(parseBlocks(source));
+}
+
+export {
+  renderContent,
+  resolveContentFormat,
+  normalizeMarkdown,
+  markdownToText,
+  markdownToHtml,
+  extractImages,
+  guessImageMimeType,
+  CONTENT_FORMATS,
+  DEFAULT_CONTENT_FORMAT,
+};
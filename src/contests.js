@@ -0,0 +1,156 @@
+/**
+ * 洛谷比赛
+ * 获取比赛信息（https://www.luogu.com.cn/contest/:id）
+ * 和比赛排行榜（https://www.luogu.com.cn/fe/api/contest/scoreboard/:id）。
+ */
+
+import { fetchLuoguPage } from './fetcher.js';
+import { mapDifficulty } from './parser.js';
+import { extractPageData, assertContentPage } from './page.js';
+import { cached, createCacheStore, getCacheTtl } from './cache.js';
+import { cleanString, toIsoTime } from './utils.js';
+import { InvalidIdError, InvalidParameterError, ParseError } from './errors.js';
+
+/** 比赛编号格式 */
+const CONTEST_ID_RE = /^\d+$/;
+
+/** 洛谷比赛赛制 ruleType 到名称的映射 */
+const RULE_TYPES = {
+  1: 'OI',
+  2: 'ACM',
+  3: '乐多',
+  4: 'IOI',
+  5: 'Codeforces',
+};
+
+function assertContestId(contestId) {
+  if (!CONTEST_ID_RE.test(String(contestId ?? ''))) {
+    throw new InvalidIdError({ key: 'invalidContestId', params: { id: contestId } });
+  }
+}
+
+/**
+ * 解析比赛页面
+ * @param {string} html - 页面HTML内容
+ * @returns {object} 比赛信息
+ */
+function parseContestHtml(html) {
+  const data = extractPageData(html)?.data;
+  const contest = data?.contest;
+
+  if (!contest || contest.id === undefined) {
+    assertContentPage(html, { subject: 'contest' });
+    throw new ParseError({ key: 'parseContest' });
+  }
+
+  const problems = (data.contestProblems ?? []).map(({ score, problem = {} }) => ({
+    id: problem.pid,
+    title: cleanString(problem.title),
+    score: score ?? null,
+    difficultyNum: problem.difficulty ?? null,
+    difficulty: problem.difficulty !== undefined ? mapDifficulty(problem.difficulty) : '未知难度',
+    url: `https://www.luogu.com.cn/problem/${problem.pid}?contestId=${contest.id}`,
+  }));
+
+  return {
+    id: contest.id,
+    name: cleanString(contest.name),
+    ruleType: RULE_TYPES[contest.ruleType] ?? String(contest.ruleType ?? '未知'),
+    startTime: toIsoTime(contest.startTime),
+    endTime: toIsoTime(contest.endTime),
+    host: contest.host?.name ?? null,
+    participants: contest.totalParticipants ?? null,
+    description: cleanString(contest.description ?? ''),
+    problems,
+    url: `https://www.luogu.com.cn/contest/${contest.id}`,
+  };
+}
+
+/**
+ * 解析比赛排行榜接口返回的JSON
+ * @param {string} text - 接口响应内容
+ * @returns {{ total: number, perPage: number, rows: object[] }}
+ */
+function parseScoreboardJson(text) {
+  let json;
+  try {
+    json = JSON.parse(text);
+  } catch (error) {
+    throw new ParseError({ key: 'parseScoreboard' });
+  }
+
+  const board = json?.scoreboard;
+  if (!board || !Array.isArray(board.result)) {
+    throw new ParseError({ key: 'parseScoreboard' });
+  }
+
+  const rows = board.result.map(row => ({
+    uid: row.user?.uid ?? null,
+    name: row.user?.name ?? '未知用户',
+    score: row.score ?? 0,
+    runningTime: row.runningTime ?? null,
+    details: Object.fromEntries(Object.entries(row.details ?? {}).map(([pid, detail]) => [pid, detail?.score ?? 0])),
+  }));
+
+  return { total: board.count ?? rows.length, perPage: board.perPage ?? rows.length, rows };
+}
+
+/**
+ * 获取比赛信息（结果经过缓存）
+ * @param {string|number} contestId - 比赛编号
+ * @param {object} [options]
+ * @param {object} [options.env] - Worker 环境变量 / 绑定
+ * @param {boolean} [options.bypassCache] - 跳过缓存读取
+ * @returns {Promise<object>} 比赛信息
+ */
+async function getContest(contestId, { env, bypassCache = false } = {}) {
+  assertContestId(contestId);
+
+  const url = `https://www.luogu.com.cn/contest/${contestId}`;
+  const { value } = await cached(
+    createCacheStore(env),
+    `contest:${url}`,
+    getCacheTtl(env, 'contest'),
+    async () => parseContestHtml(await fetchLuoguPage(url, { env })),
+    { bypass: bypassCache },
+  );
+  return value;
+}
+
+/**
+ * 获取比赛排行榜（分页，结果经过缓存）
+ * @param {string|number} contestId - 比赛编号
+ * @param {object} [params]
+ * @param {number} [params.page=1] - 页码
+ * @param {object} [options]
+ * @param {object} [options.env] - Worker 环境变量 / 绑定
+ * @param {boolean} [options.bypassCache] - 跳过缓存读取
+ * @returns {Promise<object>} 排行榜，rank 从 1 开始连续编号
+ */
+async function getContestRanking(contestId, { page = 1 } = {}, { env, bypassCache = false } = {}) {
+  assertContestId(contestId);
+  const pageNum = Number(page);
+  if (!Number.isInteger(pageNum) || pageNum < 1) {
+    throw new InvalidParameterError({ key: 'invalidPage', params: { page } });
+  }
+
+  const url = `https://www.luogu.com.cn/fe/api/contest/scoreboard/${contestId}?page=${pageNum}`;
+  const { value } = await cached(
+    createCacheStore(env),
+    `scoreboard:${url}`,
+    getCacheTtl(env, 'scoreboard'),
+    async () => parseScoreboardJson(await fetchLuoguPage(url, { env })),
+    { bypass: bypassCache },
+  );
+
+  const offset = (pageNum - 1) * value.perPage;
+  return {
+    contestId: Number(contestId),
+    page: pageNum,
+    perPage: value.perPage,
+    total: value.total,
+    rows: value.rows.map((row, i) => ({ rank: offset + i + 1, ...row })),
+  };
+}
+
+export { getContest, getContestRanking, parseContestHtml, parseScoreboardJson, RULE_TYPES };
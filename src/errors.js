@@ -0,0 +1,272 @@
+/**
+ * 错误类型
+ * 每种错误带有稳定的错误码（code）和对应的 HTTP 状态码（status）：
+ * REST 接口据此返回 4xx / 5xx，MCP 工具据此返回结构化的 isError 结果，
+ * 调用方可以区分“题目不存在”和“洛谷暂时不可用”。
+ * 错误信息以 messages.js 中的文本键创建，message 为中文，errorBody 可按输出语言重新生成。
+ */
+
+import { translate } from './messages.js';
+
+/**
+ * 本服务抛出的错误基类
+ */
+class LuoguError extends Error {
+  /** 错误码 */
+  static code = 'INTERNAL_ERROR';
+
+  /** 对应的 HTTP 状态码 */
+  static status = 500;
+
+  /**
+   * @param {string|{ key: string, params?: object }} message - 错误信息，或 messages.js 中的文本键和占位符取值
+   * @param {object} [options]
+   * @param {unknown} [options.cause] - 原始错误
+   * @param {number|null} [options.upstreamStatus] - 洛谷返回的 HTTP 状态码
+   * @param {number|null} [options.retryAfter] - 建议的重试等待时间（秒）
+   */
+  constructor(message, { cause, upstreamStatus = null, retryAfter = null } = {}) {
+    const keyed = typeof message === 'object' && message !== null;
+    super(keyed ? translate('zh', message.key, message.params) : message, cause === undefined ? undefined : { cause });
+    this.name = new.target.name;
+    this.messageKey = keyed ? message.key : null;
+    this.messageParams = keyed ? message.params ?? {} : {};
+    this.code = new.target.code;
+    this.status = new.target.status;
+    this.upstreamStatus = upstreamStatus;
+    this.retryAfter = retryAfter;
+  }
+
+  /**
+   * 指定语言的错误信息
+   * @param {'zh'|'en'} lang - 输出语言
+   * @returns {string} 不是以文本键创建的错误返回原始信息
+   */
+  localizedMessage(lang) {
+    return this.messageKey ? translate(lang, this.messageKey, this.messageParams) : this.message;
+  }
+}
+
+/** 题号、用户名、比赛编号等格式不合法 */
+class InvalidIdError extends LuoguError {
+  static code = 'INVALID_ID';
+  static status = 400;
+}
+
+/** 其他请求参数不合法（页码、难度、格式、语言等） */
+class InvalidParameterError extends LuoguError {
+  static code = 'INVALID_PARAMETER';
+  static status = 400;
+}
+
+/** 本服务要求认证：缺少 API 密钥或密钥无效 */
+class UnauthorizedError extends LuoguError {
+  static code = 'UNAUTHORIZED';
+  static status = 401;
+}
+
+/** API 密钥没有所需的权限范围（scope） */
+class InsufficientScopeError extends LuoguError {
+  static code = 'INSUFFICIENT_SCOPE';
+  static status = 403;
+}
+
+/** 洛谷要求登录才能查看（登录页面或跳转到登录页面） */
+class LoginRequiredError extends LuoguError {
+  static code = 'LOGIN_REQUIRED';
+  static status = 403;
+}
+
+/** 题目、用户、比赛等不存在 */
+class NotFoundError extends LuoguError {
+  static code = 'NOT_FOUND';
+  static status = 404;
+}
+
+/** 客户端超出了本服务的请求频率限制 */
+class TooManyRequestsError extends LuoguError {
+  static code = 'TOO_MANY_REQUESTS';
+  static status = 429;
+}
+
+/** 洛谷限制了请求频率（429） */
+class RateLimitedError extends LuoguError {
+  static code = 'RATE_LIMITED';
+  static status = 429;
+}
+
+/** 洛谷拒绝访问（403 或反爬验证页面） */
+class UpstreamBlockedError extends LuoguError {
+  static code = 'UPSTREAM_BLOCKED';
+  static status = 502;
+}
+
+/** 请求洛谷超时 */
+class UpstreamTimeoutError extends LuoguError {
+  static code = 'UPSTREAM_TIMEOUT';
+  static status = 504;
+}
+
+/** 洛谷返回了其他错误，或无法连接洛谷 */
+class UpstreamError extends LuoguError {
+  static code = 'UPSTREAM_ERROR';
+  static status = 502;
+}
+
+/** 洛谷持续出错，熔断器打开期间直接失败 */
+class UpstreamUnavailableError extends LuoguError {
+  static code = 'UPSTREAM_UNAVAILABLE';
+  static status = 503;
+}
+
+/** 洛谷页面结构无法解析 */
+class ParseError extends LuoguError {
+  static code = 'PARSE_ERROR';
+  static status = 502;
+}
+
+/** 服务端配置有误（如缺少所需的绑定），请求无法处理 */
+class ConfigurationError extends LuoguError {
+  static code = 'CONFIGURATION_ERROR';
+  static status = 500;
+}
+
+/** 全部错误码，与 openai-swagger.json 中的 ErrorResponse.code 保持一致 */
+const ERROR_CODES = [
+  InvalidIdError,
+  InvalidParameterError,
+  UnauthorizedError,
+  InsufficientScopeError,
+  LoginRequiredError,
+  NotFoundError,
+  TooManyRequestsError,
+  RateLimitedError,
+  UpstreamBlockedError,
+  UpstreamTimeoutError,
+  UpstreamError,
+  UpstreamUnavailableError,
+  ParseError,
+  ConfigurationError,
+  LuoguError,
+].map(type => type.code);
+
+// ---------------------------------------------------------------------------
+// 上游响应 → 错误
+// ---------------------------------------------------------------------------
+
+/**
+ * 解析 Retry-After 响应头
+ * @param {string|null} value - 秒数或 HTTP 日期
+ * @returns {number|null} 等待秒数，无法解析时返回 null
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds) && seconds >= 0) return Math.ceil(seconds);
+  const date = Date.parse(value);
+  if (Number.isNaN(date)) return null;
+  return Math.max(0, Math.ceil((date - Date.now()) / 1000));
+}
+
+/**
+ * 根据洛谷返回的非 2xx 响应创建对应的错误
+ * @param {Response} response - 上游响应
+ * @returns {LuoguError}
+ */
+function errorFromResponse(response) {
+  const { status, statusText } = response;
+  const options = { upstreamStatus: status };
+  if (status === 404) {
+    return new NotFoundError({ key: 'upstreamNotFound' }, options);
+  }
+  if (status === 403) {
+    return new UpstreamBlockedError({ key: 'upstreamForbidden' }, options);
+  }
+  if (status === 429) {
+    const retryAfter = parseRetryAfter(response.headers.get('Retry-After'));
+    return new RateLimitedError({ key: 'upstreamRateLimited', params: { detail: '' } }, { ...options, retryAfter });
+  }
+  const params = { status: `${status} ${statusText}`.trim() };
+  // 408 Request Timeout、504 Gateway Timeout、524 Cloudflare 源站超时
+  if (status === 408 || status === 504 || status === 524) {
+    return new UpstreamTimeoutError({ key: 'upstreamTimeoutStatus', params }, options);
+  }
+  return new UpstreamError({ key: 'upstreamFailed', params }, options);
+}
+
+/**
+ * 将 fetch 抛出的异常（网络错误、超时）转换为对应的错误
+ * @param {unknown} error - fetch 抛出的异常
+ * @returns {LuoguError}
+ */
+function errorFromFetchFailure(error) {
+  if (error instanceof LuoguError) return error;
+  if (error?.name === 'TimeoutError' || error?.name === 'AbortError') {
+    return new UpstreamTimeoutError({ key: 'upstreamTimeout' }, { cause: error });
+  }
+  return new UpstreamError({ key: 'upstreamUnreachable', params: { reason: error?.message ?? error } }, { cause: error });
+}
+
+// ---------------------------------------------------------------------------
+// 错误 → 响应
+// ---------------------------------------------------------------------------
+
+/**
+ * 错误的 HTTP 状态码
+ * @param {unknown} error
+ * @returns {number} 未分类的错误为 500
+ */
+function errorStatus(error) {
+  return error instanceof LuoguError ? error.status : LuoguError.status;
+}
+
+/**
+ * 指定语言的错误信息
+ * @param {unknown} error
+ * @param {'zh'|'en'} [lang='zh'] - 输出语言
+ * @returns {string}
+ */
+function errorMessage(error, lang = 'zh') {
+  if (error instanceof LuoguError) return error.localizedMessage(lang);
+  return error instanceof Error ? error.message : String(error);
+}
+
+/**
+ * 错误的 JSON 表示：{ error, code, retryAfter? }
+ * @param {unknown} error
+ * @param {'zh'|'en'} [lang='zh'] - 错误信息使用的语言
+ * @returns {{ error: string, code: string, retryAfter?: number }} 未分类的错误码为 INTERNAL_ERROR
+ */
+function errorBody(error, lang = 'zh') {
+  const body = {
+    error: errorMessage(error, lang),
+    code: error instanceof LuoguError ? error.code : LuoguError.code,
+  };
+  if (error?.retryAfter !== null && error?.retryAfter !== undefined) body.retryAfter = error.retryAfter;
+  return body;
+}
+
+export {
+  LuoguError,
+  InvalidIdError,
+  InvalidParameterError,
+  UnauthorizedError,
+  InsufficientScopeError,
+  LoginRequiredError,
+  NotFoundError,
+  TooManyRequestsError,
+  RateLimitedError,
+  UpstreamBlockedError,
+  UpstreamTimeoutError,
+  UpstreamError,
+  UpstreamUnavailableError,
+  ParseError,
+  ConfigurationError,
+  ERROR_CODES,
+  parseRetryAfter,
+  errorFromResponse,
+  errorFromFetchFailure,
+  errorStatus,
+  errorMessage,
+  errorBody,
+};
@@ -1,22 +1,432 @@
+import { bytesToBase64 } from './utils.js';
+import { extractPageData, detectPageType } from './page.js';
+import {
+  InvalidParameterError,
+  NotFoundError,
+  RateLimitedError,
+  UpstreamError,
+  UpstreamTimeoutError,
+  UpstreamUnavailableError,
+  errorFromResponse,
+  errorFromFetchFailure,
+} from './errors.js';
+
+/**
+ * 请求洛谷的默认策略，可通过 env 覆盖：
+ *   - FETCH_TIMEOUT_MS：单次请求超时（毫秒）
+ *   - FETCH_MAX_RETRIES：429 / 5xx / 超时 / 网络错误时的最大重试次数
+ *   - FETCH_RETRY_BASE_MS / FETCH_RETRY_MAX_MS：指数退避的基础间隔和上限（毫秒）
+ *   - CIRCUIT_BREAKER_THRESHOLD：连续失败多少次后熔断
+ *   - CIRCUIT_BREAKER_COOLDOWN_MS：熔断持续时间（毫秒）
+ *   - FETCH_MAX_CONCURRENCY：同时进行的洛谷请求数上限，超出的请求排队等待
+ */
+const DEFAULT_FETCH_POLICY = {
+  timeoutMs: 10000,
+  maxRetries: 2,
+  retryBaseMs: 500,
+  retryMaxMs: 8000,
+  breakerThreshold: 5,
+  breakerCooldownMs: 30000,
+  maxConcurrency: 6,
+};
+
+const FETCH_POLICY_ENV = {
+  timeoutMs: 'FETCH_TIMEOUT_MS',
+  maxRetries: 'FETCH_MAX_RETRIES',
+  retryBaseMs: 'FETCH_RETRY_BASE_MS',
+  retryMaxMs: 'FETCH_RETRY_MAX_MS',
+  breakerThreshold: 'CIRCUIT_BREAKER_THRESHOLD',
+  breakerCooldownMs: 'CIRCUIT_BREAKER_COOLDOWN_MS',
+  maxConcurrency: 'FETCH_MAX_CONCURRENCY',
+};
+
+const PAGE_HEADERS = {
+  'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36',
+  'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+  'Accept-Language': 'zh-CN,zh;q=0.9,en;q=0.8',
+};
+
+/**
+ * 读取请求策略
+ * @param {object} [env] - Worker 环境变量
+ * @returns {typeof DEFAULT_FETCH_POLICY}
+ */
+function getFetchPolicy(env = {}) {
+  const policy = { ...DEFAULT_FETCH_POLICY };
+  for (const [key, name] of Object.entries(FETCH_POLICY_ENV)) {
+    const value = Number(env[name]);
+    // 重试次数允许为 0，其余设置必须为正数
+    if (Number.isInteger(value) && (value > 0 || (key === 'maxRetries' && value === 0))) {
+      policy[key] = value;
+    }
+  }
+  return policy;
+}
+
+// ---------------------------------------------------------------------------
+// 熔断器
+// ---------------------------------------------------------------------------
+
+/**
+ * 按域名记录连续失败次数。连续失败达到阈值后熔断，冷却期内的请求直接失败；
+ * 冷却结束后放行请求试探，成功则恢复，失败则再次熔断。
+ * 状态保存在当前 isolate 的内存中。
+ */
+const circuits = new Map();
+
+function getCircuit(host) {
+  let circuit = circuits.get(host);
+  if (!circuit) {
+    circuit = { failures: 0, openUntil: 0 };
+    circuits.set(host, circuit);
+  }
+  return circuit;
+}
+
+/**
+ * @param {string} host
+ * @throws {UpstreamUnavailableError} 熔断器打开时
+ */
+function assertCircuitClosed(host) {
+  const { openUntil } = getCircuit(host);
+  const remaining = openUntil - Date.now();
+  if (remaining > 0) {
+    throw new UpstreamUnavailableError({ key: 'upstreamUnavailable' }, { retryAfter: Math.ceil(remaining / 1000) });
+  }
+}
+
+function recordSuccess(host) {
+  const circuit = getCircuit(host);
+  circuit.failures = 0;
+  circuit.openUntil = 0;
+}
+
+function recordFailure(host, policy) {
+  const circuit = getCircuit(host);
+  circuit.failures++;
+  if (circuit.failures >= policy.breakerThreshold) {
+    circuit.openUntil = Date.now() + policy.breakerCooldownMs;
+  }
+}
+
+/** 重置所有熔断器（测试用） */
+function resetCircuitBreakers() {
+  circuits.clear();
+}
+
+// ---------------------------------------------------------------------------
+// 请求洛谷
+// ---------------------------------------------------------------------------
+
+/**
+ * 洛谷暂时性的错误：限流、5xx、超时、网络错误，可以重试
+ * @param {Error} error
+ * @returns {boolean}
+ */
+function isRetryable(error) {
+  if (error instanceof RateLimitedError || error instanceof UpstreamTimeoutError) return true;
+  return error instanceof UpstreamError && (error.upstreamStatus === null || error.upstreamStatus >= 500);
+}
+
+/**
+ * 是否计入熔断器的失败次数：洛谷自身出错（5xx、超时、网络错误），不含限流和 4xx
+ * @param {Error} error
+ * @returns {boolean}
+ */
+function isUpstreamFailure(error) {
+  return isRetryable(error) && !(error instanceof RateLimitedError);
+}
+
+/**
+ * 第 attempt 次重试前的等待时间：有 Retry-After 时按其等待，否则为带完全抖动的指数退避
+ * @param {Error} error - 上一次请求的错误
+ * @param {number} attempt - 重试序号，从 0 开始
+ * @param {typeof DEFAULT_FETCH_POLICY} policy
+ * @returns {number} 毫秒
+ */
+function retryDelay(error, attempt, policy) {
+  if (error.retryAfter !== null && error.retryAfter !== undefined) {
+    return error.retryAfter * 1000;
+  }
+  const ceiling = Math.min(policy.retryMaxMs, policy.retryBaseMs * 2 ** attempt);
+  return Math.random() * ceiling;
+}
+
+// ---------------------------------------------------------------------------
+// 并发上限
+// ---------------------------------------------------------------------------
+
+/**
+ * 当前 isolate 内所有请求共用的洛谷请求名额：进行中的请求数和排队等待的请求。
+ * 名额按次计算，重试前的退避等待不占用名额。
+ */
+const upstreamSlots = { active: 0, queue: [] };
+
+/**
+ * 占用一个请求名额执行 task，没有空闲名额时排队等待
+ * 完成后名额直接交给最早排队的请求。
+ * @param {number} limit - 同时进行的请求数上限
+ * @param {() => Promise<T>} task
+ * @returns {Promise<T>}
+ * @template T
+ */
+async function withUpstreamSlot(limit, task) {
+  if (upstreamSlots.active < limit) upstreamSlots.active++;
+  else await new Promise(resolve => upstreamSlots.queue.push(resolve));
+
+  try {
+    return await task();
+  } finally {
+    const next = upstreamSlots.queue.shift();
+    if (next) next();
+    else upstreamSlots.active--;
+  }
+}
+
+/**
+ * 当前的洛谷请求数（供测试和调试使用）
+ * @returns {{ active: number, queued: number }}
+ */
+function getUpstreamLoad() {
+  return { active: upstreamSlots.active, queued: upstreamSlots.queue.length };
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * 发送一次请求，超时后通过 AbortController 取消
+ * @param {string} url
+ * @param {number} timeoutMs
+ * @returns {Promise<string>} 响应内容
+ */
+async function fetchOnce(url, timeoutMs) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    let response;
+    try {
+      response = await fetch(url, { headers: PAGE_HEADERS, signal: controller.signal });
+    } catch (error) {
+      throw errorFromFetchFailure(error);
+    }
+
+    if (!response.ok) {
+      await response.body?.cancel();
+      throw errorFromResponse(response);
+    }
+
+    try {
+      return await response.text();
+    } catch (error) {
+      throw errorFromFetchFailure(error);
+    }
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * 抓取洛谷页面内容（题目、题目列表等）。
+ * 429 / 5xx / 超时 / 网络错误时按指数退避重试（遵循 Retry-After），
+ * 同一域名连续失败时熔断，冷却期内直接失败。
+ * 同时进行的请求数超过 FETCH_MAX_CONCURRENCY 时排队等待，超时从拿到名额后开始计算。
+ * @param {string} url - 洛谷页面URL
+ * @param {object} [options]
+ * @param {object} [options.env] - Worker 环境变量，用于读取请求策略
+ * @param {number} [options.maxRetries] - 覆盖 FETCH_MAX_RETRIES，为 0 时只请求一次
+ * @returns {Promise<string>} 页面HTML内容
+ * @throws {LuoguError} 请求失败时按状态码抛出 NotFoundError、UpstreamBlockedError、RateLimitedError 等；
+ *   熔断期间抛出 UpstreamUnavailableError
+ */
+async function fetchLuoguPage(url, { env, maxRetries } = {}) {
+  const policy = getFetchPolicy(env);
+  const retries = maxRetries ?? policy.maxRetries;
+  const { host } = new URL(url);
+  assertCircuitClosed(host);
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const text = await withUpstreamSlot(policy.maxConcurrency, () => fetchOnce(url, policy.timeoutMs));
+      recordSuccess(host);
+      return text;
+    } catch (error) {
+      if (!isRetryable(error) || attempt >= retries) {
+        if (isUpstreamFailure(error)) recordFailure(host, policy);
+        throw error;
+      }
+      const delay = retryDelay(error, attempt, policy);
+      // Retry-After 超过退避上限时不再等待，直接把限流错误交给调用方
+      if (delay > policy.retryMaxMs) throw error;
+      await sleep(delay);
+    }
+  }
+}
+
 /**
  * 抓取洛谷题目页面内容
+ * 页面中没有嵌入数据、也不是可识别的错误页面时（例如精简版页面或镜像），再请求一次 ?_contentOnly=1 接口，
+ * 能取到题目数据时返回该接口的 JSON，否则仍返回原页面交给 HTML 解析。
+ * 该接口只是补充：只请求一次、不重试，失败时直接退回原页面，不会再经历一轮退避重试。
  * @param {string} url - 洛谷题目URL
- * @returns {Promise<string>} 页面HTML内容
+ * @param {object} [options] - 同 fetchLuoguPage
+ * @returns {Promise<string>} 页面HTML内容，或 ?_contentOnly=1 接口返回的 JSON
+ * @throws {NotFoundError} 题目不存在
+ */
+async function fetchProblemPage(url, options) {
+  let html;
+  try {
+    html = await fetchLuoguPage(url, options);
+  } catch (error) {
+    if (error instanceof NotFoundError) {
+      throw new NotFoundError({ key: 'problemNotFound', params: { id: url.split('/').pop() } }, { upstreamStatus: error.upstreamStatus });
+    }
+    throw error;
+  }
+  if (detectPageType(html).type !== 'unknown') return html;
+
+  try {
+    const json = await fetchLuoguPage(`${url}${url.includes('?') ? '&' : '?'}_contentOnly=1`, { ...options, maxRetries: 0 });
+    if (extractPageData(json)?.data?.problem) return json;
+  } catch (error) {
+    // 接口不可用时退回到解析原页面
+  }
+  return html;
+}
+
+// ---------------------------------------------------------------------------
+// 题面图片
+// ---------------------------------------------------------------------------
+
+/**
+ * 允许下载图片的域名：洛谷及其子域名（如图床 cdn.luogu.com.cn），
+ * 以及 env.IMAGE_HOSTS 中以逗号分隔列出的其他域名（如题面常用的第三方图床）。
+ * 其他地址（包括内网地址）不会被请求，避免服务端被用来访问任意 URL。
  */
-async function fetchProblemPage(url) {
-  const headers = {
-    'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36',
-    'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
-    'Accept-Language': 'zh-CN,zh;q=0.9,en;q=0.8',
-  };
+const IMAGE_HOST_SUFFIX = '.luogu.com.cn';
+const IMAGE_BASE_HOST = 'luogu.com.cn';
 
-  const response = await fetch(url, { headers });
+/**
+ * 检查图片地址是否允许下载
+ * @param {string} url - 图片地址
+ * @param {object} [env] - Worker 环境变量
+ * @returns {URL}
+ * @throws {InvalidParameterError} 不是 http(s) 地址或域名不在允许列表中
+ */
+function assertImageUrlAllowed(url, env = {}) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    throw new InvalidParameterError({ key: 'imageUrlInvalid', params: { url } });
+  }
+  if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') {
+    throw new InvalidParameterError({ key: 'imageProtocolUnsupported', params: { protocol: parsed.protocol } });
+  }
+  const host = parsed.hostname.toLowerCase();
+  const extraHosts = String(env.IMAGE_HOSTS ?? '').split(',').map(h => h.trim().toLowerCase()).filter(Boolean);
+  if (host !== IMAGE_BASE_HOST && !host.endsWith(IMAGE_HOST_SUFFIX) && !extraHosts.includes(host)) {
+    throw new InvalidParameterError({ key: 'imageHostNotAllowed', params: { host } });
+  }
+  return parsed;
+}
 
-  if (!response.ok) {
-    throw new Error(`请求失败: ${response.status} ${response.statusText}`);
+/**
+ * 读取响应内容，超过 maxBytes 时立即停止读取
+ * @param {Response} response
+ * @param {number} maxBytes
+ * @returns {Promise<Uint8Array>}
+ * @throws {UpstreamError} 超出大小上限
+ */
+async function readBodyWithLimit(response, maxBytes) {
+  if (!response.body) return new Uint8Array();
+  const reader = response.body.getReader();
+  const chunks = [];
+  let size = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    size += value.length;
+    if (size > maxBytes) {
+      await reader.cancel().catch(() => {});
+      throw new UpstreamError({ key: 'imageTooLarge', params: { max: maxBytes } });
+    }
+    chunks.push(value);
+  }
+
+  const bytes = new Uint8Array(size);
+  let offset = 0;
+  for (const chunk of chunks) {
+    bytes.set(chunk, offset);
+    offset += chunk.length;
   }
+  return bytes;
+}
+
+/**
+ * 下载题面中的图片并转为 base64
+ * 只请求洛谷及 env.IMAGE_HOSTS 中的域名，不跟随重定向；与页面请求共用超时设置和并发名额。
+ * @param {string} url - 图片地址
+ * @param {object} [options]
+ * @param {object} [options.env] - Worker 环境变量，用于读取允许的域名和请求策略
+ * @param {number} [options.maxBytes] - 图片大小上限（字节），超出时抛出错误
+ * @returns {Promise<{ data: string, mimeType: string, size: number }>}
+ * @throws {Error} 地址不允许、请求失败、超时、不是图片或超出大小上限
+ */
+async function fetchImage(url, { env, maxBytes = Infinity } = {}) {
+  const target = assertImageUrlAllowed(url, env);
+  const policy = getFetchPolicy(env);
+
+  return withUpstreamSlot(policy.maxConcurrency, async () => {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), policy.timeoutMs);
+    try {
+      let response;
+      try {
+        response = await fetch(target.href, {
+          headers: {
+            'User-Agent': PAGE_HEADERS['User-Agent'],
+            'Accept': 'image/*',
+            'Referer': 'https://www.luogu.com.cn/',
+          },
+          // 重定向可能指向允许列表之外的地址，不跟随
+          redirect: 'manual',
+          signal: controller.signal,
+        });
+      } catch (error) {
+        throw errorFromFetchFailure(error);
+      }
+
+      if (!response.ok) {
+        await response.body?.cancel();
+        throw errorFromResponse(response);
+      }
+
+      const mimeType = (response.headers.get('Content-Type') ?? '').split(';')[0].trim().toLowerCase();
+      if (!mimeType.startsWith('image/')) {
+        await response.body?.cancel();
+        throw new UpstreamError({ key: 'notAnImage', params: { type: mimeType || { key: 'unknownMimeType' } } });
+      }
+
+      // 先根据 Content-Length 判断，避免下载过大的图片；没有 Content-Length 时边读边检查
+      const declared = Number(response.headers.get('Content-Length'));
+      if (declared > maxBytes) {
+        await response.body?.cancel();
+        throw new UpstreamError({ key: 'imageTooLargeDeclared', params: { size: declared, max: maxBytes } });
+      }
 
-  return response.text();
+      let bytes;
+      try {
+        bytes = await readBodyWithLimit(response, maxBytes);
+      } catch (error) {
+        throw controller.signal.aborted ? errorFromFetchFailure(error) : error;
+      }
+      return { data: bytesToBase64(bytes), mimeType, size: bytes.length };
+    } finally {
+      clearTimeout(timer);
+    }
+  });
 }
 
-export { fetchProblemPage };
\ No newline at end of file
+export { fetchLuoguPage, fetchProblemPage, fetchImage, getFetchPolicy, getUpstreamLoad, resetCircuitBreakers };
@@ -0,0 +1,54 @@
+/**
+ * MCP 文本输出的多语言支持
+ * 题面语言（locale，如 zh-CN、en）同时决定输出中标题、字段名和错误信息使用的语言。
+ * 目前支持中文（默认）和英文；难度名称和标签名称来自洛谷，始终为中文。
+ */
+
+import { InvalidParameterError } from './errors.js';
+import { translate, MESSAGES } from './messages.js';
+
+/** 默认题面语言（洛谷题面的原始语言） */
+const DEFAULT_LOCALE = 'zh-CN';
+
+/** 语言代码格式（BCP 47 的常用子集），如 en、zh-CN、zh-Hans */
+const LOCALE_RE = /^[A-Za-z]{2,3}(-[A-Za-z0-9]{2,8})*$/;
+
+/**
+ * 根据题面语言选择输出语言
+ * @param {string} [locale] - 题面语言，如 en、en-US、zh-CN
+ * @returns {'zh'|'en'}
+ */
+function resolveUiLanguage(locale) {
+  return /^en\b/i.test(locale ?? '') ? 'en' : 'zh';
+}
+
+/**
+ * 校验语言代码
+ * @param {string} [locale] - 语言代码
+ * @returns {string|undefined} 合法的语言代码，为空时返回 undefined
+ * @throws {Error} 格式不合法
+ */
+function resolveLocale(locale) {
+  if (locale === undefined || locale === null || locale === '') return undefined;
+  if (!LOCALE_RE.test(locale)) {
+    throw new InvalidParameterError({ key: 'invalidLocale', params: { locale } });
+  }
+  return locale;
+}
+
+/**
+ * 在可用的题面语言中选择与请求最匹配的一个：先精确匹配，再按语言前缀匹配（en 匹配 en-US）
+ * @param {string} [requested] - 请求的语言
+ * @param {string[]} available - 可用的语言
+ * @returns {string|null} 匹配的语言，没有匹配时返回 null
+ */
+function matchLocale(requested, available) {
+  if (!requested) return null;
+  const wanted = requested.toLowerCase();
+  const exact = available.find(locale => locale.toLowerCase() === wanted);
+  if (exact) return exact;
+  const base = wanted.split('-')[0];
+  return available.find(locale => locale.toLowerCase().split('-')[0] === base) ?? null;
+}
+
+export { translate, resolveUiLanguage, resolveLocale, matchLocale, DEFAULT_LOCALE, LOCALE_RE, MESSAGES };
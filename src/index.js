@@ -1,69 +1,434 @@
-import { fetchProblemPage } from './fetcher.js';
-import { parseProblemHtml } from './parser.js';
-import { extractProblemId } from './utils.js';
-import { handleMcpRequest } from './mcp-client.js';
+import { extractProblemId, PROBLEM_ID_RE } from './utils.js';
+import { handleMcpRequest, expandProblems, getProblemsByIds, getBatchLimits, toolErrorResult } from './mcp-client.js';
+import { getSessionMode, handleSessionRequest } from './sessions.js';
+import {
+  isAuthEnabled,
+  authenticateRequest,
+  wwwAuthenticate,
+  protectedResourceMetadata,
+  PROTECTED_RESOURCE_METADATA_PATH,
+} from './auth.js';
+import { getCachedProblem } from './cache.js';
+import { searchProblems, normalizeSearchParams } from './search.js';
+import { listSolutions, getSolution } from './solutions.js';
+import { getUser, getUserPractice } from './users.js';
+import { getContest, getContestRanking } from './contests.js';
+import { getTraining } from './trainings.js';
+import { resolveContentFormat } from './content.js';
+import { resolveLocale, resolveUiLanguage } from './i18n.js';
+import { getTagCatalog, refreshTagCatalog, listTags, normalizeTagQuery } from './tags.js';
+import { InvalidIdError, InvalidParameterError, UnauthorizedError, InsufficientScopeError, errorBody, errorStatus } from './errors.js';
+import { rateLimitClientKey, consumeRateLimit, refundRateLimit, rateLimitHeaders, rateLimitError } from './ratelimit.js';
+
+export { McpSessionObject } from './sessions.js';
+export { RateLimiterObject } from './ratelimit.js';
 
 export default {
   async fetch(request, env, ctx) {
     const url = new URL(request.url);
     const path = url.pathname;
+    // Error messages follow ?locale= / ?lang= (zh by default)
+    const lang = resolveUiLanguage(url.searchParams.get('locale') ?? url.searchParams.get('lang'));
 
-    // MCP endpoint — JSON-RPC 2.0 over HTTP POST
-    if (path === '/mcp' || path === '/mcp/') {
-      if (request.method !== 'POST') {
-        return new Response(JSON.stringify({ error: 'MCP endpoint only accepts POST' }), {
-          status: 405,
-          headers: { 'Content-Type': 'application/json', Allow: 'POST' },
-        });
-      }
-      return handleMcpRequest(request);
+    // OAuth protected resource metadata (RFC 9728), only when API keys are configured
+    if (isAuthEnabled(env) && (path === PROTECTED_RESOURCE_METADATA_PATH || path === `${PROTECTED_RESOURCE_METADATA_PATH}/mcp`)) {
+      return jsonResponse(protectedResourceMetadata(url, env));
     }
 
-    // REST API: get problem by ID
-    const idMatch = path.match(/^\/api\/problem\/([^/]+)$/);
-    if (idMatch) {
-      const problemId = idMatch[1];
+    // Optional auth: /mcp and /api/* require a Bearer API key when API_KEYS is set
+    let authInfo;
+    if (isAuthEnabled(env) && (path === '/mcp' || path === '/mcp/' || path.startsWith('/api/'))) {
       try {
-        const problemUrl = `https://www.luogu.com.cn/problem/${problemId}`;
-        const html = await fetchProblemPage(problemUrl);
-        const info = parseProblemHtml(html);
-        return jsonResponse({ id: problemId, url: problemUrl, ...info });
+        authInfo = await authenticateRequest(request, env);
       } catch (err) {
-        return jsonResponse({ error: err.message }, 500);
+        // Only auth failures get a challenge; a broken API_KEYS is a server-side configuration error
+        const challenge = err instanceof UnauthorizedError || err instanceof InsufficientScopeError;
+        const headers = challenge ? { 'WWW-Authenticate': wwwAuthenticate(err, url) } : {};
+        return errorResponse(err, { headers, lang });
       }
     }
 
-    // REST API: get problem by URL query param
-    if (path === '/api/fetch') {
-      const problemUrl = url.searchParams.get('url');
-      if (!problemUrl) {
-        return jsonResponse({ error: 'Missing url query parameter' }, 400);
-      }
-      const problemId = extractProblemId(problemUrl);
-      if (!problemId) {
-        return jsonResponse({ error: 'Cannot extract problem ID from the provided URL' }, 400);
+    // Per-client rate limiting, keyed by API key or client IP
+    const rateLimit = await checkRequestRateLimit(request, env, { path, authInfo, lang });
+    if (rateLimit?.response) return rateLimit.response;
+
+    const response = await routeRequest(request, env, { url, authInfo, lang });
+    return rateLimit ? withHeaders(response, rateLimitHeaders(rateLimit.result)) : response;
+  },
+
+  // Cron trigger: refresh the tag catalog from Luogu
+  async scheduled(event, env, ctx) {
+    ctx.waitUntil(refreshTagCatalog(env));
+  },
+};
+
+/**
+ * 按路径分发请求（认证和限流之后）
+ * @param {Request} request
+ * @param {object} env - Worker 环境变量 / 绑定
+ * @param {object} options
+ * @param {URL} options.url - 请求 URL
+ * @param {object} [options.authInfo] - 认证信息
+ * @param {'zh'|'en'} [options.lang='zh'] - 错误信息使用的语言
+ * @returns {Promise<Response>}
+ */
+async function routeRequest(request, env, { url, authInfo, lang = 'zh' }) {
+  const path = url.pathname;
+
+  // MCP endpoint — JSON-RPC 2.0 over HTTP POST; session mode also accepts GET (SSE) and DELETE
+  if (path === '/mcp' || path === '/mcp/') {
+    if (getSessionMode(env) !== 'stateless') {
+      try {
+        return await handleSessionRequest(request, env, { authInfo });
+      } catch (err) {
+        return errorResponse(err, { lang });
       }
+    }
+    if (request.method !== 'POST') {
+      return new Response(JSON.stringify({ error: 'MCP endpoint only accepts POST', code: 'METHOD_NOT_ALLOWED' }), {
+        status: 405,
+        headers: { 'Content-Type': 'application/json', Allow: 'POST' },
+      });
+    }
+    return handleMcpRequest(request, env, { authInfo });
+  }
+
+  // REST API: get problem by ID
+  const idMatch = path.match(/^\/api\/problem\/([^/]+)$/);
+  if (idMatch) {
+    const problemId = idMatch[1];
+    if (!PROBLEM_ID_RE.test(problemId)) {
+      return errorResponse(new InvalidIdError({ key: 'invalidProblemIdFormat' }), { lang });
+    }
+    let format, locale;
+    try {
+      format = resolveContentFormat(url.searchParams.get('format'));
+      locale = requestLocale(url);
+    } catch (err) {
+      return errorResponse(err, { lang });
+    }
+    try {
+      const problemUrl = `https://www.luogu.com.cn/problem/${problemId}`;
+      const { problem, cacheStatus, ttl } = await getCachedProblem(problemUrl, { env, bypassCache: wantsFreshData(request, url), format, locale });
+      return jsonResponse({ id: problemId, url: problemUrl, ...problem }, 200, cacheHeaders(cacheStatus, ttl, env));
+    } catch (err) {
+      return errorResponse(err, { lang });
+    }
+  }
+
+  // REST API: batch get problems
+  if (path === '/api/problems') {
+    if (request.method !== 'POST') {
+      return jsonResponse({ error: '/api/problems only accepts POST', code: 'METHOD_NOT_ALLOWED' }, 405, { Allow: 'POST' });
+    }
+    let body;
+    try {
+      body = await request.json();
+    } catch (err) {
+      return errorResponse(new InvalidParameterError({ key: 'bodyNotJson' }), { lang });
+    }
+    const ids = body?.ids;
+    if (!Array.isArray(ids) || !ids.length || !ids.every(id => typeof id === 'string')) {
+      return errorResponse(new InvalidParameterError({ key: 'bodyIdsRequired' }), { lang });
+    }
+    const { maxSize } = getBatchLimits(env);
+    if (ids.length > maxSize) {
+      return errorResponse(new InvalidParameterError({ key: 'batchTooLarge', params: { max: maxSize } }), { lang });
+    }
+    let format, locale;
+    try {
+      format = resolveContentFormat(body.format ?? url.searchParams.get('format'));
+      locale = resolveLocale(body.locale ?? body.lang ?? url.searchParams.get('locale') ?? url.searchParams.get('lang'));
+    } catch (err) {
+      return errorResponse(err, { lang });
+    }
+    const concurrency = Number.isInteger(body.concurrency) && body.concurrency > 0 ? body.concurrency : undefined;
+    const results = await getProblemsByIds(ids, { env, concurrency, format, locale, bypassCache: wantsFreshData(request, url) });
+    return jsonResponse({ results });
+  }
+
+  // REST API: list solutions of a problem / get a single solution
+  const solutionsMatch = path.match(/^\/api\/problem\/([^/]+)\/solutions(?:\/([^/]+))?$/);
+  if (solutionsMatch) {
+    const [, problemId, solutionId] = solutionsMatch;
+    if (!PROBLEM_ID_RE.test(problemId)) {
+      return errorResponse(new InvalidIdError({ key: 'invalidProblemIdFormat' }), { lang });
+    }
+    const options = { env, bypassCache: wantsFreshData(request, url) };
+    try {
+      const result = solutionId
+        ? await getSolution(solutionId, { ...options, problemId })
+        : await listSolutions(problemId, { page: url.searchParams.get('page') ?? 1 }, options);
+      return jsonResponse(result);
+    } catch (err) {
+      return errorResponse(err, { lang });
+    }
+  }
+
+  // REST API: user profile / practice history
+  const userMatch = path.match(/^\/api\/user\/([^/]+)(\/practice)?$/);
+  if (userMatch) {
+    const options = { env, bypassCache: wantsFreshData(request, url) };
+    try {
+      let user;
       try {
-        const html = await fetchProblemPage(problemUrl);
-        const info = parseProblemHtml(html);
-        return jsonResponse({ id: problemId, url: problemUrl, ...info });
+        user = decodeURIComponent(userMatch[1]);
       } catch (err) {
-        return jsonResponse({ error: err.message }, 500);
+        throw new InvalidIdError({ key: 'invalidUser', params: { user: userMatch[1] } });
       }
+      const result = userMatch[2]
+        ? await getUserPractice(user, { difficulty: url.searchParams.get('difficulty') }, options)
+        : await getUser(user, options);
+      return jsonResponse(result);
+    } catch (err) {
+      return errorResponse(err, { lang });
     }
+  }
 
-    // Frontend page
-    return new Response(FRONTEND_HTML, { headers: { 'Content-Type': 'text/html; charset=utf-8' } });
-  },
-};
+  // REST API: contest info / scoreboard
+  const contestMatch = path.match(/^\/api\/contest\/([^/]+)(\/ranking)?$/);
+  if (contestMatch) {
+    const contestId = contestMatch[1];
+    const options = { env, bypassCache: wantsFreshData(request, url) };
+    try {
+      if (contestMatch[2]) {
+        return jsonResponse(await getContestRanking(contestId, { page: url.searchParams.get('page') ?? 1 }, options));
+      }
+      const contest = await getContest(contestId, options);
+      if (isTruthyParam(url.searchParams.get('expand'))) {
+        // contest 可能是缓存中的对象，展开结果放到副本中
+        return jsonResponse({ ...contest, problems: await expandProblems(contest.problems, { ...options, locale: requestLocale(url) }) });
+      }
+      return jsonResponse(contest);
+    } catch (err) {
+      return errorResponse(err, { lang });
+    }
+  }
+
+  // REST API: problem set (题单)
+  const trainingMatch = path.match(/^\/api\/training\/([^/]+)$/);
+  if (trainingMatch) {
+    const options = { env, bypassCache: wantsFreshData(request, url) };
+    try {
+      const training = await getTraining(trainingMatch[1], options);
+      if (isTruthyParam(url.searchParams.get('expand'))) {
+        return jsonResponse({ ...training, problems: await expandProblems(training.problems, { ...options, locale: requestLocale(url) }) });
+      }
+      return jsonResponse(training);
+    } catch (err) {
+      return errorResponse(err, { lang });
+    }
+  }
+
+  // REST API: get problem by URL query param
+  if (path === '/api/fetch') {
+    const problemUrl = url.searchParams.get('url');
+    if (!problemUrl) {
+      return errorResponse(new InvalidParameterError({ key: 'missingUrl' }), { lang });
+    }
+    const problemId = extractProblemId(problemUrl);
+    if (!problemId) {
+      return errorResponse(new InvalidIdError({ key: 'urlWithoutProblemId' }), { lang });
+    }
+    let format, locale;
+    try {
+      format = resolveContentFormat(url.searchParams.get('format'));
+      locale = requestLocale(url);
+    } catch (err) {
+      return errorResponse(err, { lang });
+    }
+    try {
+      const { problem, cacheStatus, ttl } = await getCachedProblem(problemUrl, { env, bypassCache: wantsFreshData(request, url), format, locale });
+      return jsonResponse({ id: problemId, url: problemUrl, ...problem }, 200, cacheHeaders(cacheStatus, ttl, env));
+    } catch (err) {
+      return errorResponse(err, { lang });
+    }
+  }
+
+  // REST API: list / search tags
+  if (path === '/api/tags') {
+    const params = url.searchParams;
+    let query;
+    try {
+      query = normalizeTagQuery({
+        keyword: params.get('keyword'),
+        types: params.get('types'),
+        limit: params.get('limit'),
+      });
+    } catch (err) {
+      return errorResponse(err, { lang });
+    }
+    try {
+      return jsonResponse(await listTags(query, { env }));
+    } catch (err) {
+      return errorResponse(err, { lang });
+    }
+  }
+
+  // REST API: search problems
+  if (path === '/api/search') {
+    const params = url.searchParams;
+    let query;
+    try {
+      query = normalizeSearchParams({
+        keyword: params.get('keyword'),
+        type: params.get('type'),
+        difficulty: params.get('difficulty'),
+        minDifficulty: params.get('min_difficulty'),
+        maxDifficulty: params.get('max_difficulty'),
+        tags: params.get('tags'),
+        page: params.get('page'),
+      }, await getTagCatalog(env));
+    } catch (err) {
+      return errorResponse(err, { lang });
+    }
+    try {
+      const result = await searchProblems(query, { env, bypassCache: wantsFreshData(request, url) });
+      return jsonResponse(result);
+    } catch (err) {
+      return errorResponse(err, { lang });
+    }
+  }
+
+  // Frontend page
+  return new Response(FRONTEND_HTML, { headers: { 'Content-Type': 'text/html; charset=utf-8' } });
+}
+
+/**
+ * 检查请求是否超出频率限制：/mcp 和 /api/* 按路由计数，MCP 的 tools/call 另按工具计数
+ * @param {Request} request
+ * @param {object} env - Worker 环境变量 / 绑定
+ * @param {object} options
+ * @param {string} options.path - 请求路径
+ * @param {object} [options.authInfo] - 认证信息，已认证时按 API 密钥计数
+ * @param {'zh'|'en'} [options.lang='zh'] - 路由限流错误信息使用的语言；工具限流按工具参数中的 locale
+ * @returns {Promise<{ result?: object, response?: Response }|null>} 不限流时返回 null；
+ *   超出限额时 response 为 429 响应，单个 tools/call 则为 isError 的工具结果；
+ *   JSON-RPC 批量请求中任一工具超出限额时整个批量请求返回 429；限流配置有误时 response 为对应的错误响应
+ */
+async function checkRequestRateLimit(request, env, { path, authInfo, lang = 'zh' }) {
+  const isMcp = path === '/mcp' || path === '/mcp/';
+  if (!isMcp && !path.startsWith('/api/')) return null;
+
+  const client = rateLimitClientKey(request, authInfo);
+  try {
+    const routeResult = await consumeRateLimit(env, client, { route: path });
+    if (routeResult && !routeResult.allowed) {
+      return { result: routeResult, response: errorResponse(rateLimitError(routeResult), { headers: rateLimitHeaders(routeResult), lang }) };
+    }
+    const toolLimit = isMcp && request.method === 'POST' ? await checkToolRateLimits(request, env, client) : null;
+    return toolLimit ?? (routeResult && { result: routeResult });
+  } catch (err) {
+    return { response: errorResponse(err, { lang }) };
+  }
+}
+
+/**
+ * 检查 MCP 请求中 tools/call 的工具限额。
+ * 同一工具的多次调用一次消耗对应数量的令牌；JSON-RPC 批量请求中任一工具超出限额时，
+ * 退还已为其他工具消耗的令牌，整个批量请求都不执行，客户端不会为没有执行的调用付出令牌。
+ * @param {Request} request
+ * @param {object} env - Worker 环境变量 / 绑定
+ * @param {string} client - rateLimitClientKey 的返回值
+ * @returns {Promise<{ result: object, response?: Response }|null>} 没有适用的工具限额时返回 null
+ */
+async function checkToolRateLimits(request, env, client) {
+  const body = await request.clone().json().catch(() => null);
+  const calls = new Map();
+  for (const message of Array.isArray(body) ? body : [body]) {
+    if (message?.method !== 'tools/call' || typeof message.params?.name !== 'string') continue;
+    const call = calls.get(message.params.name) ?? { message, cost: 0 };
+    call.cost += 1;
+    calls.set(message.params.name, call);
+  }
+
+  const consumed = [];
+  for (const [tool, { message, cost }] of calls) {
+    const toolResult = await consumeRateLimit(env, client, { tool }, { cost });
+    if (!toolResult) continue;
+    if (!toolResult.allowed) {
+      for (const previous of consumed) {
+        await refundRateLimit(env, client, { tool: previous.tool }, { cost: previous.cost });
+      }
+      const toolLang = resolveUiLanguage(message.params.arguments?.locale);
+      const headers = rateLimitHeaders(toolResult);
+      if (Array.isArray(body)) {
+        return { result: toolResult, response: errorResponse(rateLimitError(toolResult), { headers, lang: toolLang }) };
+      }
+      const result = { jsonrpc: '2.0', id: message.id ?? null, result: toolErrorResult(rateLimitError(toolResult), toolLang) };
+      return { result: toolResult, response: jsonResponse(result, 200, headers) };
+    }
+    consumed.push({ tool, cost, result: toolResult });
+  }
+  if (!consumed.length) return null;
+  // 工具有单独的限额时，响应头反映剩余次数最少的工具限额
+  return { result: consumed.map(call => call.result).reduce((a, b) => (b.remaining < a.remaining ? b : a)) };
+}
 
-function jsonResponse(data, status = 200) {
+/**
+ * 为响应追加响应头（响应头可能不可修改，因此复制一份响应）
+ * @param {Response} response
+ * @param {object} headers
+ * @returns {Response}
+ */
+function withHeaders(response, headers) {
+  const copy = new Response(response.body, response);
+  for (const [name, value] of Object.entries(headers)) copy.headers.set(name, value);
+  return copy;
+}
+
+function jsonResponse(data, status = 200, headers = {}) {
   return new Response(JSON.stringify(data, null, 2), {
     status,
-    headers: { 'Content-Type': 'application/json' },
+    headers: { 'Content-Type': 'application/json', ...headers },
   });
 }
 
+/**
+ * 按错误类型返回对应的状态码和 { error, code } 响应体；洛谷限流时附带 Retry-After
+ * @param {unknown} err
+ * @param {object} [options]
+ * @param {object} [options.headers] - 额外的响应头，如认证失败时的 WWW-Authenticate
+ * @param {'zh'|'en'} [options.lang='zh'] - 错误信息使用的语言
+ */
+function errorResponse(err, { headers = {}, lang = 'zh' } = {}) {
+  const body = errorBody(err, lang);
+  if (body.retryAfter !== undefined) headers = { ...headers, 'Retry-After': String(body.retryAfter) };
+  return jsonResponse(body, errorStatus(err), headers);
+}
+
+/**
+ * 请求的题面语言：?locale= 或 ?lang=
+ * @throws {InvalidParameterError} 语言代码格式不合法
+ */
+function requestLocale(url) {
+  return resolveLocale(url.searchParams.get('locale') ?? url.searchParams.get('lang'));
+}
+
+/** 查询参数存在且不为 0 / false 时视为开启，如 ?expand=1、?nocache */
+function isTruthyParam(value) {
+  return value !== null && value !== '0' && value !== 'false';
+}
+
+/**
+ * 判断请求是否要求跳过缓存：?nocache=1 或 Cache-Control: no-cache
+ */
+function wantsFreshData(request, url) {
+  if (isTruthyParam(url.searchParams.get('nocache'))) return true;
+  return /no-cache|no-store/i.test(request.headers.get('Cache-Control') ?? '');
+}
+
+/**
+ * 题目响应的缓存头。开启认证时响应只能由客户端自己缓存，
+ * 避免共享缓存（CDN、代理）把已认证的响应返回给没有密钥的请求。
+ */
+function cacheHeaders(cacheStatus, ttl, env) {
+  return {
+    'Cache-Control': `${isAuthEnabled(env) ? 'private' : 'public'}, max-age=${ttl}`,
+    'X-Cache': cacheStatus,
+  };
+}
+
 // ---------------------------------------------------------------------------
 // Frontend HTML
 // ---------------------------------------------------------------------------
@@ -345,12 +710,36 @@ const FRONTEND_HTML = `<!DOCTYPE html>
           </div>
           <div class="doc-item">
             <code>GET /api/problem/:id</code>
-            <p>直接获取题目 JSON，如 /api/problem/P1001</p>
+            <p>直接获取题目 JSON，如 /api/problem/P1001；?format=markdown/raw/text/html 选择题面格式，?locale=en 选择题面语言</p>
           </div>
           <div class="doc-item">
             <code>GET /api/fetch?url=</code>
             <p>通过完整 URL 获取题目，如 ?url=https://www.luogu.com.cn/problem/P1001</p>
           </div>
+          <div class="doc-item">
+            <code>GET /api/problem/:id/solutions</code>
+            <p>题解列表，追加 /:solutionId 获取单篇题解全文</p>
+          </div>
+          <div class="doc-item">
+            <code>GET /api/user/:user</code>
+            <p>用户信息（UID 或用户名），追加 /practice 获取按难度分组的练习记录</p>
+          </div>
+          <div class="doc-item">
+            <code>GET /api/contest/:id</code>
+            <p>比赛信息（?expand=1 附带完整题面），追加 /ranking 获取排行榜</p>
+          </div>
+          <div class="doc-item">
+            <code>GET /api/training/:id</code>
+            <p>题单信息与题目列表，?expand=1 附带完整题面</p>
+          </div>
+          <div class="doc-item">
+            <code>POST /api/problems</code>
+            <p>批量获取题目，请求体 {"ids": ["P1001", "P1002"]}</p>
+          </div>
+          <div class="doc-item">
+            <code>GET /api/search</code>
+            <p>搜索题目，如 ?keyword=区间&amp;difficulty=4&amp;tags=3</p>
+          </div>
         </div>
       </div>
     </div>
@@ -2,105 +2,540 @@
  * MCP 服务器实现
  * 使用官方 @modelcontextprotocol/sdk，符合 MCP 2025-11-25 标准。
  * 每次请求创建独立的 McpServer + WebStandardStreamableHTTPServerTransport（无状态模式），
- * 适合 Cloudflare Workers 无持久内存的运行环境。
+ * 适合 Cloudflare Workers 无持久内存的运行环境；可选的有状态会话见 sessions.js。
  */
 
-import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { McpServer, ResourceTemplate } from '@modelcontextprotocol/sdk/server/mcp.js';
 import { WebStandardStreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/webStandardStreamableHttp.js';
 import { CfWorkerJsonSchemaValidator } from '@modelcontextprotocol/sdk/validation/cfworker';
 import { z } from 'zod';
-import { fetchProblemPage } from './fetcher.js';
-import { parseProblemHtml } from './parser.js';
+import { getCachedProblem, listRecentProblems } from './cache.js';
+import { searchProblems, PROBLEM_TYPES } from './search.js';
+import { listSolutions, getSolution } from './solutions.js';
+import { getUser, getUserPractice } from './users.js';
+import { getContest, getContestRanking } from './contests.js';
+import { getTraining } from './trainings.js';
+import { listTags, TAG_TYPES } from './tags.js';
+import { PROMPTS } from './prompts.js';
+import { CONTENT_FORMATS, guessImageMimeType } from './content.js';
+import { fetchImage } from './fetcher.js';
+import { translate, resolveUiLanguage, LOCALE_RE } from './i18n.js';
+import { mapWithConcurrency, PROBLEM_ID_RE } from './utils.js';
+import { InvalidIdError, InvalidParameterError, errorBody, errorMessage, errorStatus } from './errors.js';
+import { requireScope } from './auth.js';
 
 const SERVER_NAME = 'Luogu MCP Server';
 const SERVER_VERSION = '1.0.0';
 
-/** 洛谷题目ID格式：字母开头，后跟字母/数字/下划线，如 P1001, CF1234A, AT_abc123_a */
-const PROBLEM_ID_RE = /^[A-Za-z][A-Za-z0-9_]*$/;
+/** 题面格式参数，get_problem 与 get_problems 共用 */
+const FORMAT_ARG = z.enum(CONTENT_FORMATS).optional()
+  .describe('题面格式：markdown 规范化 Markdown（默认，保留公式和表格）、raw 洛谷原文、text 纯文本、html 安全 HTML');
+
+/** 题面语言参数，get_problem、get_problems 以及可展开题面的 get_contest、get_training 共用 */
+const LOCALE_ARG = z.string().regex(LOCALE_RE).optional()
+  .describe('题面语言，如 zh-CN、en；有对应翻译时返回翻译，否则返回原文。en 时输出的标题和提示也使用英文');
+
+/** 输出语言参数，其他工具共用：决定标题、字段名和错误信息的语言 */
+const OUTPUT_LOCALE_ARG = z.string().regex(LOCALE_RE).optional()
+  .describe('输出语言，如 zh-CN、en；en 时标题、字段名和错误信息使用英文，默认中文。洛谷的题目、标签等名称不翻译');
+
+/**
+ * get_problem 的结构化输出，字段与 parseProblemHtml 的返回值及 /api/problem/:id 一致
+ */
+const PROBLEM_OUTPUT_SCHEMA = {
+  id: z.string().describe('题目编号'),
+  url: z.string().describe('题目链接'),
+  title: z.string().describe('题目标题'),
+  type: z.string().nullable().describe('题目类型（题库），如 P、B、CF'),
+  difficultyNum: z.number().int().nullable().describe('难度数字（0-7），未知时为 null'),
+  difficulty: z.string().describe('难度文字描述，如 普及+/提高'),
+  tags: z.array(z.string()).describe('标签名称'),
+  tagsByType: z.record(z.string(), z.array(z.string()))
+    .describe('按类型分组的标签名称：algorithm、source、region、year、special、other'),
+  sources: z.array(z.string()).describe('来源标签，如 NOIP 提高组'),
+  years: z.array(z.number().int()).describe('年份标签'),
+  provider: z.object({ uid: z.number().int().nullable(), name: z.string() }).nullable().describe('题目提供者'),
+  background: z.string().describe('题目背景，没有时为空字符串'),
+  description: z.string().describe('题目描述（格式由 format 参数决定）'),
+  inputFormat: z.string().describe('输入格式'),
+  outputFormat: z.string().describe('输出格式'),
+  samples: z.array(z.object({ input: z.string(), output: z.string() })).describe('样例（按原样保留空白）'),
+  limit: z.string().describe('说明/提示（数据范围与约定）'),
+  testcaseLimits: z.array(z.object({
+    time: z.number().nullable().describe('时间限制（毫秒）'),
+    memory: z.number().nullable().describe('内存限制（KB）'),
+  })).describe('每个测试点的时间和内存限制'),
+  acceptedCount: z.number().int().nullable().describe('通过人数'),
+  submittedCount: z.number().int().nullable().describe('提交次数'),
+  hasTranslation: z.boolean().describe('是否有其他语言的题面'),
+  locale: z.string().describe('返回的题面语言'),
+  availableLocales: z.array(z.string()).describe('可用的题面语言，第一个为原始语言'),
+  images: z.array(z.object({
+    section: z.string().describe('图片所在字段：background、description、inputFormat、outputFormat 或 limit'),
+    alt: z.string().describe('图片说明文字'),
+    url: z.string().describe('图片地址'),
+  })).describe('题面中引用的图片'),
+  extractionStrategy: z.enum(['lentille', 'feInjection', 'contentOnly', 'html'])
+    .describe('题目数据的来源：lentille-context、_feInjection、?_contentOnly=1 接口或 HTML 解析'),
+};
+
+/**
+ * 工具执行出错时返回的 isError 结果：文本中带错误码，_meta.error 中为结构化的错误信息。
+ * 不使用 structuredContent，因为带 outputSchema 的工具（get_problem）的客户端会按 outputSchema 校验它。
+ * @param {unknown} err
+ * @param {'zh'|'en'} [lang='zh'] - 错误信息使用的语言
+ * @returns {object} CallToolResult
+ */
+export function toolErrorResult(err, lang = 'zh') {
+  const { error: message, ...error } = errorBody(err, lang);
+  return {
+    isError: true,
+    content: [{ type: 'text', text: `[${error.code}] ${message}` }],
+    _meta: { error: { ...error, message, status: errorStatus(err) } },
+  };
+}
+
+/**
+ * 包装工具回调，把抛出的错误转换为 toolErrorResult
+ * 开启认证时先检查 API 密钥的权限范围（见 auth.js）。工具参数中有 locale 时，错误信息使用对应的语言。
+ * @param {Function} handler - 工具回调
+ * @param {object} [options]
+ * @param {string} [options.scope='read'] - 调用此工具所需的权限范围（AUTH_SCOPES 之一）
+ * @returns {Function}
+ */
+function toolHandler(handler, { scope = 'read' } = {}) {
+  return async (...args) => {
+    try {
+      // 最后一个参数为 RequestHandlerExtra，认证信息在 authInfo 中
+      requireScope(args.at(-1)?.authInfo, scope);
+      return await handler(...args);
+    } catch (err) {
+      return toolErrorResult(err, resolveUiLanguage(args[0]?.locale));
+    }
+  };
+}
+
+/**
+ * 创建进度通知函数。
+ * 客户端在请求的 _meta.progressToken 中提供了令牌时发送 notifications/progress（随本次请求的 SSE 流返回，
+ * 会话模式下断线后可按 Last-Event-ID 恢复），否则什么都不做。
+ * @param {object} [extra] - 工具回调的第二个参数（RequestHandlerExtra）
+ * @returns {(progress: number, total?: number, message?: string) => void}
+ */
+function progressNotifier(extra) {
+  const progressToken = extra?._meta?.progressToken;
+  if (progressToken === undefined) return () => {};
+  return (progress, total, message) => {
+    const params = { progressToken, progress, total };
+    if (message) params.message = message;
+    // 通知发送失败（如客户端已断开）不影响工具本身的结果
+    extra.sendNotification({ method: 'notifications/progress', params }).catch(() => {});
+  };
+}
 
 /**
  * 创建并配置 McpServer 实例（注册所有工具）。
- * 每次请求调用一次，保证无状态。
+ * Worker 中每次请求调用一次，保证无状态；Node 的 stdio 模式（src/node.js）在进程内只创建一个。
+ * @param {object} [env] - Worker 环境变量 / 绑定，Node 下为 process.env
  */
-function createMcpServer() {
+export function createMcpServer(env = {}) {
   const server = new McpServer(
     { name: SERVER_NAME, version: SERVER_VERSION },
     { jsonSchemaValidator: new CfWorkerJsonSchemaValidator() },
   );
 
-  server.tool(
+  server.registerTool(
     'get_problem',
-    '根据题目编号获取洛谷题目详细信息，包括题面、输入输出格式、样例、数据范围等。',
-    { problem_id: z.string().describe('洛谷题目编号，如 P1001、B2002、CF1234A、AT_abc123_a') },
-    { title: '获取洛谷题目', readOnlyHint: true, openWorldHint: true },
-    async ({ problem_id }) => {
+    {
+      title: '获取洛谷题目',
+      description: '根据题目编号获取洛谷题目详细信息，包括题面、输入输出格式、样例、数据范围等。',
+      inputSchema: {
+        problem_id: z.string().describe('洛谷题目编号，如 P1001、B2002、CF1234A、AT_abc123_a'),
+        no_cache: z.boolean().optional().describe('为 true 时跳过缓存，直接从洛谷重新获取'),
+        format: FORMAT_ARG,
+        locale: LOCALE_ARG,
+        images: z.enum(['link', 'inline', 'none']).optional()
+          .describe('题面图片的返回方式：link 返回图片链接（默认）、inline 下载后以 base64 图片内嵌（超过大小上限的仍返回链接）、none 不返回'),
+      },
+      outputSchema: PROBLEM_OUTPUT_SCHEMA,
+      annotations: { readOnlyHint: true, openWorldHint: true },
+    },
+    toolHandler(async ({ problem_id, no_cache, format, locale, images = 'link' }) => {
+      const lang = resolveUiLanguage(locale);
       if (!PROBLEM_ID_RE.test(problem_id)) {
+        return toolErrorResult(new InvalidIdError({ key: 'invalidProblemId', params: { id: problem_id } }), lang);
+      }
+
+      const problem = await getProblemById(problem_id, { env, bypassCache: no_cache, format, locale });
+
+      return {
+        content: [
+          { type: 'text', text: formatProblemText(problem, lang) },
+          ...await buildImageContent(problem.images, images, env, lang),
+        ],
+        structuredContent: problem,
+      };
+    }),
+  );
+
+  server.registerTool(
+    'search_problems',
+    {
+      title: '搜索洛谷题目',
+      description: '按关键词、题目类型、难度和标签搜索洛谷题库，返回分页的题目列表（题号、标题、难度、标签）。',
+      inputSchema: {
+        keyword: z.string().optional().describe('搜索关键词，匹配题号或标题，如 区间、背包'),
+        type: z.enum(PROBLEM_TYPES).optional().describe('题目类型（题库）：P 主题库、B 入门与面试、CF、AT、SP、UVA'),
+        difficulty: z.union([z.number().int(), z.string()]).optional()
+          .describe('难度，0-7 的数字或难度名称，如 4 或 普及+/提高'),
+        min_difficulty: z.union([z.number().int(), z.string()]).optional().describe('最低难度（含），格式同 difficulty'),
+        max_difficulty: z.union([z.number().int(), z.string()]).optional().describe('最高难度（含），格式同 difficulty'),
+        tags: z.array(z.union([z.number().int(), z.string()])).optional()
+          .describe('标签ID或完整标签名称列表，如 [3] 或 ["动态规划 DP"]；不确定名称时先用 list_tags 查询'),
+        page: z.number().int().min(1).optional().describe('页码，从 1 开始'),
+        locale: OUTPUT_LOCALE_ARG,
+      },
+      annotations: { readOnlyHint: true, openWorldHint: true },
+    },
+    toolHandler(async ({ keyword, type, difficulty, min_difficulty, max_difficulty, tags, page, locale }, extra) => {
+      const lang = resolveUiLanguage(locale);
+      const notifyProgress = progressNotifier(extra);
+      notifyProgress(0, 1, translate(lang, 'searchProgress'));
+      const result = await searchProblems(
+        { keyword, type, difficulty, minDifficulty: min_difficulty, maxDifficulty: max_difficulty, tags, page },
+        { env },
+      );
+      notifyProgress(1, 1);
+
+      return {
+        content: [{ type: 'text', text: formatSearchText(result, lang) }],
+      };
+    }),
+  );
+
+  server.registerTool(
+    'list_tags',
+    {
+      title: '查找洛谷标签',
+      description: '列出或模糊查找洛谷标签（算法、来源、地区、年份、特殊题目），返回标签ID、类型和父标签。支持子串、拼音首字母（如 xds 匹配 线段树）和按顺序出现的字符匹配；返回的标签ID可用于 search_problems 的 tags 参数。',
+      inputSchema: {
+        keyword: z.string().optional().describe('查询内容，如 线段树、树形、dp、xds；为空时列出全部标签'),
+        types: z.array(z.enum(TAG_TYPES)).optional()
+          .describe('只返回这些类型的标签：algorithm 算法、source 来源、region 地区、year 年份、special 特殊题目'),
+        limit: z.number().int().min(1).max(500).optional().describe('最多返回的数量，默认 50'),
+        locale: OUTPUT_LOCALE_ARG,
+      },
+      annotations: { readOnlyHint: true, openWorldHint: false },
+    },
+    toolHandler(async ({ keyword, types, limit, locale }) => {
+      const result = await listTags({ keyword, types, limit }, { env });
+      return {
+        content: [{ type: 'text', text: formatTagListText(result, resolveUiLanguage(locale)) }],
+      };
+    }),
+  );
+
+  server.registerTool(
+    'get_solutions',
+    {
+      title: '获取洛谷题解',
+      description: '列出洛谷题目的题解（作者、点赞数、发布时间、摘要）；指定 solution_id 时返回该篇题解的完整 Markdown 正文。',
+      inputSchema: {
+        problem_id: z.string().describe('洛谷题目编号，如 P1001'),
+        solution_id: z.string().optional().describe('题解ID（来自题解列表），指定时返回该题解全文'),
+        page: z.number().int().min(1).optional().describe('题解列表页码，从 1 开始'),
+        locale: OUTPUT_LOCALE_ARG,
+      },
+      annotations: { readOnlyHint: true, openWorldHint: true },
+    },
+    toolHandler(async ({ problem_id, solution_id, page, locale }) => {
+      const lang = resolveUiLanguage(locale);
+      if (solution_id) {
+        const solution = await getSolution(solution_id, { problemId: problem_id, env });
         return {
-          isError: true,
-          content: [{
-            type: 'text',
-            text: `题目编号格式无效: ${problem_id}。请使用合法的洛谷题目编号，如 P1001、B2002、CF1234A、AT_abc123_a。`,
-          }],
+          content: [{ type: 'text', text: formatSolutionText(solution, lang) }],
         };
       }
 
-      const url = `https://www.luogu.com.cn/problem/${problem_id}`;
-      const html = await fetchProblemPage(url);
-      const info = parseProblemHtml(html);
+      const result = await listSolutions(problem_id, { page }, { env });
+      return {
+        content: [{ type: 'text', text: formatSolutionListText(result, lang) }],
+      };
+    }),
+  );
+
+  server.registerTool(
+    'get_user',
+    {
+      title: '获取洛谷用户',
+      description: '获取洛谷用户的基本信息（用户名、咕值排名、等级分、徽章、获奖记录、通过题数）。',
+      inputSchema: {
+        user: z.string().describe('洛谷 UID 或用户名，如 1 或 kkksc03'),
+        locale: OUTPUT_LOCALE_ARG,
+      },
+      annotations: { readOnlyHint: true, openWorldHint: true },
+    },
+    toolHandler(async ({ user, locale }) => {
+      const info = await getUser(user, { env });
+      return {
+        content: [{ type: 'text', text: formatUserText(info, resolveUiLanguage(locale)) }],
+      };
+    }),
+  );
+
+  server.registerTool(
+    'get_user_practice',
+    {
+      title: '获取洛谷用户练习记录',
+      description: '获取洛谷用户的练习记录：已通过和尝试过的题目，按难度分组。可只查看某个难度。',
+      inputSchema: {
+        user: z.string().describe('洛谷 UID 或用户名，如 1 或 kkksc03'),
+        difficulty: z.union([z.number().int(), z.string()]).optional()
+          .describe('只看某个难度，0-7 的数字或难度名称，如 4 或 普及+/提高'),
+        locale: OUTPUT_LOCALE_ARG,
+      },
+      annotations: { readOnlyHint: true, openWorldHint: true },
+    },
+    toolHandler(async ({ user, difficulty, locale }) => {
+      const practice = await getUserPractice(user, { difficulty }, { env });
+      return {
+        content: [{ type: 'text', text: formatPracticeText(practice, resolveUiLanguage(locale)) }],
+      };
+    }),
+  );
+
+  server.registerTool(
+    'get_contest',
+    {
+      title: '获取洛谷比赛',
+      description: '获取洛谷比赛信息：赛制（OI/IOI/ACM 等）、起止时间、题目列表及分值。expand 为 true 时附带每道题的完整题面。',
+      inputSchema: {
+        contest_id: z.union([z.number().int(), z.string()]).describe('洛谷比赛编号，如 12345'),
+        expand: z.boolean().optional().describe('为 true 时获取并附带每道题的完整题面'),
+        locale: LOCALE_ARG,
+      },
+      annotations: { readOnlyHint: true, openWorldHint: true },
+    },
+    toolHandler(async ({ contest_id, expand, locale }, extra) => {
+      const contest = await getContest(String(contest_id), { env });
+      const problems = expand
+        ? await expandProblems(contest.problems, { env, locale, onProgress: progressNotifier(extra) })
+        : contest.problems;
+      return {
+        content: [{ type: 'text', text: formatContestText({ ...contest, problems }, resolveUiLanguage(locale)) }],
+      };
+    }),
+  );
+
+  server.registerTool(
+    'get_contest_ranking',
+    {
+      title: '获取洛谷比赛排行榜',
+      description: '获取洛谷比赛排行榜（分页），包括排名、用户、总分和每题得分。',
+      inputSchema: {
+        contest_id: z.union([z.number().int(), z.string()]).describe('洛谷比赛编号，如 12345'),
+        page: z.number().int().min(1).optional().describe('页码，从 1 开始'),
+        locale: OUTPUT_LOCALE_ARG,
+      },
+      annotations: { readOnlyHint: true, openWorldHint: true },
+    },
+    toolHandler(async ({ contest_id, page, locale }) => {
+      const ranking = await getContestRanking(String(contest_id), { page }, { env });
+      return {
+        content: [{ type: 'text', text: formatRankingText(ranking, resolveUiLanguage(locale)) }],
+      };
+    }),
+  );
 
+  server.registerTool(
+    'get_training',
+    {
+      title: '获取洛谷题单',
+      description: '获取洛谷题单：标题、简介、创建者以及按顺序排列的题目列表（难度、标签）。expand 为 true 时附带每道题的完整题面。',
+      inputSchema: {
+        training_id: z.union([z.number().int(), z.string()]).describe('洛谷题单编号，如 100'),
+        expand: z.boolean().optional().describe('为 true 时获取并附带每道题的完整题面'),
+        locale: LOCALE_ARG,
+      },
+      annotations: { readOnlyHint: true, openWorldHint: true },
+    },
+    toolHandler(async ({ training_id, expand, locale }, extra) => {
+      const training = await getTraining(String(training_id), { env });
+      const problems = expand
+        ? await expandProblems(training.problems, { env, locale, onProgress: progressNotifier(extra) })
+        : training.problems;
       return {
-        content: [{ type: 'text', text: formatProblemText({ id: problem_id, url, ...info }) }],
+        content: [{ type: 'text', text: formatTrainingText({ ...training, problems }, resolveUiLanguage(locale)) }],
       };
+    }),
+  );
+
+  server.registerTool(
+    'get_problems',
+    {
+      title: '批量获取洛谷题目',
+      description: '批量获取多道洛谷题目（并发请求），结果按输入顺序返回；单题失败时只标记该题，不影响其他题目。',
+      inputSchema: {
+        problem_ids: z.array(z.string()).min(1).describe('洛谷题目编号列表，如 ["P1001", "P1002"]'),
+        concurrency: z.number().int().min(1).optional().describe('并发请求数，不超过服务端配置的上限'),
+        format: FORMAT_ARG,
+        locale: LOCALE_ARG,
+      },
+      annotations: { readOnlyHint: true, openWorldHint: true },
     },
+    toolHandler(async ({ problem_ids, concurrency, format, locale }, extra) => {
+      const results = await getProblemsByIds(problem_ids, {
+        env, concurrency, format, locale, onProgress: progressNotifier(extra),
+      });
+      return {
+        content: [{ type: 'text', text: formatBatchText(results, resolveUiLanguage(locale)) }],
+      };
+    }),
   );
 
+  // 题目资源：luogu://problem/{id} 为 Markdown 题面，luogu://problem/{id}/json 为结构化数据
+  server.registerResource(
+    'problem',
+    new ResourceTemplate('luogu://problem/{id}', {
+      list: async () => ({
+        resources: listRecentProblems().map(({ id, title }) => ({
+          uri: `luogu://problem/${id}`,
+          name: `${id} ${title}`,
+          mimeType: 'text/markdown',
+        })),
+      }),
+      complete: {
+        id: value => listRecentProblems().map(p => p.id).filter(id => id.toUpperCase().startsWith(String(value).toUpperCase())),
+      },
+    }),
+    {
+      title: '洛谷题目（Markdown）',
+      description: '洛谷题目的完整题面，格式与 get_problem 工具的输出相同',
+      mimeType: 'text/markdown',
+    },
+    async (uri, { id }) => {
+      const problem = await getProblemById(String(id), { env });
+      return {
+        contents: [{ uri: uri.href, mimeType: 'text/markdown', text: formatProblemText(problem) }],
+      };
+    },
+  );
+
+  server.registerResource(
+    'problem-json',
+    new ResourceTemplate('luogu://problem/{id}/json', { list: undefined }),
+    {
+      title: '洛谷题目（JSON）',
+      description: '洛谷题目的结构化数据，字段与 /api/problem/:id 相同',
+      mimeType: 'application/json',
+    },
+    async (uri, { id }) => {
+      const problem = await getProblemById(String(id), { env });
+      return {
+        contents: [{ uri: uri.href, mimeType: 'application/json', text: JSON.stringify(problem, null, 2) }],
+      };
+    },
+  );
+
+  // 教学提示词：题面经 getProblemById 获取后嵌入提示词
+  for (const prompt of PROMPTS) {
+    server.registerPrompt(
+      prompt.name,
+      {
+        title: prompt.title,
+        description: prompt.description,
+        argsSchema: { problem_id: z.string().describe('洛谷题目编号，如 P1001'), ...prompt.args },
+      },
+      async ({ problem_id, ...args }) => {
+        const problem = await getProblemById(problem_id, { env });
+        return {
+          description: `${prompt.title}：${problem.id} ${problem.title}`,
+          messages: [{ role: 'user', content: { type: 'text', text: prompt.build(formatProblemText(problem), args) } }],
+        };
+      },
+    );
+  }
+
   return server;
 }
 
 /**
  * 处理 MCP HTTP 请求（无状态，每次请求独立）。
  * @param {Request} request
+ * @param {object} [env] - Worker 环境变量 / 绑定
+ * @param {object} [options]
+ * @param {object} [options.authInfo] - 认证信息（authenticateRequest 的返回值），传给工具回调
  * @returns {Promise<Response>}
  */
-export async function handleMcpRequest(request) {
+export async function handleMcpRequest(request, env = {}, { authInfo } = {}) {
   const transport = new WebStandardStreamableHTTPServerTransport({
     sessionIdGenerator: undefined, // 禁用 session 管理 = 无状态模式
   });
 
-  const server = createMcpServer();
+  const server = createMcpServer(env);
   await server.connect(transport);
-  return transport.handleRequest(request);
+  return transport.handleRequest(request, { authInfo });
 }
 
 // ---------------------------------------------------------------------------
 // Markdown 格式化
 // ---------------------------------------------------------------------------
 
-function formatProblemText({ id, url, title, difficulty, tags, description, inputFormat, outputFormat, samples, limit }) {
+/**
+ * 将题目格式化为 Markdown
+ * @param {object} problem - getProblemById 的返回值
+ * @param {'zh'|'en'} [lang='zh'] - 标题和字段名使用的语言
+ */
+function formatProblemText({
+  id, url, title, difficulty, tags, tagsByType, provider, background, description, inputFormat, outputFormat,
+  samples, limit, testcaseLimits, acceptedCount, submittedCount, availableLocales,
+}, lang = 'zh') {
+  const t = (key, params) => translate(lang, key, params);
+  const list = items => items.join(t('listSeparator'));
   const lines = [];
   lines.push(`# ${id} ${title}`);
   lines.push('');
-  lines.push(`**难度**: ${difficulty}  **标签**: ${tags?.length ? tags.join('、') : '无'}`);
-  lines.push(`**题目链接**: ${url}`);
+  // 有类型信息时按类型分组，如 算法: 动态规划 DP；来源: NOIP 提高组；年份: 2018
+  const groups = Object.entries(tagsByType ?? {});
+  const tagText = groups.length
+    ? groups.map(([type, names]) => `${t(`tagType_${type}`)}: ${list(names)}`).join(t('groupSeparator'))
+    : (tags?.length ? list(tags) : t('none'));
+  lines.push(`**${t('difficulty')}**: ${difficulty}  **${t('tags')}**: ${tagText}`);
+  if (testcaseLimits?.length) {
+    const time = formatLimitRange(testcaseLimits.map(l => l.time), formatTime) ?? t('unknown');
+    const memory = formatLimitRange(testcaseLimits.map(l => l.memory), formatMemory) ?? t('unknown');
+    lines.push(`**${t('timeLimit')}**: ${time}  **${t('memoryLimit')}**: ${memory}`);
+  }
+  if (acceptedCount !== null && acceptedCount !== undefined) {
+    lines.push(`**${t('accepted')}**: ${acceptedCount}  **${t('submitted')}**: ${submittedCount ?? t('unknown')}`);
+  }
+  if (provider) lines.push(`**${t('provider')}**: ${provider.name}${provider.uid ? t('providerUid', { uid: provider.uid }) : ''}`);
+  if (availableLocales?.length > 1) lines.push(`**${t('languages')}**: ${list(availableLocales)}`);
+  lines.push(`**${t('problemLink')}**: ${url}`);
   lines.push('');
-  lines.push('## 题目描述');
-  lines.push(description || '无');
+  if (background) {
+    lines.push(`## ${t('background')}`);
+    lines.push(background);
+    lines.push('');
+  }
+  lines.push(`## ${t('description')}`);
+  lines.push(description || t('none'));
   lines.push('');
-  lines.push('## 输入格式');
-  lines.push(inputFormat || '无');
+  lines.push(`## ${t('inputFormat')}`);
+  lines.push(inputFormat || t('none'));
   lines.push('');
-  lines.push('## 输出格式');
-  lines.push(outputFormat || '无');
+  lines.push(`## ${t('outputFormat')}`);
+  lines.push(outputFormat || t('none'));
   lines.push('');
 
   if (samples?.length) {
     samples.forEach((s, i) => {
-      lines.push(`## 样例 ${i + 1}`);
-      lines.push('**输入**');
+      lines.push(`## ${t('sample', { index: i + 1 })}`);
+      lines.push(`**${t('sampleInput')}**`);
       lines.push('```');
       lines.push(s.input);
       lines.push('```');
-      lines.push('**输出**');
+      lines.push(`**${t('sampleOutput')}**`);
       lines.push('```');
       lines.push(s.output);
       lines.push('```');
@@ -109,25 +544,393 @@ function formatProblemText({ id, url, title, difficulty, tags, description, inpu
   }
 
   if (limit) {
-    lines.push('## 说明/提示');
+    lines.push(`## ${t('limit')}`);
     lines.push(limit);
   }
 
   return lines.join('\n');
 }
 
+function formatTime(ms) {
+  return ms >= 1000 ? `${(ms / 1000).toFixed(2)}s` : `${ms}ms`;
+}
+
+function formatMemory(kb) {
+  return kb >= 1024 ? `${(kb / 1024).toFixed(2)}MB` : `${kb}KB`;
+}
+
+/** 各测试点限制相同时显示一个值，否则显示范围；全部未知时返回 null */
+function formatLimitRange(values, format) {
+  const known = values.filter(v => v !== null && v !== undefined);
+  if (!known.length) return null;
+  const min = Math.min(...known);
+  const max = Math.max(...known);
+  return min === max ? format(min) : `${format(min)} ~ ${format(max)}`;
+}
+
+function formatBatchText(results, lang = 'zh') {
+  const failed = results.filter(r => !r.ok).length;
+  const lines = [`# ${translate(lang, 'batchHeader', { ok: results.length - failed, failed })}`];
+  for (const r of results) {
+    lines.push('');
+    lines.push(r.ok ? formatProblemText(r.problem, lang) : `# ${translate(lang, 'batchFailed', { id: r.id, error: r.error })}`);
+  }
+  return lines.join('\n');
+}
+
+/** 分页信息，如 第 2/5 页 */
+function pageOf({ page, perPage, total }) {
+  const pageCount = perPage ? Math.ceil(total / perPage) : 1;
+  return { key: 'pageOf', params: { page, pageCount: Math.max(pageCount, 1) } };
+}
+
+function formatSearchText({ page, perPage, total, problems }, lang = 'zh') {
+  const t = (key, params) => translate(lang, key, params);
+  const list = items => items.join(t('listSeparator'));
+  const lines = [];
+  lines.push(`# ${t('searchHeader', { total, pageOf: pageOf({ page, perPage, total }) })}`);
+  lines.push('');
+
+  if (!problems.length) {
+    lines.push(t('searchEmpty'));
+    return lines.join('\n');
+  }
+
+  lines.push(`| ${t('colId')} | ${t('colTitle')} | ${t('difficulty')} | ${t('tags')} |`);
+  lines.push('|---|---|---|---|');
+  for (const p of problems) {
+    lines.push(`| ${p.id} | ${p.title} | ${p.difficulty} | ${p.tags.length ? list(p.tags) : t('none')} |`);
+  }
+
+  return lines.join('\n');
+}
+
+function formatTagListText({ keyword, total, tags }, lang = 'zh') {
+  const t = (key, params) => translate(lang, key, params);
+  const lines = [];
+  lines.push(`# ${keyword ? t('tagQueryHeader', { keyword, total }) : t('tagListHeader', { total })}`);
+  lines.push('');
+
+  if (!tags.length) {
+    lines.push(t('tagEmpty'));
+    return lines.join('\n');
+  }
+
+  lines.push(`| ID | ${t('colName')} | ${t('colType')} | ${t('colParent')} |`);
+  lines.push('|---|---|---|---|');
+  for (const tag of tags) {
+    lines.push(`| ${tag.id} | ${tag.name} | ${t(`tagType_${tag.type}`)} | ${tag.parentName ?? t('none')} |`);
+  }
+  if (tags.length < total) {
+    lines.push('');
+    lines.push(t('tagListTruncated', { shown: tags.length }));
+  }
+
+  return lines.join('\n');
+}
+
+function formatSolutionListText({ problemId, page, perPage, total, solutions }, lang = 'zh') {
+  const t = (key, params) => translate(lang, key, params);
+  const lines = [];
+  lines.push(`# ${t('solutionListHeader', { problemId, total, pageOf: pageOf({ page, perPage, total }) })}`);
+  lines.push('');
+
+  if (!solutions.length) {
+    lines.push(t('solutionListEmpty'));
+    return lines.join('\n');
+  }
+
+  for (const s of solutions) {
+    lines.push(`## ${s.title}`);
+    lines.push(`**${t('solutionId')}**: ${s.id}  **${t('author')}**: ${s.author?.name ?? t('unknown')}  **${t('votes')}**: ${s.votes}  **${t('published')}**: ${s.date ?? t('unknown')}`);
+    if (s.excerpt) lines.push(s.excerpt);
+    lines.push('');
+  }
+
+  lines.push(t('solutionListHint'));
+  return lines.join('\n');
+}
+
+function formatSolutionText({ title, author, votes, date, url, problemId, content }, lang = 'zh') {
+  const t = (key, params) => translate(lang, key, params);
+  const lines = [];
+  lines.push(`# ${title}`);
+  lines.push('');
+  lines.push(`**${t('author')}**: ${author?.name ?? t('unknown')}  **${t('votes')}**: ${votes}  **${t('published')}**: ${date ?? t('unknown')}`);
+  if (problemId) lines.push(`**${t('problem')}**: ${problemId}`);
+  lines.push(`**${t('solutionLink')}**: ${url}`);
+  lines.push('');
+  lines.push(content);
+  return lines.join('\n');
+}
+
+function formatUserText({ uid, name, slogan, rating, ranking, ccfLevel, badges, prizes, passedProblemCount, submittedProblemCount, url }, lang = 'zh') {
+  const t = (key, params) => translate(lang, key, params);
+  const list = items => items.join(t('listSeparator'));
+  const lines = [];
+  lines.push(`# ${t('userHeading', { name, uid })}`);
+  lines.push('');
+  if (slogan) lines.push(`> ${slogan}`, '');
+  lines.push(`**${t('ranking')}**: ${ranking ?? t('none')}  **${t('rating')}**: ${rating ?? t('none')}  **${t('ccfLevel')}**: ${ccfLevel || t('none')}`);
+  lines.push(`**${t('badges')}**: ${badges.length ? list(badges) : t('none')}`);
+  lines.push(`**${t('passedCount')}**: ${passedProblemCount ?? t('unknown')}  **${t('submittedCount')}**: ${submittedProblemCount ?? t('unknown')}`);
+  lines.push(`**${t('homepage')}**: ${url}`);
+
+  if (prizes.length) {
+    lines.push('');
+    lines.push(`## ${t('prizes')}`);
+    for (const p of prizes) {
+      lines.push(`- ${p.year ?? ''} ${p.contest ?? ''} ${p.prize ?? ''}`.trim());
+    }
+  }
+
+  return lines.join('\n');
+}
+
+function formatPracticeText({ uid, passed, attempted }, lang = 'zh') {
+  const t = (key, params) => translate(lang, key, params);
+  const list = items => items.join(t('listSeparator'));
+  const lines = [];
+  lines.push(`# ${t('practiceHeader', { uid })}`);
+
+  for (const [heading, group] of [['practicePassed', passed], ['practiceAttempted', attempted]]) {
+    lines.push('');
+    lines.push(`## ${t('problemCount', { label: { key: heading }, count: group.total })}`);
+    if (!group.total) {
+      lines.push(t('none'));
+      continue;
+    }
+    for (const level of group.byDifficulty) {
+      lines.push(`### ${t('problemCount', { label: level.difficulty, count: level.count })}`);
+      lines.push(list(level.problems.map(p => `${p.id} ${p.title}`)));
+    }
+  }
+
+  return lines.join('\n');
+}
+
+function formatContestText({ id, name, ruleType, startTime, endTime, host, participants, url, problems }, lang = 'zh') {
+  const t = (key, params) => translate(lang, key, params);
+  const lines = [];
+  lines.push(`# ${name}`);
+  lines.push('');
+  lines.push(`**${t('contestId')}**: ${id}  **${t('ruleType')}**: ${ruleType}  **${t('host')}**: ${host ?? t('unknown')}  **${t('participants')}**: ${participants ?? t('unknown')}`);
+  lines.push(`**${t('startTime')}**: ${startTime ?? t('unknown')}  **${t('endTime')}**: ${endTime ?? t('unknown')}`);
+  lines.push(`**${t('contestLink')}**: ${url}`);
+  lines.push('');
+  lines.push(`## ${t('problemList')}`);
+  lines.push(`| ${t('colId')} | ${t('colTitle')} | ${t('colScore')} | ${t('difficulty')} |`);
+  lines.push('|---|---|---|---|');
+  for (const p of problems) {
+    lines.push(`| [${p.id}](${p.url}) | ${p.title} | ${p.score ?? '-'} | ${p.difficulty} |`);
+  }
+
+  lines.push(...formatExpandedProblems(problems, lang));
+  return lines.join('\n');
+}
+
+function formatTrainingText({ id, title, description, owner, problemCount, url, problems }, lang = 'zh') {
+  const t = (key, params) => translate(lang, key, params);
+  const list = items => items.join(t('listSeparator'));
+  const lines = [];
+  lines.push(`# ${title}`);
+  lines.push('');
+  lines.push(`**${t('trainingId')}**: ${id}  **${t('owner')}**: ${owner?.name ?? t('unknown')}  **${t('problemTotal')}**: ${problemCount}`);
+  lines.push(`**${t('trainingLink')}**: ${url}`);
+  if (description) {
+    lines.push('');
+    lines.push(description);
+  }
+  lines.push('');
+  lines.push(`## ${t('problemList')}`);
+  lines.push(`| # | ${t('colId')} | ${t('colTitle')} | ${t('difficulty')} | ${t('tags')} |`);
+  lines.push('|---|---|---|---|---|');
+  problems.forEach((p, i) => {
+    lines.push(`| ${i + 1} | ${p.id} | ${p.title} | ${p.difficulty} | ${p.tags.length ? list(p.tags) : t('none')} |`);
+  });
+
+  lines.push(...formatExpandedProblems(problems, lang));
+  return lines.join('\n');
+}
+
+/** 展开的题目（expandProblems 的结果）沿用 get_problem 的格式 */
+function formatExpandedProblems(problems, lang = 'zh') {
+  const lines = [];
+  const expanded = problems.filter(p => p.detail || p.error).length;
+  if (expanded && expanded < problems.length) {
+    lines.push('');
+    lines.push(`> ${translate(lang, 'expandedPartially', { count: expanded })}`);
+  }
+  for (const p of problems) {
+    if (p.detail) {
+      lines.push('');
+      lines.push(formatProblemText(p.detail, lang));
+    } else if (p.error) {
+      lines.push('');
+      lines.push(`# ${translate(lang, 'batchFailed', { id: p.id, error: p.error })}`);
+    }
+  }
+  return lines;
+}
+
+function formatRankingText({ contestId, page, perPage, total, rows }, lang = 'zh') {
+  const t = (key, params) => translate(lang, key, params);
+  const lines = [];
+  lines.push(`# ${t('rankingHeader', { contestId, total, pageOf: pageOf({ page, perPage, total }) })}`);
+  lines.push('');
+
+  if (!rows.length) {
+    lines.push(t('rankingEmpty'));
+    return lines.join('\n');
+  }
+
+  const pids = [...new Set(rows.flatMap(r => Object.keys(r.details)))].sort();
+  lines.push(`| ${t('colRank')} | ${t('colUser')} | ${t('colTotal')} | ${pids.join(' | ')} |`);
+  lines.push(`|---|---|---|${pids.map(() => '---|').join('')}`);
+  for (const r of rows) {
+    lines.push(`| ${r.rank} | ${r.name} | ${r.score} | ${pids.map(pid => r.details[pid] ?? '-').join(' | ')} |`);
+  }
+
+  return lines.join('\n');
+}
+
+// ---------------------------------------------------------------------------
+// 题面图片
+// ---------------------------------------------------------------------------
+
+/** 内嵌图片的默认大小上限（字节），可通过 env.IMAGE_MAX_BYTES 覆盖 */
+const DEFAULT_IMAGE_MAX_BYTES = 1024 * 1024;
+
+function imageLink({ section, alt, url }, index, lang, note) {
+  const label = translate(lang, section);
+  const description = translate(lang, 'imageIn', { section: label });
+  return {
+    type: 'resource_link',
+    uri: url,
+    name: alt || translate(lang, 'imageName', { section: label, index: index + 1 }),
+    mimeType: guessImageMimeType(url),
+    description: note ? translate(lang, 'withNote', { text: description, note }) : description,
+  };
+}
+
+/**
+ * 将题面图片转换为 MCP 内容块
+ * @param {Array<{ section: string, alt: string, url: string }>} images - 题面图片
+ * @param {'link'|'inline'|'none'} mode - link 返回 resource_link；inline 下载并内嵌为 image，失败或过大时退回 resource_link
+ * @param {object} [env] - Worker 环境变量
+ * @param {'zh'|'en'} [lang='zh'] - 图片说明使用的语言
+ * @returns {Promise<object[]>} 内容块列表
+ */
+async function buildImageContent(images = [], mode, env = {}, lang = 'zh') {
+  if (mode === 'none') return [];
+  if (mode !== 'inline') return images.map((image, i) => imageLink(image, i, lang));
+
+  const maxBytes = Number(env.IMAGE_MAX_BYTES) > 0 ? Number(env.IMAGE_MAX_BYTES) : DEFAULT_IMAGE_MAX_BYTES;
+  const { concurrency } = getBatchLimits(env);
+  return mapWithConcurrency(images, concurrency, async (image, i) => {
+    try {
+      const { data, mimeType } = await fetchImage(image.url, { env, maxBytes });
+      return { type: 'image', data, mimeType };
+    } catch (err) {
+      return imageLink(image, i, lang, translate(lang, 'imageNotInlined', { reason: errorMessage(err, lang) }));
+    }
+  });
+}
+
 // ---------------------------------------------------------------------------
 // Direct API helper（供 /api/problem/:id 路由使用）
 // ---------------------------------------------------------------------------
 
-export async function getProblemById(problemId) {
+/**
+ * 根据题号获取题目（经过缓存）。
+ * @param {string} problemId - 洛谷题目编号
+ * @param {object} [options]
+ * @param {object} [options.env] - Worker 环境变量 / 绑定
+ * @param {boolean} [options.bypassCache] - 跳过缓存读取
+ * @param {string} [options.format] - 题面格式：'markdown' | 'raw' | 'text' | 'html'
+ * @param {string} [options.locale] - 题面语言，如 en、zh-CN
+ * @returns {Promise<object>} 题目信息对象
+ */
+export async function getProblemById(problemId, options = {}) {
   if (!problemId || !PROBLEM_ID_RE.test(problemId)) {
-    throw new Error('无效的洛谷题目编号格式');
+    throw new InvalidIdError({ key: 'invalidProblemIdFormat' });
   }
 
   const url = `https://www.luogu.com.cn/problem/${problemId}`;
-  const html = await fetchProblemPage(url);
-  const info = parseProblemHtml(html);
+  const { problem } = await getCachedProblem(url, options);
+
+  return { id: problemId, url, ...problem };
+}
 
-  return { id: problemId, url, ...info };
-}
\ No newline at end of file
+/** 批量获取的默认上限和并发数，可通过 env.BATCH_MAX_SIZE / env.BATCH_CONCURRENCY 覆盖 */
+const DEFAULT_BATCH_MAX_SIZE = 20;
+const DEFAULT_BATCH_CONCURRENCY = 4;
+
+/**
+ * 读取批量获取的配置
+ * @param {object} [env] - Worker 环境变量
+ * @returns {{ maxSize: number, concurrency: number }}
+ */
+export function getBatchLimits(env = {}) {
+  const maxSize = Number(env.BATCH_MAX_SIZE);
+  const concurrency = Number(env.BATCH_CONCURRENCY);
+  return {
+    maxSize: Number.isInteger(maxSize) && maxSize > 0 ? maxSize : DEFAULT_BATCH_MAX_SIZE,
+    concurrency: Number.isInteger(concurrency) && concurrency > 0 ? concurrency : DEFAULT_BATCH_CONCURRENCY,
+  };
+}
+
+/**
+ * 并发获取多道题目，结果顺序与输入一致；单题失败不影响其他题目，失败原因使用 options.locale 对应的语言。
+ * @param {string[]} problemIds - 题号列表
+ * @param {object} [options] - 同 getProblemById，另可指定：
+ * @param {number} [options.concurrency] - 并发数，不超过 env.BATCH_CONCURRENCY
+ * @param {(completed: number, total: number) => void} [options.onProgress] - 每完成一道题调用一次
+ * @returns {Promise<Array<{ id: string, ok: boolean, problem?: object, error?: string, code?: string }>>}
+ */
+export async function getProblemsByIds(problemIds, { concurrency, onProgress, ...options } = {}) {
+  const limits = getBatchLimits(options.env);
+  if (problemIds.length > limits.maxSize) {
+    throw new InvalidParameterError({ key: 'batchTooLarge', params: { max: limits.maxSize } });
+  }
+  const limit = Math.min(concurrency || limits.concurrency, limits.concurrency);
+  const lang = resolveUiLanguage(options.locale);
+  let completed = 0;
+
+  return mapWithConcurrency(problemIds, limit, async id => {
+    try {
+      return { id, ok: true, problem: await getProblemById(id, options) };
+    } catch (err) {
+      return { id, ok: false, ...errorBody(err, lang) };
+    } finally {
+      onProgress?.(++completed, problemIds.length);
+    }
+  });
+}
+
+/**
+ * 为题目列表中的每一项获取完整题目信息（有限并发，单题失败不影响其他题目）。
+ * 与批量获取一样最多展开 env.BATCH_MAX_SIZE 道题目，之后的项原样返回。
+ * 返回新的数组和对象，不修改 entries（它可能来自缓存，被其他请求共用）。
+ * @param {Array<{ id: string }>} entries - 题目列表项，id 为题号
+ * @param {object} [options] - 同 getProblemById，另可指定：
+ * @param {(completed: number, total: number) => void} [options.onProgress] - 每完成一道题调用一次
+ * @returns {Promise<object[]>} 展开的项附带 detail（题目信息）或 error / errorCode（错误信息和错误码，错误信息使用 options.locale 对应的语言）
+ */
+export async function expandProblems(entries, { onProgress, ...options } = {}) {
+  const { maxSize, concurrency } = getBatchLimits(options.env);
+  const expanding = entries.slice(0, maxSize);
+  const lang = resolveUiLanguage(options.locale);
+  let completed = 0;
+  const expanded = await mapWithConcurrency(expanding, concurrency, async entry => {
+    try {
+      return { ...entry, detail: await getProblemById(entry.id, options) };
+    } catch (err) {
+      const { error, code } = errorBody(err, lang);
+      return { ...entry, error, errorCode: code };
+    } finally {
+      onProgress?.(++completed, expanding.length);
+    }
+  });
+  return [...expanded, ...entries.slice(maxSize).map(entry => ({ ...entry }))];
+}
@@ -0,0 +1,358 @@
+/**
+ * 文本模板
+ * MCP 文本输出的标题、字段名和错误信息的中英文模板，由 i18n.js 按题面语言选用。
+ * 不依赖其他模块，errors.js 也从这里取错误信息的默认（中文）文本。
+ */
+
+/**
+ * 文本模板，{name} 为占位符。
+ * 占位符的取值可以是另一条文本（{ key, params }，按同一语言翻译）或数组（用 listSeparator 连接）。
+ */
+const MESSAGES = {
+  zh: {
+    background: '题目背景',
+    description: '题目描述',
+    inputFormat: '输入格式',
+    outputFormat: '输出格式',
+    limit: '说明/提示',
+    sample: '样例 {index}',
+    sampleInput: '输入',
+    sampleOutput: '输出',
+    none: '无',
+    unknown: '未知',
+    difficulty: '难度',
+    tags: '标签',
+    tagType_algorithm: '算法',
+    tagType_source: '来源',
+    tagType_region: '地区',
+    tagType_year: '年份',
+    tagType_special: '特殊题目',
+    tagType_other: '其他',
+    groupSeparator: '；',
+    timeLimit: '时间限制',
+    memoryLimit: '内存限制',
+    accepted: '通过',
+    submitted: '提交',
+    provider: '提供者',
+    providerUid: '（UID {uid}）',
+    languages: '题面语言',
+    problemLink: '题目链接',
+    listSeparator: '、',
+    imageIn: '{section}中的图片',
+    imageName: '{section}图片 {index}',
+    imageNotInlined: '未内嵌：{reason}',
+    withNote: '{text}（{note}）',
+    invalidProblemId: '题目编号格式无效: {id}。请使用合法的洛谷题目编号，如 P1001、B2002、CF1234A、AT_abc123_a。',
+    batchHeader: '批量获取结果（成功 {ok} 题，失败 {failed} 题）',
+    batchFailed: '{id} 获取失败: {error}',
+    // 其他工具的文本输出
+    pageOf: '第 {page}/{pageCount} 页',
+    colId: '题号',
+    colTitle: '标题',
+    colName: '名称',
+    colType: '类型',
+    colParent: '父标签',
+    colScore: '分值',
+    colRank: '排名',
+    colUser: '用户',
+    colTotal: '总分',
+    searchHeader: '搜索结果（共 {total} 题，{pageOf}）',
+    searchEmpty: '没有找到符合条件的题目。',
+    searchProgress: '正在搜索洛谷题库',
+    tagQueryHeader: '标签查询「{keyword}」（共 {total} 个）',
+    tagListHeader: '标签列表（共 {total} 个）',
+    tagEmpty: '没有找到匹配的标签，可以换用更短的关键词或拼音首字母。',
+    tagListTruncated: '仅显示前 {shown} 个，可用 limit 参数获取更多。',
+    solutionListHeader: '{problemId} 题解（共 {total} 篇，{pageOf}）',
+    solutionListEmpty: '暂无题解。',
+    solutionListHint: '使用 `solution_id` 参数获取某篇题解的完整内容。',
+    solutionId: '题解ID',
+    author: '作者',
+    votes: '赞',
+    published: '发布时间',
+    problem: '题目',
+    solutionLink: '题解链接',
+    userHeading: '{name}（UID {uid}）',
+    ranking: '咕值排名',
+    rating: '等级分',
+    ccfLevel: 'CCF 等级',
+    badges: '徽章',
+    passedCount: '通过题数',
+    submittedCount: '提交题数',
+    homepage: '主页',
+    prizes: '获奖记录',
+    practiceHeader: '用户 {uid} 的练习记录',
+    practicePassed: '已通过',
+    practiceAttempted: '尝试过但未通过',
+    problemCount: '{label}（{count} 题）',
+    contestId: '比赛编号',
+    ruleType: '赛制',
+    host: '主办',
+    participants: '参赛人数',
+    startTime: '开始时间',
+    endTime: '结束时间',
+    contestLink: '比赛链接',
+    problemList: '题目列表',
+    trainingId: '题单编号',
+    owner: '创建者',
+    problemTotal: '题目数',
+    trainingLink: '题单链接',
+    expandedPartially: '只展开了前 {count} 道题目，其余题目请用 get_problem 获取。',
+    rankingHeader: '比赛 {contestId} 排行榜（共 {total} 人，{pageOf}）',
+    rankingEmpty: '暂无排名。',
+    // 错误信息
+    upstreamDetail: '（洛谷: {message}）',
+    subject_page: '页面',
+    subject_problem: '题目',
+    subject_training: '题单',
+    subject_user: '用户',
+    subject_solution: '题解',
+    subject_contest: '比赛',
+    upstreamNotFound: '洛谷页面不存在',
+    upstreamForbidden: '洛谷拒绝了请求（403），可能触发了反爬验证',
+    upstreamRateLimited: '请求洛谷过于频繁，请稍后再试{detail}',
+    upstreamTimeout: '请求洛谷超时',
+    upstreamTimeoutStatus: '请求洛谷超时: {status}',
+    upstreamFailed: '请求失败: {status}',
+    upstreamUnreachable: '无法连接洛谷: {reason}',
+    upstreamUnavailable: '洛谷持续出错，暂停请求，请稍后再试',
+    pageChallenge: '洛谷返回了反爬验证页面，请稍后再试',
+    pageLoginRequired: '洛谷要求登录才能查看此{subject}{detail}',
+    pageForbidden: '洛谷拒绝访问此{subject}{detail}',
+    pageNotFound: '{subject}不存在{detail}',
+    pageError: '洛谷返回了错误页面{code}{detail}',
+    parseProblem: '无法解析洛谷题目页面',
+    parseProblemList: '无法解析洛谷题目列表页面',
+    parseSolution: '无法解析洛谷题解页面',
+    parseSolutionList: '无法解析洛谷题解列表页面',
+    parseUser: '无法解析洛谷用户页面',
+    parseUserSearch: '无法解析洛谷用户搜索结果',
+    parsePractice: '无法解析洛谷用户练习页面',
+    parseContest: '无法解析洛谷比赛页面',
+    parseScoreboard: '无法解析洛谷比赛排行榜',
+    parseTraining: '无法解析洛谷题单页面',
+    parseTagCatalog: '无法解析洛谷标签目录',
+    problemNotFound: '题目不存在: {id}',
+    userNotFound: '找不到洛谷用户: {user}',
+    solutionNotForProblem: '题目 {problemId} 没有编号为 {solutionId} 的题解',
+    invalidProblemIdFormat: '无效的洛谷题目编号格式',
+    invalidUser: '无效的洛谷用户名或UID: {user}',
+    invalidContestId: '无效的比赛编号: {id}',
+    invalidTrainingId: '无效的题单编号: {id}',
+    invalidSolutionId: '无效的题解编号格式',
+    invalidPage: '页码无效: {page}',
+    invalidLocale: '无效的语言代码: {locale}。请使用如 zh-CN、en 的语言代码',
+    unsupportedFormat: '不支持的内容格式: {format}。可选值: {options}',
+    unsupportedProblemType: '不支持的题目类型: {type}。可选值: {options}',
+    unsupportedTagType: '不支持的标签类型: {type}。可选值: {options}',
+    unknownDifficulty: '无法识别的难度: {value}。请使用 0-7 的数字或难度名称，如 普及+/提高',
+    difficultyRangeInverted: '最低难度不能高于最高难度',
+    unknownTag: '未知标签: {tag}',
+    invalidTagLimit: '无效的数量: {limit}，应为 1 到 {max} 的整数',
+    bodyNotJson: '请求体必须是 JSON',
+    bodyIdsRequired: '请求体必须包含非空的 "ids" 题号数组',
+    batchTooLarge: '一次最多获取 {max} 道题目',
+    missingUrl: '缺少 url 查询参数',
+    urlWithoutProblemId: '无法从链接中提取题目编号',
+    apiKeyRequired: '需要 API 密钥：请在 Authorization 请求头中提供 Bearer 令牌',
+    apiKeyInvalid: 'API 密钥无效',
+    apiKeyMissingScope: 'API 密钥缺少权限: {scope}',
+    apiKeysInvalid: 'API_KEYS 不是合法的 JSON',
+    sessionBindingMissing: 'MCP_SESSION_MODE=durable-object 需要配置 MCP_SESSIONS Durable Object 绑定',
+    rateLimiterBindingMissing: 'RATE_LIMIT_STORE=durable-object 需要配置 RATE_LIMITER Durable Object 绑定',
+    tooManyRequests: '请求过于频繁（{bucket}：每 {window} 秒 {limit} 次），请 {retryAfter} 秒后再试',
+    imageUrlInvalid: '无效的图片地址: {url}',
+    imageProtocolUnsupported: '不支持的图片地址: {protocol}',
+    imageHostNotAllowed: '不允许下载该域名的图片: {host}',
+    imageTooLarge: '图片过大: 超过上限 {max} 字节',
+    imageTooLargeDeclared: '图片过大: {size} 字节，上限 {max} 字节',
+    notAnImage: '不是图片: {type}',
+    unknownMimeType: '未知类型',
+  },
+  en: {
+    background: 'Background',
+    description: 'Description',
+    inputFormat: 'Input Format',
+    outputFormat: 'Output Format',
+    limit: 'Notes',
+    sample: 'Sample {index}',
+    sampleInput: 'Input',
+    sampleOutput: 'Output',
+    none: 'None',
+    unknown: 'Unknown',
+    difficulty: 'Difficulty',
+    tags: 'Tags',
+    tagType_algorithm: 'Algorithms',
+    tagType_source: 'Source',
+    tagType_region: 'Region',
+    tagType_year: 'Year',
+    tagType_special: 'Special',
+    tagType_other: 'Other',
+    groupSeparator: '; ',
+    timeLimit: 'Time limit',
+    memoryLimit: 'Memory limit',
+    accepted: 'Accepted',
+    submitted: 'Submitted',
+    provider: 'Provider',
+    providerUid: ' (UID {uid})',
+    languages: 'Languages',
+    problemLink: 'Link',
+    listSeparator: ', ',
+    imageIn: 'Image in {section}',
+    imageName: '{section} image {index}',
+    imageNotInlined: 'not inlined: {reason}',
+    withNote: '{text} ({note})',
+    invalidProblemId: 'Invalid problem ID: {id}. Use a Luogu problem ID such as P1001, B2002, CF1234A or AT_abc123_a.',
+    batchHeader: 'Batch results ({ok} succeeded, {failed} failed)',
+    batchFailed: 'Failed to fetch {id}: {error}',
+    // 其他工具的文本输出
+    pageOf: 'page {page}/{pageCount}',
+    colId: 'ID',
+    colTitle: 'Title',
+    colName: 'Name',
+    colType: 'Type',
+    colParent: 'Parent',
+    colScore: 'Score',
+    colRank: 'Rank',
+    colUser: 'User',
+    colTotal: 'Total',
+    searchHeader: 'Search results ({total} problems, {pageOf})',
+    searchEmpty: 'No matching problems found.',
+    searchProgress: 'Searching the Luogu problem set',
+    tagQueryHeader: 'Tags matching "{keyword}" ({total} total)',
+    tagListHeader: 'Tags ({total} total)',
+    tagEmpty: 'No matching tags; try a shorter keyword or pinyin initials.',
+    tagListTruncated: 'Showing the first {shown}; use the limit argument to get more.',
+    solutionListHeader: 'Solutions for {problemId} ({total} total, {pageOf})',
+    solutionListEmpty: 'No solutions yet.',
+    solutionListHint: 'Use the `solution_id` argument to get the full text of a solution.',
+    solutionId: 'Solution ID',
+    author: 'Author',
+    votes: 'Votes',
+    published: 'Published',
+    problem: 'Problem',
+    solutionLink: 'Solution link',
+    userHeading: '{name} (UID {uid})',
+    ranking: 'Ranking',
+    rating: 'Rating',
+    ccfLevel: 'CCF level',
+    badges: 'Badges',
+    passedCount: 'Solved',
+    submittedCount: 'Attempted',
+    homepage: 'Profile',
+    prizes: 'Awards',
+    practiceHeader: 'Practice record of user {uid}',
+    practicePassed: 'Solved',
+    practiceAttempted: 'Attempted but not solved',
+    problemCount: '{label} ({count} problems)',
+    contestId: 'Contest ID',
+    ruleType: 'Format',
+    host: 'Host',
+    participants: 'Participants',
+    startTime: 'Start',
+    endTime: 'End',
+    contestLink: 'Contest link',
+    problemList: 'Problems',
+    trainingId: 'Problem list ID',
+    owner: 'Owner',
+    problemTotal: 'Problems',
+    trainingLink: 'Problem list link',
+    expandedPartially: 'Only the first {count} problems were expanded; use get_problem for the rest.',
+    rankingHeader: 'Contest {contestId} ranking ({total} participants, {pageOf})',
+    rankingEmpty: 'No rankings yet.',
+    // 错误信息
+    upstreamDetail: ' (Luogu: {message})',
+    subject_page: 'page',
+    subject_problem: 'problem',
+    subject_training: 'problem list',
+    subject_user: 'user',
+    subject_solution: 'solution',
+    subject_contest: 'contest',
+    upstreamNotFound: 'The Luogu page does not exist',
+    upstreamForbidden: 'Luogu refused the request (403), possibly due to anti-bot protection',
+    upstreamRateLimited: 'Too many requests to Luogu, please try again later{detail}',
+    upstreamTimeout: 'Luogu timed out',
+    upstreamTimeoutStatus: 'Luogu timed out: {status}',
+    upstreamFailed: 'Request failed: {status}',
+    upstreamUnreachable: 'Could not connect to Luogu: {reason}',
+    upstreamUnavailable: 'Luogu keeps failing, requests are paused; please try again later',
+    pageChallenge: 'Luogu returned an anti-bot challenge page, please try again later',
+    pageLoginRequired: 'Luogu requires login to view this {subject}{detail}',
+    pageForbidden: 'Luogu denied access to this {subject}{detail}',
+    pageNotFound: 'The {subject} does not exist{detail}',
+    pageError: 'Luogu returned an error page{code}{detail}',
+    parseProblem: 'Could not parse the Luogu problem page',
+    parseProblemList: 'Could not parse the Luogu problem list page',
+    parseSolution: 'Could not parse the Luogu solution page',
+    parseSolutionList: 'Could not parse the Luogu solution list page',
+    parseUser: 'Could not parse the Luogu user page',
+    parseUserSearch: 'Could not parse the Luogu user search results',
+    parsePractice: 'Could not parse the Luogu practice page',
+    parseContest: 'Could not parse the Luogu contest page',
+    parseScoreboard: 'Could not parse the Luogu contest scoreboard',
+    parseTraining: 'Could not parse the Luogu problem list',
+    parseTagCatalog: 'Could not parse the Luogu tag catalog',
+    problemNotFound: 'Problem not found: {id}',
+    userNotFound: 'Luogu user not found: {user}',
+    solutionNotForProblem: 'Problem {problemId} has no solution {solutionId}',
+    invalidProblemIdFormat: 'Invalid Luogu problem ID format',
+    invalidUser: 'Invalid Luogu username or UID: {user}',
+    invalidContestId: 'Invalid contest ID: {id}',
+    invalidTrainingId: 'Invalid problem list ID: {id}',
+    invalidSolutionId: 'Invalid solution ID format',
+    invalidPage: 'Invalid page number: {page}',
+    invalidLocale: 'Invalid language code: {locale}. Use a code such as zh-CN or en',
+    unsupportedFormat: 'Unsupported content format: {format}. Supported: {options}',
+    unsupportedProblemType: 'Unsupported problem type: {type}. Supported: {options}',
+    unsupportedTagType: 'Unsupported tag type: {type}. Supported: {options}',
+    unknownDifficulty: 'Unrecognized difficulty: {value}. Use a number from 0 to 7 or a difficulty name such as 普及+/提高',
+    difficultyRangeInverted: 'The minimum difficulty cannot be higher than the maximum difficulty',
+    unknownTag: 'Unknown tag: {tag}',
+    invalidTagLimit: 'Invalid limit: {limit}, expected an integer from 1 to {max}',
+    bodyNotJson: 'Request body must be JSON',
+    bodyIdsRequired: 'Body must contain a non-empty "ids" array of problem IDs',
+    batchTooLarge: 'At most {max} problems can be fetched at once',
+    missingUrl: 'Missing url query parameter',
+    urlWithoutProblemId: 'Cannot extract problem ID from the provided URL',
+    apiKeyRequired: 'An API key is required: provide a Bearer token in the Authorization header',
+    apiKeyInvalid: 'Invalid API key',
+    apiKeyMissingScope: 'The API key lacks the scope: {scope}',
+    apiKeysInvalid: 'API_KEYS is not valid JSON',
+    sessionBindingMissing: 'MCP_SESSION_MODE=durable-object requires an MCP_SESSIONS Durable Object binding',
+    rateLimiterBindingMissing: 'RATE_LIMIT_STORE=durable-object requires a RATE_LIMITER Durable Object binding',
+    tooManyRequests: 'Too many requests ({bucket}: {limit} per {window} s), please retry in {retryAfter} s',
+    imageUrlInvalid: 'Invalid image URL: {url}',
+    imageProtocolUnsupported: 'Unsupported image URL: {protocol}',
+    imageHostNotAllowed: 'Images from this host are not allowed: {host}',
+    imageTooLarge: 'Image too large: exceeds the {max}-byte limit',
+    imageTooLargeDeclared: 'Image too large: {size} bytes, limit {max} bytes',
+    notAnImage: 'Not an image: {type}',
+    unknownMimeType: 'unknown type',
+  },
+};
+
+/**
+ * 获取指定语言的文本
+ * @param {'zh'|'en'} lang - 输出语言
+ * @param {string} key - 文本键
+ * @param {object} [params] - 占位符取值
+ * @returns {string}
+ */
+function translate(lang, key, params = {}) {
+  const template = MESSAGES[lang]?.[key] ?? MESSAGES.zh[key] ?? key;
+  return template.replace(/\{(\w+)\}/g, (match, name) => (name in params ? formatParam(lang, params[name]) : match));
+}
+
+/**
+ * 占位符取值转换为文本
+ * @param {'zh'|'en'} lang - 输出语言
+ * @param {unknown} value - 字符串、数字、数组或 { key, params }
+ * @returns {string}
+ */
+function formatParam(lang, value) {
+  if (Array.isArray(value)) return value.map(item => formatParam(lang, item)).join(translate(lang, 'listSeparator'));
+  if (value && typeof value === 'object' && typeof value.key === 'string') return translate(lang, value.key, value.params);
+  return String(value);
+}
+
+export { translate, MESSAGES };
@@ -0,0 +1,133 @@
+/**
+ * Node.js 运行方式
+ * 不经过 wrangler，直接在本地 Node 进程中提供与 Worker 相同的工具：
+ *   - stdio：MCP 客户端以子进程方式启动，通过标准输入输出通信
+ *   - HTTP：用 node:http 承载 Worker 的 fetch 处理函数，提供 /mcp、REST API 和前端页面
+ * Node 下直接使用真正的 ajv（Worker 构建中的 src/stubs 别名只对 wrangler / vitest 生效），
+ * 本模块不会被 Worker 入口引用。
+ */
+
+import { createServer } from 'node:http';
+import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
+import worker from './index.js';
+import { createMcpServer } from './mcp-client.js';
+
+/** HTTP 模式的默认监听地址，与 wrangler dev 一致 */
+const DEFAULT_HTTP_HOST = '127.0.0.1';
+const DEFAULT_HTTP_PORT = 8787;
+
+/**
+ * 以 stdio 方式运行 MCP 服务器，直到标准输入关闭
+ * stdout 只用于 MCP 消息，日志请写到 stderr。
+ * @param {object} [env] - 环境变量，默认为 process.env
+ * @returns {Promise<McpServer>}
+ */
+async function startStdioServer(env = process.env) {
+  const server = createMcpServer(env);
+  await server.connect(new StdioServerTransport());
+  return server;
+}
+
+// ---------------------------------------------------------------------------
+// HTTP
+// ---------------------------------------------------------------------------
+
+/**
+ * 将 Node 的请求转换为 Fetch API 的 Request
+ * @param {import('node:http').IncomingMessage} req
+ * @param {string} origin - 请求没有 Host 头时使用的源，如 http://127.0.0.1:8787
+ * @returns {Promise<Request>}
+ */
+async function toFetchRequest(req, origin) {
+  const headers = new Headers();
+  for (const [name, value] of Object.entries(req.headers)) {
+    if (value === undefined) continue;
+    for (const item of Array.isArray(value) ? value : [value]) headers.append(name, item);
+  }
+  // 与 Cloudflare 一致，用 CF-Connecting-IP 告知客户端地址（限流按此区分客户端），覆盖客户端自带的同名请求头
+  if (req.socket?.remoteAddress) headers.set('CF-Connecting-IP', req.socket.remoteAddress);
+
+  let body;
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+    body = Buffer.concat(chunks);
+  }
+
+  const base = req.headers.host ? `http://${req.headers.host}` : origin;
+  return new Request(new URL(req.url ?? '/', base), { method: req.method, headers, body });
+}
+
+/**
+ * 将 Fetch API 的 Response 写回 Node 的响应（流式写出，支持 SSE）
+ * @param {Response} response
+ * @param {import('node:http').ServerResponse} res
+ */
+async function writeFetchResponse(response, res) {
+  const headers = Object.fromEntries(response.headers);
+  if (response.statusText) res.writeHead(response.status, response.statusText, headers);
+  else res.writeHead(response.status, headers);
+  if (!response.body) {
+    res.end();
+    return;
+  }
+  // SSE 流可能很久才有第一条消息，先把响应头发出去
+  res.flushHeaders();
+  const reader = response.body.getReader();
+  // 客户端断开时停止读取，避免 SSE 流一直挂着
+  res.on('close', () => reader.cancel().catch(() => {}));
+  try {
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      res.write(value);
+    }
+  } finally {
+    res.end();
+  }
+}
+
+/**
+ * 启动 HTTP 服务器，路由与 Worker 完全相同
+ * @param {object} [options]
+ * @param {number} [options.port] - 监听端口，默认为 env.PORT 或 8787
+ * @param {string} [options.host] - 监听地址，默认为 env.HOST 或 127.0.0.1
+ * @param {object} [options.env] - 环境变量，默认为 process.env
+ * @returns {Promise<import('node:http').Server>} 已开始监听的服务器
+ */
+async function startHttpServer({ port, host, env = process.env } = {}) {
+  const listenPort = Number(port ?? env.PORT ?? DEFAULT_HTTP_PORT);
+  const listenHost = host ?? env.HOST ?? DEFAULT_HTTP_HOST;
+  const origin = `http://${listenHost}:${listenPort}`;
+
+  // Worker 的 ExecutionContext：Node 进程常驻，后台任务直接执行即可
+  const ctx = {
+    waitUntil(promise) {
+      Promise.resolve(promise).catch(err => console.error(err));
+    },
+    passThroughOnException() {},
+  };
+
+  const server = createServer(async (req, res) => {
+    try {
+      const response = await worker.fetch(await toFetchRequest(req, origin), env, ctx);
+      await writeFetchResponse(response, res);
+    } catch (err) {
+      console.error(err);
+      if (res.headersSent) {
+        res.end();
+        return;
+      }
+      res.writeHead(500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: err.message, code: 'INTERNAL_ERROR' }));
+    }
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(listenPort, listenHost, resolve);
+  });
+  return server;
+}
+
+export { startStdioServer, startHttpServer, toFetchRequest, writeFetchResponse, DEFAULT_HTTP_HOST, DEFAULT_HTTP_PORT };
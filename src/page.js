@@ -0,0 +1,193 @@
+/**
+ * 洛谷页面的数据提取和页面类型检测
+ * 洛谷页面把数据嵌在脚本中，按以下顺序尝试提取：
+ *   - lentille：新版页面的 <script id="lentille-context" type="application/json">{...}</script>
+ *   - feInjection：旧版页面和部分镜像的 window._feInjection = JSON.parse(decodeURIComponent("..."))
+ *   - contentOnly：?_contentOnly=1 接口直接返回的 JSON（{ code, currentTemplate, currentData }）
+ * 都失败时由调用方退回到解析 HTML。
+ * 请求被拦截时，洛谷（或其前面的 WAF / Cloudflare）可能以 200 状态码返回验证页面、登录页面或错误页面，
+ * 解析前需要先识别出来，避免把这些页面当成题目解析并缓存。
+ */
+
+import { cleanString } from './utils.js';
+import { LoginRequiredError, NotFoundError, RateLimitedError, UpstreamBlockedError, UpstreamError } from './errors.js';
+
+/** 反爬 / 人机验证页面的特征 */
+const CHALLENGE_MARKERS = [
+  /<title>\s*Just a moment\.\.\.\s*<\/title>/i, // Cloudflare
+  /cf-browser-verification|challenge-platform|cf_chl_/i,
+  /document\.cookie\s*=\s*["']C3VK=/, // 洛谷自己的 Cookie 验证
+  /acw_sc__v2|_waf_[a-z]/i, // 阿里云 WAF
+  /安全验证|人机验证|请完成验证/,
+];
+
+/** 登录页面 / 跳转到登录页面的特征 */
+const LOGIN_MARKERS = [
+  /<title>[^<]*登录[^<]*<\/title>/,
+  /location\.(?:href\s*=|replace\()\s*["'][^"']*\/auth\/login/,
+];
+
+/** 没有嵌入数据的“不存在”页面的特征 */
+const NOT_FOUND_MARKERS = [/题目未找到|题目不存在|找不到(?:该|此)?(?:题目|页面)/];
+
+// ---------------------------------------------------------------------------
+// 数据提取
+// ---------------------------------------------------------------------------
+
+/**
+ * 从页面HTML中提取 lentille-context 脚本标签里的JSON数据
+ * @param {string} html - 页面HTML内容
+ * @returns {object|null} 解析后的JSON对象，不存在或解析失败时返回 null
+ */
+function extractLentilleContext(html) {
+  const scriptTagRegex = /<script id="lentille-context" type="application\/json">([\s\S]*?)<\/script>/i;
+  const scriptMatch = html.match(scriptTagRegex);
+
+  if (scriptMatch && scriptMatch[1]) {
+    try {
+      return JSON.parse(scriptMatch[1]);
+    } catch (error) {
+      // JSON解析失败
+    }
+  }
+  return null;
+}
+
+/**
+ * 从旧版页面中提取 window._feInjection 数据
+ * @param {string} html - 页面HTML内容
+ * @returns {object|null} 解析后的JSON对象（数据在 currentData 中），不存在或解析失败时返回 null
+ */
+function extractFeInjection(html) {
+  const match = html.match(/window\._feInjection\s*=\s*JSON\.parse\(decodeURIComponent\((["'])([\s\S]*?)\1\)\)/);
+  if (!match) return null;
+  try {
+    return JSON.parse(decodeURIComponent(match[2]));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * 解析 ?_contentOnly=1 接口返回的 JSON
+ * @param {string} text - 响应内容
+ * @returns {object|null} 解析后的JSON对象，不是该格式时返回 null
+ */
+function extractContentOnlyJson(text) {
+  if (!/^\s*\{/.test(text)) return null;
+  try {
+    const json = JSON.parse(text);
+    return json && (json.currentData || json.data || json.code) ? json : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/** 数据提取策略，按顺序尝试 */
+const PAGE_DATA_STRATEGIES = [
+  ['lentille', extractLentilleContext],
+  ['feInjection', extractFeInjection],
+  ['contentOnly', extractContentOnlyJson],
+];
+
+/**
+ * 依次尝试各种提取策略，返回页面中嵌入的数据
+ * @param {string} html - 页面HTML内容或 ?_contentOnly=1 接口返回的 JSON
+ * @returns {{ strategy: 'lentille'|'feInjection'|'contentOnly', payload: object, data: object|null }|null}
+ *   payload 为原始JSON，data 为其中的页面数据（lentille 的 data / 旧版的 currentData）；都失败时返回 null
+ */
+function extractPageData(html) {
+  for (const [strategy, extract] of PAGE_DATA_STRATEGIES) {
+    const payload = extract(html);
+    if (payload) return { strategy, payload, data: payload.data ?? payload.currentData ?? null };
+  }
+  return null;
+}
+
+// ---------------------------------------------------------------------------
+// 页面类型检测
+// ---------------------------------------------------------------------------
+
+/**
+ * 检查嵌入数据是否为错误页面（lentille-context / _feInjection 中带有非 200 的 code 或错误模板）
+ * @param {object} payload - 嵌入的JSON数据
+ * @returns {{ type: string, code: number|null, message: string }|null} 不是错误页面时返回 null
+ */
+function detectPayloadError(payload) {
+  const data = payload.data ?? payload.currentData ?? {};
+  const code = Number(payload.code ?? payload.status ?? data.errorCode) || null;
+  const template = String(payload.template ?? payload.currentTemplate ?? '');
+  const message = cleanString(data.errorMessage ?? payload.errorMessage ?? '');
+
+  if (/auth[./]?login/i.test(template)) return { type: 'login', code, message };
+  if ((code === null || code === 200) && !/error/i.test(template) && !data.errorType) return null;
+
+  if (code === 401) return { type: 'login', code, message };
+  if (code === 403) return { type: /登录/.test(message) ? 'login' : 'forbidden', code, message };
+  if (code === 404) return { type: 'notFound', code, message };
+  if (code === 429) return { type: 'rateLimited', code, message };
+  return { type: 'error', code, message };
+}
+
+/**
+ * 判断洛谷返回的页面类型
+ * @param {string} html - 页面HTML内容
+ * @returns {{ type: 'content'|'challenge'|'login'|'forbidden'|'notFound'|'rateLimited'|'error'|'unknown', code: number|null, message: string }}
+ *   content 为带有嵌入数据的正常页面；unknown 为没有嵌入数据、也没有识别出特征的页面
+ */
+function detectPageType(html) {
+  const extracted = extractPageData(html);
+  if (extracted) {
+    return detectPayloadError(extracted.payload) ?? { type: 'content', code: null, message: '' };
+  }
+  if (CHALLENGE_MARKERS.some(re => re.test(html))) return { type: 'challenge', code: null, message: '' };
+  if (LOGIN_MARKERS.some(re => re.test(html))) return { type: 'login', code: null, message: '' };
+  if (NOT_FOUND_MARKERS.some(re => re.test(html))) return { type: 'notFound', code: null, message: '' };
+  return { type: 'unknown', code: null, message: '' };
+}
+
+/**
+ * 页面不是正常内容页时抛出对应的错误
+ * @param {string} html - 页面HTML内容
+ * @param {object} [options]
+ * @param {'page'|'problem'|'training'|'user'|'solution'|'contest'} [options.subject='page'] - 错误信息中的对象，如 problem（题目）、training（题单）
+ * @throws {UpstreamBlockedError} 反爬验证页面
+ * @throws {LoginRequiredError} 登录页面
+ * @throws {NotFoundError} 内容不存在
+ * @throws {RateLimitedError} 洛谷提示请求过于频繁
+ * @throws {UpstreamError} 洛谷返回的其他错误页面
+ */
+function assertContentPage(html, { subject = 'page' } = {}) {
+  const { type, code, message } = detectPageType(html);
+  const params = {
+    subject: { key: `subject_${subject}` },
+    detail: message ? { key: 'upstreamDetail', params: { message } } : '',
+  };
+  const options = { upstreamStatus: code };
+  switch (type) {
+    case 'challenge':
+      throw new UpstreamBlockedError({ key: 'pageChallenge' }, options);
+    case 'login':
+      throw new LoginRequiredError({ key: 'pageLoginRequired', params }, options);
+    case 'forbidden':
+      throw new UpstreamBlockedError({ key: 'pageForbidden', params }, options);
+    case 'notFound':
+      throw new NotFoundError({ key: 'pageNotFound', params }, options);
+    case 'rateLimited':
+      throw new RateLimitedError({ key: 'upstreamRateLimited', params }, options);
+    case 'error':
+      throw new UpstreamError({ key: 'pageError', params: { ...params, code: code ? ` ${code}` : '' } }, options);
+    default:
+      break;
+  }
+}
+
+export {
+  extractPageData,
+  extractLentilleContext,
+  extractFeInjection,
+  extractContentOnlyJson,
+  detectPageType,
+  assertContentPage,
+  PAGE_DATA_STRATEGIES,
+};
@@ -1,60 +1,104 @@
 import { cleanString } from './utils.js';
-import { createTagMap } from './tags.js';
+import { getSnapshotCatalog } from './tags.js';
+import { renderContent, extractImages } from './content.js';
+import { matchLocale, DEFAULT_LOCALE } from './i18n.js';
+import { extractLentilleContext, extractPageData, assertContentPage } from './page.js';
+import { ParseError } from './errors.js';
+
+/** 洛谷难度等级（0-7）到文字描述的映射 */
+const DIFFICULTY_LEVELS = {
+  '0': '暂无评定',
+  '1': '入门',
+  '2': '普及-',
+  '3': '普及/提高-',
+  '4': '普及+/提高',
+  '5': '提高+/省选-',
+  '6': '省选/NOI-',
+  '7': 'NOI/NOI+/CTSC'
+};
 
 /**
  * 将数字难度等级映射到对应的文字描述
- * @param {number|string} difficultyNum - 难度数字(1-7)
+ * @param {number|string} difficultyNum - 难度数字(0-7)
  * @returns {string} 难度的文字描述
  */
 function mapDifficulty(difficultyNum) {
-  const difficultyMap = {
-    '1': '入门',
-    '2': '普及-',
-    '3': '普及/提高-',
-    '4': '普及+/提高',
-    '5': '提高+/省选-',
-    '6': '省选/NOI-',
-    '7': 'NOI/NOI+/CTSC'
-  };
-  
   // 确保输入是字符串格式
   const diffKey = String(difficultyNum);
   
   // 如果在映射表中找到对应值，则返回映射后的文字描述
   // 否则返回原始值或'未知难度'
-  return difficultyMap[diffKey] || diffKey || '未知难度';
+  return DIFFICULTY_LEVELS[diffKey] || diffKey || '未知难度';
+}
+
+/**
+ * 将难度数字或文字描述解析为难度数字（mapDifficulty 的逆操作）
+ * @param {number|string} value - 难度数字(0-7)或文字描述，如 '普及+/提高'
+ * @returns {number|null} 难度数字，无法识别时返回 null
+ */
+function parseDifficulty(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const text = String(value).trim();
+  if (DIFFICULTY_LEVELS[text]) return Number(text);
+  const entry = Object.entries(DIFFICULTY_LEVELS).find(([, label]) => label === text);
+  return entry ? Number(entry[0]) : null;
+}
+
+/** 题面中以 Markdown 存储的字段，输出时按所选格式转换 */
+const PROBLEM_CONTENT_FIELDS = ['background', 'description', 'inputFormat', 'outputFormat', 'limit'];
+
+/**
+ * 保留题面 Markdown 原文，只统一换行符并去掉首尾空白
+ * @param {string} str - 题面字段
+ * @returns {string}
+ */
+function rawContent(str) {
+  return String(str).replace(/\r\n?/g, '\n').trim();
+}
+
+/**
+ * 样例按原样保留，只去掉行尾空白和首尾空行（行内空格对样例有意义，不能合并）
+ * @param {string} str - 样例输入或输出
+ * @returns {string}
+ */
+function rawSample(str) {
+  if (!str) return '';
+  return String(str).replace(/\r\n?/g, '\n').replace(/[ \t]+$/gm, '').replace(/^\n+|\n+$/g, '');
 }
 
 /**
  * 解析HTML内容提取题目信息
- * @param {string} html - 页面HTML内容
+ * 题面字段保留 Markdown 原文（含 $...$ 公式、表格和代码块），由 renderProblem 按需转换格式。
+ * 依次尝试 lentille-context、_feInjection、?_contentOnly=1 JSON，都没有题目数据时退回到解析 HTML，
+ * 所用的方式记录在返回值的 extractionStrategy 中。
+ * @param {string} html - 页面HTML内容，或 ?_contentOnly=1 接口返回的 JSON
+ * @param {object} [options]
+ * @param {TagCatalog} [options.tagCatalog] - 标签目录，默认使用内置快照
  * @returns {object} 题目信息对象
+ * @throws {LuoguError} 验证页面、登录页面、题目不存在等错误页面，或页面中找不到题目
  */
-function parseProblemHtml(html) {
-  // 尝试从lentille-context脚本标签中提取JSON数据
-  const scriptTagRegex = /<script id="lentille-context" type="application\/json">([\s\S]*?)<\/script>/i;
-  const scriptMatch = html.match(scriptTagRegex);
-  
-  let jsonData = null;
-  if (scriptMatch && scriptMatch[1]) {
-    try {
-      jsonData = JSON.parse(scriptMatch[1]);
-    } catch (error) {
-      // JSON解析失败
-    }
+function parseProblemHtml(html, { tagCatalog = getSnapshotCatalog() } = {}) {
+  // 先识别验证页面、登录页面和错误页面，避免返回（并缓存）占位内容
+  assertContentPage(html, { subject: 'problem' });
+
+  // 尝试从页面嵌入的JSON数据中提取
+  const extracted = extractPageData(html);
+  const data = extracted?.data;
+  const problemData = data?.problem;
+  if (!problemData && !/<h1[^>]*>[^<]+<\/h1>/i.test(html)) {
+    throw new ParseError({ key: 'parseProblem' });
   }
+  const extractionStrategy = problemData ? extracted.strategy : 'html';
   
   // 从JSON中提取难度和标签
   let difficultyNum = null;
   let difficultyText = '未知难度';
   let tags = [];
   let tagNames = [];
+  let tagsByType = {};
   
-  // 创建标签ID到名称的映射
-  const tagMap = createTagMap();
-  
-  if (jsonData && jsonData.data && jsonData.data.problem) {
-    const problem = jsonData.data.problem;
+  if (problemData) {
+    const problem = problemData;
     
     // 提取难度
     if (problem.difficulty !== undefined) {
@@ -67,37 +111,40 @@ function parseProblemHtml(html) {
       tags = problem.tags.map(tag => tag.toString());
       
       // 将标签ID转换为标签名称
-      tagNames = tags.map(id => {
-        const tagId = parseInt(id, 10);
-        return tagMap.has(tagId) ? tagMap.get(tagId) : `未知标签(${id})`;
-      });
+      tagNames = tagCatalog.namesOf(tags);
+      tagsByType = tagCatalog.groupByType(tags);
     }
   }
   
   // 基本信息提取 (使用原有正则表达式方法或从JSON中提取)
-  const title = jsonData && jsonData.data && jsonData.data.problem && jsonData.data.problem.title 
-    ? cleanString(jsonData.data.problem.title)
+  const title = problemData?.title
+    ? cleanString(problemData.title)
     : (html.match(/<h1[^>]*>([^<]+)<\/h1>/i) ? cleanString(html.match(/<h1[^>]*>([^<]+)<\/h1>/i)[1]) : '未知标题');
   
+  // 提取题目背景（部分题目的背景在 problem.background 而不是 content.background）
+  const backgroundSource = problemData?.content?.background ?? problemData?.background;
+  const background = backgroundSource
+    ? rawContent(backgroundSource)
+    : (html.match(/<h2[^>]*>题目背景<\/h2>([\s\S]*?)<h2/i)
+        ? cleanString(html.match(/<h2[^>]*>题目背景<\/h2>([\s\S]*?)<h2/i)[1])
+        : '');
+
   // 提取题目描述
-  const description = jsonData && jsonData.data && jsonData.data.problem && 
-                     jsonData.data.problem.content && jsonData.data.problem.content.description
-    ? cleanString(jsonData.data.problem.content.description)
+  const description = problemData?.content?.description
+    ? rawContent(problemData.content.description)
     : (html.match(/<h2[^>]*>题目描述<\/h2>([\s\S]*?)<h2/i) 
         ? cleanString(html.match(/<h2[^>]*>题目描述<\/h2>([\s\S]*?)<h2/i)[1]) 
         : '无题目描述');
   
   // 提取输入输出格式
-  const inputFormat = jsonData && jsonData.data && jsonData.data.problem && 
-                     jsonData.data.problem.content && jsonData.data.problem.content.formatI
-    ? cleanString(jsonData.data.problem.content.formatI)
+  const inputFormat = problemData?.content?.formatI
+    ? rawContent(problemData.content.formatI)
     : (html.match(/<h2[^>]*>输入格式<\/h2>([\s\S]*?)<h2/i)
         ? cleanString(html.match(/<h2[^>]*>输入格式<\/h2>([\s\S]*?)<h2/i)[1])
         : '无输入格式');
   
-  const outputFormat = jsonData && jsonData.data && jsonData.data.problem && 
-                      jsonData.data.problem.content && jsonData.data.problem.content.formatO
-    ? cleanString(jsonData.data.problem.content.formatO)
+  const outputFormat = problemData?.content?.formatO
+    ? rawContent(problemData.content.formatO)
     : (html.match(/<h2[^>]*>输出格式<\/h2>([\s\S]*?)<h2/i)
         ? cleanString(html.match(/<h2[^>]*>输出格式<\/h2>([\s\S]*?)<h2/i)[1])
         : '无输出格式');
@@ -105,11 +152,10 @@ function parseProblemHtml(html) {
   // 提取样例
   let samples = [];
   
-  if (jsonData && jsonData.data && jsonData.data.problem && 
-      jsonData.data.problem.samples && Array.isArray(jsonData.data.problem.samples)) {
-    samples = jsonData.data.problem.samples.map(sample => ({
-      input: cleanString(sample[0]),
-      output: cleanString(sample[1])
+  if (Array.isArray(problemData?.samples)) {
+    samples = problemData.samples.map(sample => ({
+      input: rawSample(sample[0]),
+      output: rawSample(sample[1])
     }));
   } else {
     // 使用原有正则表达式方法
@@ -125,24 +171,108 @@ function parseProblemHtml(html) {
   }
   
   // 提取数据范围
-  const limit = jsonData && jsonData.data && jsonData.data.problem && 
-               jsonData.data.problem.content && jsonData.data.problem.content.hint
-    ? cleanString(jsonData.data.problem.content.hint)
+  const limit = problemData?.content?.hint
+    ? rawContent(problemData.content.hint)
     : (html.match(/<h2[^>]*>说明\/提示<\/h2>([\s\S]*?)(?:<h2|$)/i)
         ? cleanString(html.match(/<h2[^>]*>说明\/提示<\/h2>([\s\S]*?)(?:<h2|$)/i)[1])
         : '无数据范围说明');
   
   return {
     title,
+    type: problemData?.type ?? null,
     difficultyNum,  // 返回原始数字难度
     difficulty: difficultyText, // 返回映射后的文字难度
     tags: tagNames, // 返回标签名称而不是ID
+    tagsByType,
+    sources: tagsByType.source ?? [],
+    years: (tagsByType.year ?? []).filter(name => /^\d{4}$/.test(name)).map(Number),
+    provider: problemData?.provider ? { uid: problemData.provider.uid ?? null, name: problemData.provider.name ?? '' } : null,
+    background,
     description,
     inputFormat,
     outputFormat,
     samples,
-    limit
+    limit,
+    testcaseLimits: parseTestcaseLimits(problemData?.limits),
+    acceptedCount: problemData?.totalAccepted ?? null,
+    submittedCount: problemData?.totalSubmit ?? null,
+    hasTranslation: hasTranslation(data),
+    locale: problemData?.content?.locale ?? DEFAULT_LOCALE,
+    translations: parseTranslations(data?.translations),
+    extractionStrategy,
   };
 }
 
-export { parseProblemHtml, mapDifficulty };
\ No newline at end of file
+/**
+ * 解析其他语言的题面
+ * @param {object} [translations] - lentille-context 中的 data.translations，语言 → 题面内容
+ * @returns {object} 语言 → { title?, background?, description?, inputFormat?, outputFormat?, limit? }，只包含存在的字段
+ */
+function parseTranslations(translations) {
+  const result = {};
+  for (const [locale, content] of Object.entries(translations ?? {})) {
+    if (!content || typeof content !== 'object') continue;
+    const entry = {};
+    if (content.name) entry.title = cleanString(content.name);
+    const fields = { background: 'background', description: 'description', inputFormat: 'formatI', outputFormat: 'formatO', limit: 'hint' };
+    for (const [field, key] of Object.entries(fields)) {
+      if (typeof content[key] === 'string') entry[field] = rawContent(content[key]);
+    }
+    result[content.locale ?? locale] = entry;
+  }
+  return result;
+}
+
+/**
+ * 解析每个测试点的时间和内存限制
+ * @param {{ time?: number[], memory?: number[] }} [limits] - 洛谷的 limits 字段，时间单位毫秒，内存单位 KB
+ * @returns {Array<{ time: number|null, memory: number|null }>} 按测试点顺序排列
+ */
+function parseTestcaseLimits(limits) {
+  const time = Array.isArray(limits?.time) ? limits.time : [];
+  const memory = Array.isArray(limits?.memory) ? limits.memory : [];
+  return Array.from({ length: Math.max(time.length, memory.length) }, (_, i) => ({
+    time: time[i] ?? null,
+    memory: memory[i] ?? null,
+  }));
+}
+
+/**
+ * 判断题目是否有其他语言的题面（翻译）
+ * @param {object} [data] - lentille-context 中的 data
+ * @returns {boolean}
+ */
+function hasTranslation(data) {
+  if (!data) return false;
+  if (data.translations && Object.keys(data.translations).length > 0) return true;
+  return Boolean(data.problem?.translation);
+}
+
+/**
+ * 将 parseProblemHtml 返回的题目按指定语言和格式输出题面字段，并附带各字段中引用的图片
+ * @param {object} problem - parseProblemHtml 的返回值
+ * @param {object} [options]
+ * @param {string} [options.format='markdown'] - 'markdown' | 'raw' | 'text' | 'html'
+ * @param {string} [options.locale] - 题面语言，如 en、zh-CN；没有对应翻译时使用原始语言
+ * @returns {object} 新的题目对象，题面字段已转换；locale 为实际使用的语言，availableLocales 为全部可用语言，
+ *   images 为 [{ section, alt, url }]
+ */
+function renderProblem(problem, { format, locale } = {}) {
+  const { translations = {}, ...base } = problem;
+  const originalLocale = base.locale ?? DEFAULT_LOCALE;
+  const availableLocales = [...new Set([originalLocale, ...Object.keys(translations)])];
+  const selected = matchLocale(locale, availableLocales) ?? originalLocale;
+  const source = selected === originalLocale ? base : { ...base, ...translations[selected] };
+
+  const rendered = { ...source, locale: selected, availableLocales, images: [] };
+  for (const field of PROBLEM_CONTENT_FIELDS) {
+    if (typeof source[field] === 'string') {
+      // 图片从 Markdown 原文中提取，与输出格式无关
+      rendered.images.push(...extractImages(source[field]).map(image => ({ section: field, ...image })));
+      rendered[field] = renderContent(source[field], format);
+    }
+  }
+  return rendered;
+}
+
+export { parseProblemHtml, renderProblem, mapDifficulty, parseDifficulty, extractLentilleContext, DIFFICULTY_LEVELS };
\ No newline at end of file
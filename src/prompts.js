@@ -0,0 +1,96 @@
+/**
+ * MCP 提示词（prompts）
+ * 统一的教学提示词模板，题面由调用方通过 getProblemById 获取后嵌入。
+ * 每个提示词都接收 problem_id，其余参数按需声明；MCP 规定提示词参数均为字符串。
+ */
+
+import { z } from 'zod';
+
+/** 题面与指令之间的分隔 */
+const SEPARATOR = '\n\n---\n\n';
+
+/**
+ * 提示词定义列表
+ * - args: 除 problem_id 外的参数（zod shape）
+ * - build(statement, args): 根据 Markdown 题面和参数生成提示词正文
+ */
+const PROMPTS = [
+  {
+    name: 'solve_problem',
+    title: '求解题目',
+    description: '分析题目并给出完整题解：思路、正确性说明、复杂度分析和参考代码。',
+    args: {
+      language: z.string().optional().describe('参考代码使用的编程语言，默认 C++'),
+    },
+    build: (statement, { language }) => [
+      '请作为算法竞赛教练，为下面这道洛谷题目写一份完整题解。',
+      '要求：',
+      '1. 先用一两句话概括题意，指出关键约束（数据范围、时间和内存限制）。',
+      '2. 说明解题思路，从朴素做法出发，逐步推导到能通过全部数据的做法。',
+      '3. 说明算法的正确性，并给出时间复杂度和空间复杂度。',
+      `4. 给出完整、可直接提交的 ${language || 'C++'} 参考代码，并附必要注释。`,
+      '5. 用题目样例验证代码的输出，并指出常见的错误和边界情况。',
+      SEPARATOR + statement,
+    ].join('\n'),
+  },
+  {
+    name: 'progressive_hints',
+    title: '分层提示',
+    description: '循序渐进地给出解题提示，不直接给出完整答案，适合学生自主思考。',
+    args: {
+      level: z.string().optional().describe('需要的提示层数（1-3），默认 3'),
+    },
+    build: (statement, { level }) => {
+      const count = Math.min(Math.max(parseInt(level, 10) || 3, 1), 3);
+      return [
+        `请为下面这道洛谷题目给出 ${count} 层逐步深入的提示，帮助学生自己想出解法。`,
+        '要求：',
+        '- 第 1 层只引导学生关注题目的关键性质或约束，不提及具体算法。',
+        '- 第 2 层指出可以使用的算法或数据结构方向。',
+        '- 第 3 层描述核心思路的关键步骤，但不写出完整代码。',
+        '- 每层提示单独成段并标明层号，学生可以只看前几层。',
+        '- 不要给出完整答案或完整代码。',
+        SEPARATOR + statement,
+      ].join('\n');
+    },
+  },
+  {
+    name: 'explain_samples',
+    title: '讲解样例',
+    description: '逐个讲解题目样例，说明输入如何一步步得到输出。',
+    args: {},
+    build: statement => [
+      '请逐个讲解下面这道洛谷题目的样例。',
+      '要求：',
+      '- 先说明输入的每一部分分别对应题目中的哪个量。',
+      '- 一步步推演从输入得到输出的过程，必要时列出中间状态。',
+      '- 如果样例下方有说明/提示，结合说明解释样例想要强调的细节。',
+      '- 只讲解样例和题意，不要给出完整解法。',
+      SEPARATOR + statement,
+    ].join('\n'),
+  },
+  {
+    name: 'review_my_code',
+    title: '代码审查',
+    description: '结合题目要求审查学生提交的代码，找出错误并给出修改建议。',
+    args: {
+      code: z.string().describe('需要审查的代码'),
+      language: z.string().optional().describe('代码使用的编程语言'),
+    },
+    build: (statement, { code, language }) => [
+      '请结合下面这道洛谷题目，审查学生提交的代码。',
+      '要求：',
+      '1. 判断代码的思路是否正确，能否通过全部数据（注意数据范围、时间和内存限制）。',
+      '2. 指出具体的错误（如溢出、越界、边界情况、输入输出格式），说明出错的原因和触发的输入。',
+      '3. 给出修改建议；优先引导学生自己修改，只在必要时给出修改后的关键代码片段。',
+      '4. 用题目样例检查代码的输出。',
+      SEPARATOR + statement,
+      SEPARATOR + `## 学生代码${language ? `（${language}）` : ''}`,
+      '```' + (language || ''),
+      code,
+      '```',
+    ].join('\n'),
+  },
+];
+
+export { PROMPTS };
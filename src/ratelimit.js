@@ -0,0 +1,352 @@
+/**
+ * 客户端请求频率限制
+ * 按客户端（API 密钥，未认证时为客户端 IP）使用令牌桶限流，/mcp 和 /api/* 按路由计数，
+ * MCP 的 tools/call 另按工具计数，避免某个失控的客户端把请求都打到洛谷上。
+ * 通过 env.RATE_LIMITS（JSON）覆盖默认限额，值为 "次数/秒数"，"off" 表示不限制：
+ *   { "default": "60/60", "routes": { "/api/search": "10/60" }, "tools": { "search_problems": "10/60" } }
+ * RATE_LIMITS=off 时关闭限流；配置无效时记录错误并使用默认限额，不影响请求。
+ * 令牌桶默认保存在内存中（每个 isolate 各自计数）；env.RATE_LIMIT_STORE=durable-object 时
+ * 保存在 Durable Object 中（绑定 env.RATE_LIMITER，类 RateLimiterObject），全局一致。
+ */
+
+import { ConfigurationError, TooManyRequestsError } from './errors.js';
+
+/** 默认限额：未匹配到路由的请求共用 default */
+const DEFAULT_RATE_LIMITS = {
+  default: '60/60',
+  routes: {
+    '/mcp': '120/60',
+    '/api/problems': '10/60',
+    '/api/search': '20/60',
+  },
+  tools: {
+    search_problems: '20/60',
+    get_problems: '10/60',
+  },
+};
+
+/** 内存中最多保留的令牌桶数，超出时淘汰最久未使用的 */
+const MAX_BUCKETS = 10000;
+
+/** 上次解析的 RATE_LIMITS，配置不变时复用；null 表示还没有解析过（未设置 RATE_LIMITS 时 source 为 undefined） */
+let parsedConfig = null;
+
+/**
+ * 解析一条限额
+ * @param {string|number|{ limit: number, window?: number }|false|null} spec - "次数/秒数"、次数（每 60 秒）或对象；"off" / false / 0 表示不限制
+ * @returns {{ limit: number, window: number }|null}
+ */
+function parseRateLimit(spec) {
+  if (spec === null || spec === undefined || spec === false || spec === 'off') return null;
+  let limit, seconds;
+  if (typeof spec === 'object') {
+    ({ limit, window: seconds = 60 } = spec);
+  } else {
+    [limit, seconds = 60] = String(spec).split('/').map(Number);
+  }
+  if (!Number.isFinite(limit) || limit <= 0) return null;
+  if (!Number.isFinite(seconds) || seconds <= 0) throw new Error(`无效的限流配置: ${JSON.stringify(spec)}`);
+  return { limit: Math.floor(limit), window: seconds };
+}
+
+/**
+ * 解析 RATE_LIMITS
+ * @param {string} source - env.RATE_LIMITS（已去除首尾空白）
+ * @returns {{ default: object|null, routes: object, tools: object }|null} 关闭限流时返回 null
+ * @throws {Error} 配置无效
+ */
+function parseRateLimitConfig(source) {
+  if (source === 'off') return null;
+
+  let overrides = {};
+  if (source) {
+    try {
+      overrides = JSON.parse(source);
+    } catch (err) {
+      throw new Error('RATE_LIMITS 不是合法的 JSON', { cause: err });
+    }
+  }
+  const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+  if (!isObject(overrides) || [overrides.routes, overrides.tools].some(specs => specs !== undefined && !isObject(specs))) {
+    throw new Error('RATE_LIMITS 应为 { "default", "routes": {...}, "tools": {...} } 形式的对象');
+  }
+
+  const parseAll = specs => Object.fromEntries(Object.entries(specs).map(([name, spec]) => [name, parseRateLimit(spec)]));
+  return {
+    default: parseRateLimit(Object.hasOwn(overrides, 'default') ? overrides.default : DEFAULT_RATE_LIMITS.default),
+    routes: parseAll({ ...DEFAULT_RATE_LIMITS.routes, ...overrides.routes }),
+    tools: parseAll({ ...DEFAULT_RATE_LIMITS.tools, ...overrides.tools }),
+  };
+}
+
+/**
+ * 读取限流配置，同一配置只解析一次
+ * 配置无效时记录错误并退回默认限额，而不是让每个请求都失败。
+ * @param {object} [env] - Worker 环境变量
+ * @returns {{ default: object|null, routes: object, tools: object }|null} 关闭限流时返回 null
+ */
+function getRateLimitConfig(env = {}) {
+  if (parsedConfig && parsedConfig.source === env.RATE_LIMITS) return parsedConfig.config;
+
+  let config;
+  try {
+    config = parseRateLimitConfig(String(env.RATE_LIMITS ?? '').trim());
+  } catch (err) {
+    console.error(`RATE_LIMITS 配置无效，已使用默认限额: ${err.message}`);
+    config = parseRateLimitConfig('');
+  }
+  parsedConfig = { source: env.RATE_LIMITS, config };
+  return config;
+}
+
+/**
+ * 查找适用的限额
+ * @param {object} config - getRateLimitConfig 的返回值
+ * @param {object} target
+ * @param {string} [target.route] - 请求路径，按最长前缀匹配 routes
+ * @param {string} [target.tool] - MCP 工具名称
+ * @returns {{ name: string, limit: number, window: number }|null} name 用于区分令牌桶；不限制时返回 null
+ */
+function resolveRateLimit(config, { route, tool }) {
+  if (tool !== undefined) {
+    // 工具名称来自客户端，只查自身属性（避免 __proto__、toString 等匹配到原型上的属性）
+    const rule = Object.hasOwn(config.tools, tool) ? config.tools[tool] : null;
+    return rule ? { name: `tool:${tool}`, ...rule } : null;
+  }
+
+  const path = route.length > 1 ? route.replace(/\/+$/, '') : route;
+  const prefix = Object.keys(config.routes)
+    .filter(key => path === key || path.startsWith(`${key}/`))
+    .sort((a, b) => b.length - a.length)[0];
+  if (prefix !== undefined) {
+    const rule = config.routes[prefix];
+    return rule ? { name: `route:${prefix}`, ...rule } : null;
+  }
+  return config.default ? { name: 'default', ...config.default } : null;
+}
+
+// ---------------------------------------------------------------------------
+// 令牌桶
+// ---------------------------------------------------------------------------
+
+/**
+ * 令牌桶集合：每个桶容量为 limit，每 window 秒匀速补满。
+ */
+class TokenBucketStore {
+  constructor(maxEntries = MAX_BUCKETS) {
+    this.maxEntries = maxEntries;
+    this.buckets = new Map();
+  }
+
+  /**
+   * 从桶中取 cost 个令牌：令牌不足时一个都不取
+   * @param {string} key - 桶的键
+   * @param {{ limit: number, window: number }} rule - 限额
+   * @param {object} [options]
+   * @param {number} [options.cost=1] - 需要的令牌数
+   * @param {number} [options.now] - 当前时间（毫秒）
+   * @returns {{ allowed: boolean, limit: number, window: number, remaining: number, reset: number, retryAfter: number }}
+   *   reset 为补满所需的秒数，retryAfter 为攒够 cost 个令牌所需的秒数（允许时为 0）
+   */
+  take(key, { limit, window }, { cost = 1, now = Date.now() } = {}) {
+    const rate = limit / window; // 每秒补充的令牌数
+    const bucket = this.refill(key, { limit, window }, now);
+
+    const allowed = bucket.tokens >= cost;
+    if (allowed) bucket.tokens -= cost;
+
+    return {
+      allowed,
+      limit,
+      window,
+      remaining: Math.floor(bucket.tokens),
+      reset: Math.ceil((limit - bucket.tokens) / rate),
+      retryAfter: allowed ? 0 : Math.ceil((cost - bucket.tokens) / rate),
+    };
+  }
+
+  /**
+   * 退还之前取出的令牌（如 JSON-RPC 批量请求因其他工具超限而整体被拒绝时）
+   * @param {string} key - 桶的键
+   * @param {{ limit: number, window: number }} rule - 限额
+   * @param {object} [options]
+   * @param {number} [options.cost=1] - 退还的令牌数
+   * @param {number} [options.now] - 当前时间（毫秒）
+   */
+  refund(key, { limit, window }, { cost = 1, now = Date.now() } = {}) {
+    const bucket = this.refill(key, { limit, window }, now);
+    bucket.tokens = Math.min(limit, bucket.tokens + cost);
+  }
+
+  /**
+   * 按经过的时间补充令牌，并把桶标记为最近使用
+   * @param {string} key - 桶的键
+   * @param {{ limit: number, window: number }} rule - 限额
+   * @param {number} now - 当前时间（毫秒）
+   * @returns {{ tokens: number, updatedAt: number }}
+   */
+  refill(key, { limit, window }, now) {
+    const bucket = this.buckets.get(key) ?? { tokens: limit, updatedAt: now };
+    bucket.tokens = Math.min(limit, bucket.tokens + ((now - bucket.updatedAt) / 1000) * (limit / window));
+    bucket.updatedAt = now;
+
+    // Map 保持插入顺序，重新插入使其成为最近使用的桶
+    this.buckets.delete(key);
+    if (this.buckets.size >= this.maxEntries) {
+      this.buckets.delete(this.buckets.keys().next().value);
+    }
+    this.buckets.set(key, bucket);
+    return bucket;
+  }
+
+  clear() {
+    this.buckets.clear();
+  }
+}
+
+/** 模块级令牌桶，在同一 isolate 的多次请求之间共享 */
+const memoryBuckets = new TokenBucketStore();
+
+/**
+ * 保存一个客户端全部令牌桶的 Durable Object。
+ * Worker 按客户端（idFromName）转发，请求体为 { bucket, rule, cost }：
+ * /take 返回 TokenBucketStore.take 的结果，/refund 退还令牌。
+ */
+class RateLimiterObject {
+  /**
+   * @param {DurableObjectState} state
+   * @param {object} env - Worker 环境变量 / 绑定
+   */
+  constructor(state, env) {
+    this.state = state;
+    this.buckets = new TokenBucketStore();
+  }
+
+  async fetch(request) {
+    const { bucket, rule, cost } = await request.json();
+    if (new URL(request.url).pathname === '/refund') {
+      this.buckets.refund(bucket, rule, { cost });
+      return Response.json({ ok: true });
+    }
+    return Response.json(this.buckets.take(bucket, rule, { cost }));
+  }
+}
+
+// ---------------------------------------------------------------------------
+// 入口
+// ---------------------------------------------------------------------------
+
+/**
+ * 限流时用于区分客户端的键：已认证时为 API 密钥名称，否则为客户端 IP
+ * @param {Request} request
+ * @param {{ clientId: string }} [authInfo] - 认证信息
+ * @returns {string}
+ */
+function rateLimitClientKey(request, authInfo) {
+  if (authInfo) return `key:${authInfo.clientId}`;
+  return `ip:${request.headers.get('CF-Connecting-IP') ?? 'unknown'}`;
+}
+
+/**
+ * 在令牌桶上执行一次操作：内存中直接执行，RATE_LIMIT_STORE=durable-object 时转发到客户端的 Durable Object
+ * @param {object} env - Worker 环境变量 / 绑定
+ * @param {string} client - rateLimitClientKey 的返回值
+ * @param {'take'|'refund'} action - 操作
+ * @param {string} bucket - 桶的键
+ * @param {{ limit: number, window: number }} rule - 限额
+ * @param {number} cost - 令牌数
+ * @returns {Promise<object|undefined>} take 的结果
+ * @throws {ConfigurationError} 缺少 RATE_LIMITER 绑定
+ */
+async function applyToBucket(env, client, action, bucket, { limit, window }, cost) {
+  if (env.RATE_LIMIT_STORE !== 'durable-object') {
+    return memoryBuckets[action](bucket, { limit, window }, { cost });
+  }
+  if (!env.RATE_LIMITER) throw new ConfigurationError({ key: 'rateLimiterBindingMissing' });
+  const stub = env.RATE_LIMITER.get(env.RATE_LIMITER.idFromName(client));
+  const response = await stub.fetch(new Request(`https://rate-limiter/${action}`, {
+    method: 'POST',
+    body: JSON.stringify({ bucket, rule: { limit, window }, cost }),
+  }));
+  return response.json();
+}
+
+/**
+ * 为客户端的一次请求消耗令牌
+ * @param {object} env - Worker 环境变量 / 绑定
+ * @param {string} client - rateLimitClientKey 的返回值
+ * @param {object} target - 同 resolveRateLimit：{ route } 或 { tool }
+ * @param {object} [options]
+ * @param {number} [options.cost=1] - 消耗的令牌数，如 JSON-RPC 批量请求中同一工具的调用次数
+ * @returns {Promise<(ReturnType<TokenBucketStore['take']> & { name: string })|null>} 不限制时返回 null
+ * @throws {ConfigurationError} RATE_LIMIT_STORE=durable-object 但缺少 RATE_LIMITER 绑定
+ */
+async function consumeRateLimit(env, client, target, { cost = 1 } = {}) {
+  const config = getRateLimitConfig(env);
+  const rule = config && resolveRateLimit(config, target);
+  if (!rule) return null;
+
+  const result = await applyToBucket(env, client, 'take', `${client}|${rule.name}`, rule, cost);
+  return { name: rule.name, ...result };
+}
+
+/**
+ * 退还 consumeRateLimit 消耗的令牌
+ * @param {object} env - Worker 环境变量 / 绑定
+ * @param {string} client - rateLimitClientKey 的返回值
+ * @param {object} target - 同 consumeRateLimit
+ * @param {object} [options]
+ * @param {number} [options.cost=1] - 退还的令牌数
+ * @returns {Promise<void>}
+ */
+async function refundRateLimit(env, client, target, { cost = 1 } = {}) {
+  const config = getRateLimitConfig(env);
+  const rule = config && resolveRateLimit(config, target);
+  if (!rule) return;
+  await applyToBucket(env, client, 'refund', `${client}|${rule.name}`, rule, cost);
+}
+
+/**
+ * 限流相关的响应头（IETF RateLimit 头字段草案）
+ * @param {object} result - consumeRateLimit 的返回值
+ * @returns {object}
+ */
+function rateLimitHeaders({ limit, window, remaining, reset }) {
+  return {
+    'RateLimit-Limit': String(limit),
+    'RateLimit-Remaining': String(remaining),
+    'RateLimit-Reset': String(reset),
+    'RateLimit-Policy': `${limit};w=${window}`,
+  };
+}
+
+/**
+ * 超出限额时的错误
+ * @param {object} result - consumeRateLimit 的返回值
+ * @returns {TooManyRequestsError}
+ */
+function rateLimitError({ name, limit, window, retryAfter }) {
+  return new TooManyRequestsError({ key: 'tooManyRequests', params: { bucket: name, window, limit, retryAfter } }, { retryAfter });
+}
+
+/** 清空内存中的令牌桶和解析过的配置（供测试使用） */
+function resetRateLimits() {
+  memoryBuckets.clear();
+  parsedConfig = null;
+}
+
+export {
+  DEFAULT_RATE_LIMITS,
+  parseRateLimit,
+  parseRateLimitConfig,
+  getRateLimitConfig,
+  resolveRateLimit,
+  TokenBucketStore,
+  RateLimiterObject,
+  rateLimitClientKey,
+  consumeRateLimit,
+  refundRateLimit,
+  rateLimitHeaders,
+  rateLimitError,
+  resetRateLimits,
+};
@@ -0,0 +1,212 @@
+/**
+ * 洛谷题库搜索
+ * 查询 https://www.luogu.com.cn/problem/list，支持关键词、题目类型、难度和标签筛选。
+ */
+
+import { fetchLuoguPage } from './fetcher.js';
+import { mapDifficulty, parseDifficulty } from './parser.js';
+import { extractPageData, assertContentPage } from './page.js';
+import { getSnapshotCatalog, getTagCatalog } from './tags.js';
+import { cached, createCacheStore, getCacheTtl } from './cache.js';
+import { cleanString } from './utils.js';
+import { InvalidParameterError, ParseError } from './errors.js';
+
+/** 支持筛选的题目类型（题库） */
+const PROBLEM_TYPES = ['P', 'B', 'CF', 'AT', 'SP', 'UVA'];
+
+const PROBLEM_LIST_URL = 'https://www.luogu.com.cn/problem/list';
+
+/** 难度等级的取值范围（0 为暂无评定） */
+const MIN_DIFFICULTY = 0;
+const MAX_DIFFICULTY = 7;
+
+/**
+ * 校验并规范化搜索参数
+ * @param {object} params - 原始搜索参数
+ * @param {TagCatalog} [catalog] - 用于解析标签名称的目录，默认使用内置快照
+ * @returns {object} 规范化后的参数
+ * @throws {Error} 参数不合法时抛出
+ */
+function normalizeSearchParams({ keyword, type, difficulty, minDifficulty, maxDifficulty, tags, page } = {}, catalog = getSnapshotCatalog()) {
+  const normalized = {
+    keyword: keyword ? String(keyword).trim() : '',
+    type: null,
+    difficulty: null,
+    minDifficulty: null,
+    maxDifficulty: null,
+    tags: [],
+    page: 1,
+  };
+
+  if (type) {
+    normalized.type = String(type).toUpperCase();
+    if (!PROBLEM_TYPES.includes(normalized.type)) {
+      throw new InvalidParameterError({ key: 'unsupportedProblemType', params: { type, options: PROBLEM_TYPES } });
+    }
+  }
+
+  for (const [key, value] of [['difficulty', difficulty], ['minDifficulty', minDifficulty], ['maxDifficulty', maxDifficulty]]) {
+    if (value === undefined || value === null || value === '') continue;
+    const level = parseDifficulty(value);
+    if (level === null) {
+      throw new InvalidParameterError({ key: 'unknownDifficulty', params: { value } });
+    }
+    normalized[key] = level;
+  }
+
+  if (normalized.minDifficulty !== null && normalized.maxDifficulty !== null && normalized.minDifficulty > normalized.maxDifficulty) {
+    throw new InvalidParameterError({ key: 'difficultyRangeInverted' });
+  }
+
+  // 区间退化为单个难度时直接交给洛谷筛选
+  if (normalized.difficulty === null && normalized.minDifficulty !== null && normalized.minDifficulty === normalized.maxDifficulty) {
+    normalized.difficulty = normalized.minDifficulty;
+  }
+
+  if (tags !== undefined && tags !== null && tags !== '') {
+    const list = Array.isArray(tags) ? tags : String(tags).split(',');
+    normalized.tags = list
+      .map(tag => String(tag).trim())
+      .filter(Boolean)
+      .map(tag => {
+        const tagId = catalog.resolveId(tag);
+        if (tagId === null) throw new InvalidParameterError({ key: 'unknownTag', params: { tag } });
+        return tagId;
+      });
+  }
+
+  if (page !== undefined && page !== null && page !== '') {
+    normalized.page = Number(page);
+    if (!Number.isInteger(normalized.page) || normalized.page < 1) {
+      throw new InvalidParameterError({ key: 'invalidPage', params: { page } });
+    }
+  }
+
+  return normalized;
+}
+
+/**
+ * 构造洛谷题目列表的查询URL
+ * @param {object} params - normalizeSearchParams 的返回值
+ * @returns {string}
+ */
+function buildSearchUrl({ keyword, type, difficulty, tags, page }) {
+  const query = new URLSearchParams();
+  if (type) query.set('type', type);
+  if (difficulty !== null) query.set('difficulty', String(difficulty));
+  if (tags.length) query.set('tag', tags.join(','));
+  if (keyword) query.set('keyword', keyword);
+  query.set('page', String(page));
+  return `${PROBLEM_LIST_URL}?${query}`;
+}
+
+/**
+ * 解析题目列表页面HTML
+ * @param {string} html - 页面HTML内容
+ * @param {TagCatalog} [catalog] - 标签目录，默认使用内置快照
+ * @returns {{ total: number, perPage: number, problems: object[] }}
+ */
+function parseProblemListHtml(html, catalog = getSnapshotCatalog()) {
+  const list = extractPageData(html)?.data?.problems;
+
+  if (!list || !Array.isArray(list.result)) {
+    assertContentPage(html, { subject: 'page' });
+    throw new ParseError({ key: 'parseProblemList' });
+  }
+
+  const problems = list.result.map(problem => ({
+    id: problem.pid,
+    title: cleanString(problem.title),
+    difficultyNum: problem.difficulty ?? null,
+    difficulty: problem.difficulty !== undefined ? mapDifficulty(problem.difficulty) : '未知难度',
+    tags: Array.isArray(problem.tags) ? catalog.namesOf(problem.tags) : [],
+    type: problem.type ?? null,
+    url: `https://www.luogu.com.cn/problem/${problem.pid}`,
+  }));
+
+  return {
+    total: list.count ?? problems.length,
+    perPage: list.perPage ?? problems.length,
+    problems,
+  };
+}
+
+/**
+ * 需要查询的难度等级
+ * @param {object} params - normalizeSearchParams 的返回值
+ * @returns {Array<number|null>} [null] 表示不按难度筛选
+ */
+function difficultyLevels({ difficulty, minDifficulty, maxDifficulty }) {
+  const min = minDifficulty ?? MIN_DIFFICULTY;
+  const max = maxDifficulty ?? MAX_DIFFICULTY;
+  if (difficulty !== null) return difficulty >= min && difficulty <= max ? [difficulty] : [];
+  if (minDifficulty === null && maxDifficulty === null) return [null];
+  return Array.from({ length: max - min + 1 }, (_, i) => min + i);
+}
+
+/**
+ * 搜索洛谷题目（结果经过缓存）。
+ * 洛谷只支持筛选单个难度，难度区间按每个难度分别查询后合并：结果按难度从低到高排列，
+ * total 为各难度题目数之和，page / perPage 按合并后的列表分页。
+ * @param {object} params - 搜索参数：keyword、type、difficulty、minDifficulty、maxDifficulty、tags、page
+ * @param {object} [options]
+ * @param {object} [options.env] - Worker 环境变量 / 绑定
+ * @param {boolean} [options.bypassCache] - 跳过缓存读取
+ * @returns {Promise<object>} 搜索结果
+ */
+async function searchProblems(params, { env, bypassCache = false } = {}) {
+  const catalog = await getTagCatalog(env);
+  const normalized = normalizeSearchParams(params, catalog);
+  const { page } = normalized;
+
+  const loadPage = async (difficulty, upstreamPage) => {
+    const url = buildSearchUrl({ ...normalized, difficulty, page: upstreamPage });
+    const { value } = await cached(
+      createCacheStore(env),
+      `search:${url}`,
+      getCacheTtl(env, 'search'),
+      async () => parseProblemListHtml(await fetchLuoguPage(url, { env }), catalog),
+      { bypass: bypassCache },
+    );
+    return value;
+  };
+
+  const levels = difficultyLevels(normalized);
+  if (levels.length === 0) {
+    return { query: normalized, page, perPage: 0, total: 0, problems: [] };
+  }
+  if (levels.length === 1) {
+    const { perPage, total, problems } = await loadPage(levels[0], page);
+    return { query: normalized, page, perPage, total, problems };
+  }
+
+  // 先取每个难度的第一页得到题目数，再按合并后的偏移量取出本页覆盖的各难度的页
+  const firstPages = await Promise.all(levels.map(level => loadPage(level, 1)));
+  const perPage = Math.max(...firstPages.map(list => list.perPage)) || 0;
+  const start = (page - 1) * perPage;
+  const end = start + perPage;
+  const slices = [];
+  let offset = 0;
+  levels.forEach((level, i) => {
+    const { total: count, perPage: levelPerPage } = firstPages[i];
+    const from = Math.max(start, offset) - offset;
+    const to = Math.min(end, offset + count) - offset;
+    offset += count;
+    if (from >= to || !levelPerPage) return;
+    for (let p = Math.floor(from / levelPerPage) + 1; p <= Math.floor((to - 1) / levelPerPage) + 1; p++) {
+      const pageStart = (p - 1) * levelPerPage;
+      slices.push({ level, page: p, from: Math.max(from - pageStart, 0), to: Math.min(to - pageStart, levelPerPage), first: firstPages[i] });
+    }
+  });
+
+  const pages = await Promise.all(slices.map(slice => (slice.page === 1 ? slice.first : loadPage(slice.level, slice.page))));
+  return {
+    query: normalized,
+    page,
+    perPage,
+    total: offset,
+    problems: slices.flatMap((slice, i) => pages[i].problems.slice(slice.from, slice.to)),
+  };
+}
+
+export { searchProblems, normalizeSearchParams, buildSearchUrl, parseProblemListHtml, PROBLEM_TYPES };
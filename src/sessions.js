@@ -0,0 +1,296 @@
+/**
+ * 有状态的 MCP 会话（可选）
+ * 默认的无状态模式每次请求创建新的 McpServer，无法向客户端主动推送通知。
+ * 通过 env.MCP_SESSION_MODE 开启会话模式：
+ *   - 'stateless'（默认）：无状态，见 handleMcpRequest
+ *   - 'memory'：会话保存在当前进程内存中，适合 Node（bin/luogu-mcp.js）和本地开发
+ *   - 'durable-object'：每个会话对应一个 Durable Object（绑定 env.MCP_SESSIONS，类 McpSessionObject）
+ * 会话模式下支持 Mcp-Session-Id、GET SSE 流、DELETE 结束会话，以及按 Last-Event-ID 恢复断开的流。
+ */
+
+import { WebStandardStreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/webStandardStreamableHttp.js';
+import { createMcpServer } from './mcp-client.js';
+import { isAuthEnabled, authenticateRequest } from './auth.js';
+import { ConfigurationError } from './errors.js';
+
+const SESSION_MODES = ['stateless', 'memory', 'durable-object'];
+
+/** 会话的默认空闲超时（秒）和每个进程 / Durable Object 的最大会话数，可通过 env.MCP_SESSION_TTL / env.MCP_SESSION_MAX 覆盖 */
+const DEFAULT_SESSION_TTL = 1800;
+const DEFAULT_SESSION_MAX = 100;
+
+/** 每个流保留的事件数，超出后最早的事件无法再恢复 */
+const DEFAULT_EVENTS_PER_STREAM = 200;
+
+/** Worker 转发给 Durable Object 时，用此请求头告知新会话的 ID */
+const SESSION_INIT_HEADER = 'X-Luogu-Mcp-New-Session';
+
+/**
+ * 读取会话模式
+ * @param {object} [env] - Worker 环境变量
+ * @returns {'stateless'|'memory'|'durable-object'} 未设置或无法识别时为 stateless
+ */
+function getSessionMode(env = {}) {
+  const mode = String(env.MCP_SESSION_MODE ?? '').trim().toLowerCase();
+  return SESSION_MODES.includes(mode) ? mode : 'stateless';
+}
+
+/**
+ * 读取会话配置
+ * @param {object} [env] - Worker 环境变量
+ * @returns {{ ttlMs: number, maxSessions: number }}
+ */
+function getSessionLimits(env = {}) {
+  const ttl = Number(env.MCP_SESSION_TTL);
+  const max = Number(env.MCP_SESSION_MAX);
+  return {
+    ttlMs: (Number.isInteger(ttl) && ttl > 0 ? ttl : DEFAULT_SESSION_TTL) * 1000,
+    maxSessions: Number.isInteger(max) && max > 0 ? max : DEFAULT_SESSION_MAX,
+  };
+}
+
+/**
+ * JSON-RPC 错误响应（与 SDK 传输层返回的格式一致）
+ * @param {number} status - HTTP 状态码
+ * @param {number} code - JSON-RPC 错误码
+ * @param {string} message - 错误信息
+ * @returns {Response}
+ */
+function jsonRpcError(status, code, message) {
+  return new Response(JSON.stringify({ jsonrpc: '2.0', error: { code, message }, id: null }), {
+    status,
+    headers: { 'Content-Type': 'application/json' },
+  });
+}
+
+// ---------------------------------------------------------------------------
+// 事件存储（断线恢复）
+// ---------------------------------------------------------------------------
+
+/**
+ * 内存事件存储，实现 SDK 的 EventStore 接口。
+ * 事件 ID 为 `<streamId>_<序号>`，客户端断线后带 Last-Event-ID 重新发起 GET 请求，即可收到之后的消息。
+ */
+class MemoryEventStore {
+  /**
+   * @param {number} [maxEventsPerStream] - 每个流最多保留的事件数
+   */
+  constructor(maxEventsPerStream = DEFAULT_EVENTS_PER_STREAM) {
+    this.maxEventsPerStream = maxEventsPerStream;
+    this.streams = new Map();
+    this.sequence = 0;
+  }
+
+  async storeEvent(streamId, message) {
+    const eventId = `${streamId}_${++this.sequence}`;
+    const events = this.streams.get(streamId) ?? [];
+    events.push({ eventId, sequence: this.sequence, message });
+    if (events.length > this.maxEventsPerStream) events.shift();
+    this.streams.set(streamId, events);
+    return eventId;
+  }
+
+  async getStreamIdForEventId(eventId) {
+    const streamId = MemoryEventStore.parseEventId(eventId)?.streamId;
+    return streamId && this.streams.has(streamId) ? streamId : undefined;
+  }
+
+  async replayEventsAfter(lastEventId, { send }) {
+    const parsed = MemoryEventStore.parseEventId(lastEventId);
+    if (!parsed) return '';
+    for (const { eventId, sequence, message } of this.streams.get(parsed.streamId) ?? []) {
+      // 跳过 SDK 写入的空“预备”事件，它们只用于告知客户端事件 ID
+      if (sequence > parsed.sequence && message?.jsonrpc) await send(eventId, message);
+    }
+    return parsed.streamId;
+  }
+
+  /**
+   * @param {string} eventId
+   * @returns {{ streamId: string, sequence: number }|null}
+   */
+  static parseEventId(eventId) {
+    const match = /^(.+)_(\d+)$/.exec(String(eventId ?? ''));
+    return match ? { streamId: match[1], sequence: Number(match[2]) } : null;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// 会话管理
+// ---------------------------------------------------------------------------
+
+/**
+ * 管理一组会话：每个会话有自己的 McpServer、传输层和事件存储。
+ * 会话空闲超过 MCP_SESSION_TTL 秒后关闭；超过 MCP_SESSION_MAX 个时关闭最久未使用的会话。
+ * 开启认证时会话属于创建它的 API 密钥，其他密钥使用该会话 ID 时视为会话不存在。
+ */
+class McpSessionManager {
+  /**
+   * @param {object} [env] - Worker 环境变量 / 绑定，传给 createMcpServer
+   */
+  constructor(env = {}) {
+    this.env = env;
+    this.limits = getSessionLimits(env);
+    /** @type {Map<string, { server: McpServer, transport: WebStandardStreamableHTTPServerTransport, lastSeen: number }>} */
+    this.sessions = new Map();
+  }
+
+  get size() {
+    return this.sessions.size;
+  }
+
+  /**
+   * 处理一个会话模式下的 MCP 请求
+   * @param {Request} request
+   * @param {object} [options]
+   * @param {string} [options.newSessionId] - 新会话使用的 ID，默认随机生成
+   * @param {object} [options.authInfo] - 认证信息（authenticateRequest 的返回值）
+   * @returns {Promise<Response>}
+   */
+  async handleRequest(request, { newSessionId, authInfo } = {}) {
+    this.closeIdleSessions();
+
+    const sessionId = request.headers.get('mcp-session-id');
+    if (sessionId) {
+      const session = this.sessions.get(sessionId);
+      if (!session || session.clientId !== authInfo?.clientId) return jsonRpcError(404, -32001, 'Session not found');
+      session.lastSeen = Date.now();
+      return session.transport.handleRequest(request, { authInfo });
+    }
+
+    if (request.method !== 'POST') {
+      return jsonRpcError(400, -32000, 'Bad Request: Mcp-Session-Id header is required');
+    }
+
+    // 没有会话 ID 的 POST 只能是 initialize，其他请求由传输层以 400 拒绝
+    const session = { server: createMcpServer(this.env), transport: null, clientId: authInfo?.clientId, lastSeen: Date.now() };
+    session.transport = new WebStandardStreamableHTTPServerTransport({
+      sessionIdGenerator: () => newSessionId ?? crypto.randomUUID(),
+      eventStore: new MemoryEventStore(),
+      onsessioninitialized: id => {
+        this.sessions.set(id, session);
+        this.evictOverflow();
+      },
+      onsessionclosed: id => {
+        this.sessions.delete(id);
+      },
+    });
+    await session.server.connect(session.transport);
+
+    const response = await session.transport.handleRequest(request, { authInfo });
+    if (!this.sessions.has(session.transport.sessionId)) {
+      await session.server.close();
+    }
+    return response;
+  }
+
+  /**
+   * 关闭一个会话
+   * @param {string} sessionId
+   */
+  async closeSession(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (!session) return;
+    this.sessions.delete(sessionId);
+    await session.server.close().catch(() => {});
+  }
+
+  /** 关闭空闲超时的会话 */
+  closeIdleSessions(now = Date.now()) {
+    for (const [id, session] of this.sessions) {
+      if (now - session.lastSeen > this.limits.ttlMs) this.closeSession(id);
+    }
+  }
+
+  /** 会话数超出上限时关闭最久未使用的会话 */
+  evictOverflow() {
+    while (this.sessions.size > this.limits.maxSessions) {
+      let oldest = null;
+      for (const [id, session] of this.sessions) {
+        if (!oldest || session.lastSeen < oldest.lastSeen) oldest = { id, lastSeen: session.lastSeen };
+      }
+      this.closeSession(oldest.id);
+    }
+  }
+
+  /** 关闭全部会话 */
+  async closeAll() {
+    await Promise.all([...this.sessions.keys()].map(id => this.closeSession(id)));
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Durable Object
+// ---------------------------------------------------------------------------
+
+/**
+ * 保存单个 MCP 会话的 Durable Object。
+ * Worker 按会话 ID（idFromName）把同一会话的请求都转发到同一个实例，
+ * 会话状态和事件存储保存在实例内存中；实例被回收后客户端会收到 404，按 MCP 规范重新初始化即可。
+ */
+class McpSessionObject {
+  /**
+   * @param {DurableObjectState} state
+   * @param {object} env - Worker 环境变量 / 绑定
+   */
+  constructor(state, env) {
+    this.state = state;
+    this.env = env;
+    this.manager = new McpSessionManager(env);
+  }
+
+  async fetch(request) {
+    const newSessionId = request.headers.get(SESSION_INIT_HEADER) ?? undefined;
+    // Worker 已经校验过 API 密钥，这里从同一请求头重新取得认证信息
+    const authInfo = isAuthEnabled(this.env) ? await authenticateRequest(request, this.env).catch(() => null) : undefined;
+    if (authInfo === null) return jsonRpcError(401, -32000, 'Unauthorized');
+    return this.manager.handleRequest(request, { newSessionId, authInfo });
+  }
+}
+
+// ---------------------------------------------------------------------------
+// 入口
+// ---------------------------------------------------------------------------
+
+/** memory 模式下的模块级会话管理器，在同一进程 / isolate 的多次请求之间共享 */
+let memorySessions = null;
+
+/**
+ * 处理会话模式下的 MCP 请求（POST / GET / DELETE）
+ * @param {Request} request
+ * @param {object} [env] - Worker 环境变量 / 绑定
+ * @param {object} [options]
+ * @param {object} [options.authInfo] - 认证信息（authenticateRequest 的返回值）
+ * @returns {Promise<Response>}
+ * @throws {ConfigurationError} MCP_SESSION_MODE=durable-object 但缺少 MCP_SESSIONS 绑定
+ */
+async function handleSessionRequest(request, env = {}, { authInfo } = {}) {
+  if (getSessionMode(env) === 'durable-object') {
+    if (!env.MCP_SESSIONS) throw new ConfigurationError({ key: 'sessionBindingMissing' });
+
+    const existing = request.headers.get('mcp-session-id');
+    if (!existing && request.method !== 'POST') {
+      return jsonRpcError(400, -32000, 'Bad Request: Mcp-Session-Id header is required');
+    }
+    const sessionId = existing ?? crypto.randomUUID();
+    const headers = new Headers(request.headers);
+    headers.delete(SESSION_INIT_HEADER);
+    if (!existing) headers.set(SESSION_INIT_HEADER, sessionId);
+
+    const stub = env.MCP_SESSIONS.get(env.MCP_SESSIONS.idFromName(sessionId));
+    return stub.fetch(new Request(request, { headers }));
+  }
+
+  memorySessions ??= new McpSessionManager(env);
+  return memorySessions.handleRequest(request, { authInfo });
+}
+
+export {
+  getSessionMode,
+  getSessionLimits,
+  handleSessionRequest,
+  MemoryEventStore,
+  McpSessionManager,
+  McpSessionObject,
+  SESSION_MODES,
+};
@@ -0,0 +1,137 @@
+/**
+ * 洛谷题解
+ * 列出题目的题解文章（https://www.luogu.com.cn/problem/solution/:pid），
+ * 并获取单篇题解的完整 Markdown 正文（https://www.luogu.com.cn/article/:lid）。
+ */
+
+import { fetchLuoguPage } from './fetcher.js';
+import { extractPageData, assertContentPage } from './page.js';
+import { cached, createCacheStore, getCacheTtl } from './cache.js';
+import { cleanString, excerpt, toIsoTime, PROBLEM_ID_RE } from './utils.js';
+import { InvalidIdError, InvalidParameterError, NotFoundError, ParseError } from './errors.js';
+
+/** 题解（文章）ID格式，如 0a1b2c3d */
+const SOLUTION_ID_RE = /^[A-Za-z0-9]+$/;
+
+/**
+ * 将洛谷文章对象转换为题解摘要
+ * @param {object} article - lentille-context 中的文章对象
+ * @returns {object} 题解摘要
+ */
+function toSolutionSummary(article) {
+  const id = article.lid ?? article.id;
+  return {
+    id: String(id),
+    title: cleanString(article.title),
+    author: article.author ? { uid: article.author.uid, name: article.author.name } : null,
+    votes: article.upvote ?? article.votes ?? 0,
+    date: toIsoTime(article.postTime ?? article.time),
+    excerpt: article.content ? excerpt(article.content) : '',
+    url: `https://www.luogu.com.cn/article/${id}`,
+  };
+}
+
+/**
+ * 解析题目的题解列表页面
+ * @param {string} html - 页面HTML内容
+ * @returns {{ total: number, perPage: number, solutions: object[] }}
+ */
+function parseSolutionListHtml(html) {
+  const list = extractPageData(html)?.data?.solutions;
+
+  if (!list || !Array.isArray(list.result)) {
+    assertContentPage(html, { subject: 'problem' });
+    throw new ParseError({ key: 'parseSolutionList' });
+  }
+
+  const solutions = list.result.map(toSolutionSummary);
+  return {
+    total: list.count ?? solutions.length,
+    perPage: list.perPage ?? solutions.length,
+    solutions,
+  };
+}
+
+/**
+ * 解析单篇题解（文章）页面
+ * @param {string} html - 页面HTML内容
+ * @returns {object} 题解信息，content 为 Markdown 原文
+ */
+function parseSolutionHtml(html) {
+  const article = extractPageData(html)?.data?.article;
+
+  if (!article || typeof article.content !== 'string') {
+    assertContentPage(html, { subject: 'solution' });
+    throw new ParseError({ key: 'parseSolution' });
+  }
+
+  const { excerpt: _, ...summary } = toSolutionSummary(article);
+  return {
+    ...summary,
+    problemId: article.solutionFor?.pid ?? null,
+    content: article.content.trim(),
+  };
+}
+
+/**
+ * 列出题目的题解（结果经过缓存）
+ * @param {string} problemId - 洛谷题目编号
+ * @param {object} [params]
+ * @param {number} [params.page=1] - 页码
+ * @param {object} [options]
+ * @param {object} [options.env] - Worker 环境变量 / 绑定
+ * @param {boolean} [options.bypassCache] - 跳过缓存读取
+ * @returns {Promise<object>} 题解列表
+ */
+async function listSolutions(problemId, { page = 1 } = {}, { env, bypassCache = false } = {}) {
+  if (!problemId || !PROBLEM_ID_RE.test(problemId)) {
+    throw new InvalidIdError({ key: 'invalidProblemIdFormat' });
+  }
+  const pageNum = Number(page);
+  if (!Number.isInteger(pageNum) || pageNum < 1) {
+    throw new InvalidParameterError({ key: 'invalidPage', params: { page } });
+  }
+
+  const url = `https://www.luogu.com.cn/problem/solution/${problemId}?page=${pageNum}`;
+  const { value } = await cached(
+    createCacheStore(env),
+    `solutions:${url}`,
+    getCacheTtl(env, 'solutions'),
+    async () => parseSolutionListHtml(await fetchLuoguPage(url, { env })),
+    { bypass: bypassCache },
+  );
+
+  return { problemId, page: pageNum, ...value };
+}
+
+/**
+ * 获取单篇题解的完整正文（结果经过缓存）
+ * @param {string} solutionId - 题解（文章）ID
+ * @param {object} [options]
+ * @param {string} [options.problemId] - 所属题目编号，指定时校验题解确实是该题的题解
+ * @param {object} [options.env] - Worker 环境变量 / 绑定
+ * @param {boolean} [options.bypassCache] - 跳过缓存读取
+ * @returns {Promise<object>} 题解信息
+ * @throws {NotFoundError} 题解不属于 problemId
+ */
+async function getSolution(solutionId, { problemId, env, bypassCache = false } = {}) {
+  if (!solutionId || !SOLUTION_ID_RE.test(solutionId)) {
+    throw new InvalidIdError({ key: 'invalidSolutionId' });
+  }
+
+  const url = `https://www.luogu.com.cn/article/${solutionId}`;
+  const { value } = await cached(
+    createCacheStore(env),
+    `solution:${url}`,
+    getCacheTtl(env, 'solutions'),
+    async () => parseSolutionHtml(await fetchLuoguPage(url, { env })),
+    { bypass: bypassCache },
+  );
+
+  if (problemId && value.problemId?.toUpperCase() !== problemId.toUpperCase()) {
+    throw new NotFoundError({ key: 'solutionNotForProblem', params: { problemId, solutionId } });
+  }
+  return value;
+}
+
+export { listSolutions, getSolution, parseSolutionListHtml, parseSolutionHtml };
@@ -5,6 +5,8 @@
  * but the static import of ajv-provider.js would still load ajv at startup,
  * which crashes in Workers due to `require('./refs/data.json')`.
  * This stub satisfies the import without loading any JSON files.
+ * The alias only exists in wrangler.jsonc and vitest.config.js; the Node
+ * entry point (bin/luogu-mcp.js) resolves the real ajv, which works there.
  */
 export default class Ajv {
   constructor() {}
@@ -0,0 +1,471 @@
+/**
+ * 洛谷标签目录快照
+ * 在 KV 中没有刷新过的目录时使用（见 tags.js 的 refreshTagCatalog）。
+ * type：algorithm 算法、source 来源、region 地区、year 时间、special 特殊题目。
+ * parent：所属的分类标签（来源 75、时间 76、地区 87、特殊题目 105）；快照不记录算法标签之间的层级，
+ * 完整的层级以刷新后从洛谷获取的目录为准。
+ */
+const TAG_SNAPSHOT = [
+  {"id": -2, "name": "语言入门（请选择[入门与面试]题库）", "type": "special", "parent": 105},
+  {"id": 1, "name": "模拟", "type": "algorithm", "parent": null},
+  {"id": 2, "name": "字符串", "type": "algorithm", "parent": null},
+  {"id": 3, "name": "动态规划 DP", "type": "algorithm", "parent": null},
+  {"id": 4, "name": "搜索", "type": "algorithm", "parent": null},
+  {"id": 5, "name": "数学", "type": "algorithm", "parent": null},
+  {"id": 6, "name": "图论", "type": "algorithm", "parent": null},
+  {"id": 7, "name": "贪心", "type": "algorithm", "parent": null},
+  {"id": 8, "name": "计算几何", "type": "algorithm", "parent": null},
+  {"id": 9, "name": "暴力数据结构", "type": "algorithm", "parent": null},
+  {"id": 10, "name": "高精度", "type": "algorithm", "parent": null},
+  {"id": 11, "name": "树形数据结构", "type": "algorithm", "parent": null},
+  {"id": 12, "name": "递推", "type": "algorithm", "parent": null},
+  {"id": 13, "name": "博弈论", "type": "algorithm", "parent": null},
+  {"id": 14, "name": "1997", "type": "year", "parent": 76},
+  {"id": 15, "name": "1998", "type": "year", "parent": 76},
+  {"id": 16, "name": "1999", "type": "year", "parent": 76},
+  {"id": 17, "name": "2000", "type": "year", "parent": 76},
+  {"id": 18, "name": "2001", "type": "year", "parent": 76},
+  {"id": 19, "name": "2002", "type": "year", "parent": 76},
+  {"id": 20, "name": "2003", "type": "year", "parent": 76},
+  {"id": 21, "name": "2004", "type": "year", "parent": 76},
+  {"id": 22, "name": "2005", "type": "year", "parent": 76},
+  {"id": 23, "name": "2006", "type": "year", "parent": 76},
+  {"id": 24, "name": "2007", "type": "year", "parent": 76},
+  {"id": 25, "name": "2008", "type": "year", "parent": 76},
+  {"id": 26, "name": "2009", "type": "year", "parent": 76},
+  {"id": 27, "name": "2010", "type": "year", "parent": 76},
+  {"id": 28, "name": "2011", "type": "year", "parent": 76},
+  {"id": 29, "name": "2012", "type": "year", "parent": 76},
+  {"id": 30, "name": "2013", "type": "year", "parent": 76},
+  {"id": 31, "name": "2014", "type": "year", "parent": 76},
+  {"id": 32, "name": "2015", "type": "year", "parent": 76},
+  {"id": 33, "name": "2016", "type": "year", "parent": 76},
+  {"id": 34, "name": "2017", "type": "year", "parent": 76},
+  {"id": 35, "name": "2018", "type": "year", "parent": 76},
+  {"id": 36, "name": "2019", "type": "year", "parent": 76},
+  {"id": 37, "name": "2020", "type": "year", "parent": 76},
+  {"id": 38, "name": "重庆", "type": "region", "parent": 87},
+  {"id": 39, "name": "四川", "type": "region", "parent": 87},
+  {"id": 40, "name": "河南", "type": "region", "parent": 87},
+  {"id": 41, "name": "莫队", "type": "algorithm", "parent": null},
+  {"id": 42, "name": "线段树", "type": "algorithm", "parent": null},
+  {"id": 43, "name": "倍增", "type": "algorithm", "parent": null},
+  {"id": 44, "name": "线性数据结构", "type": "algorithm", "parent": null},
+  {"id": 45, "name": "二分", "type": "algorithm", "parent": null},
+  {"id": 46, "name": "USACO", "type": "source", "parent": 75},
+  {"id": 47, "name": "并查集", "type": "algorithm", "parent": null},
+  {"id": 48, "name": "各省省选", "type": "source", "parent": 75},
+  {"id": 49, "name": "点分治", "type": "algorithm", "parent": null},
+  {"id": 50, "name": "平衡树", "type": "algorithm", "parent": null},
+  {"id": 51, "name": "堆", "type": "algorithm", "parent": null},
+  {"id": 52, "name": "集训队互测", "type": "source", "parent": 75},
+  {"id": 53, "name": "树状数组", "type": "algorithm", "parent": null},
+  {"id": 54, "name": "递归", "type": "algorithm", "parent": null},
+  {"id": 55, "name": "树上启发式合并", "type": "algorithm", "parent": null},
+  {"id": 56, "name": "单调队列", "type": "algorithm", "parent": null},
+  {"id": 57, "name": "POI（波兰）", "type": "source", "parent": 75},
+  {"id": 58, "name": "2021", "type": "year", "parent": 76},
+  {"id": 59, "name": "2022", "type": "year", "parent": 76},
+  {"id": 60, "name": "2023", "type": "year", "parent": 76},
+  {"id": 61, "name": "2024", "type": "year", "parent": 76},
+  {"id": 62, "name": "2025", "type": "year", "parent": 76},
+  {"id": 63, "name": "LGV 引理", "type": "algorithm", "parent": null},
+  {"id": 64, "name": "矩阵树定理", "type": "algorithm", "parent": null},
+  {"id": 65, "name": "颜色段均摊（珂朵莉树 ODT）", "type": "algorithm", "parent": null},
+  {"id": 66, "name": "原根", "type": "algorithm", "parent": null},
+  {"id": 67, "name": "三分", "type": "algorithm", "parent": null},
+  {"id": 68, "name": "Kruskal 重构树", "type": "algorithm", "parent": null},
+  {"id": 69, "name": "多项式", "type": "algorithm", "parent": null},
+  {"id": 70, "name": "福建省历届夏令营", "type": "source", "parent": 75},
+  {"id": 71, "name": "矩阵运算", "type": "algorithm", "parent": null},
+  {"id": 72, "name": "数论", "type": "algorithm", "parent": null},
+  {"id": 73, "name": "算法", "type": "algorithm", "parent": null},
+  {"id": 74, "name": "数据结构", "type": "algorithm", "parent": null},
+  {"id": 75, "name": "来源", "type": "source", "parent": null},
+  {"id": 76, "name": "时间", "type": "year", "parent": null},
+  {"id": 77, "name": "NOI", "type": "source", "parent": 75},
+  {"id": 78, "name": "离散化", "type": "algorithm", "parent": null},
+  {"id": 79, "name": "网络流", "type": "algorithm", "parent": null},
+  {"id": 80, "name": "高级数据结构", "type": "algorithm", "parent": null},
+  {"id": 81, "name": "洛谷原创", "type": "source", "parent": 75},
+  {"id": 82, "name": "NOIP 普及组", "type": "source", "parent": 75},
+  {"id": 83, "name": "NOIP 提高组", "type": "source", "parent": 75},
+  {"id": 85, "name": "APIO", "type": "source", "parent": 75},
+  {"id": 87, "name": "地区", "type": "region", "parent": null},
+  {"id": 88, "name": "浙江", "type": "region", "parent": 87},
+  {"id": 89, "name": "上海", "type": "region", "parent": 87},
+  {"id": 90, "name": "福建", "type": "region", "parent": 87},
+  {"id": 91, "name": "江苏", "type": "region", "parent": 87},
+  {"id": 92, "name": "安徽", "type": "region", "parent": 87},
+  {"id": 93, "name": "湖南", "type": "region", "parent": 87},
+  {"id": 94, "name": "北京", "type": "region", "parent": 87},
+  {"id": 95, "name": "河北", "type": "region", "parent": 87},
+  {"id": 96, "name": "广东", "type": "region", "parent": 87},
+  {"id": 97, "name": "山东", "type": "region", "parent": 87},
+  {"id": 98, "name": "吉林", "type": "region", "parent": 87},
+  {"id": 99, "name": "NOI 导刊", "type": "source", "parent": 75},
+  {"id": 100, "name": "cdq 分治", "type": "algorithm", "parent": null},
+  {"id": 101, "name": "后缀自动机 SAM", "type": "algorithm", "parent": null},
+  {"id": 102, "name": "IOI", "type": "source", "parent": 75},
+  {"id": 103, "name": "交互题", "type": "special", "parent": 105},
+  {"id": 104, "name": "提交答案", "type": "special", "parent": 105},
+  {"id": 105, "name": "特殊题目", "type": "special", "parent": null},
+  {"id": 107, "name": "Special Judge", "type": "special", "parent": 105},
+  {"id": 108, "name": "O2优化", "type": "special", "parent": 105},
+  {"id": 110, "name": "基础算法", "type": "algorithm", "parent": null},
+  {"id": 111, "name": "枚举", "type": "algorithm", "parent": null},
+  {"id": 112, "name": "分治", "type": "algorithm", "parent": null},
+  {"id": 113, "name": "排序", "type": "algorithm", "parent": null},
+  {"id": 114, "name": "山西", "type": "region", "parent": 87},
+  {"id": 115, "name": "CCO（加拿大）", "type": "source", "parent": 75},
+  {"id": 116, "name": "CCC（加拿大）", "type": "source", "parent": 75},
+  {"id": 117, "name": "CEOI（中欧）", "type": "source", "parent": 75},
+  {"id": 118, "name": "eJOI（欧洲）", "type": "source", "parent": 75},
+  {"id": 119, "name": "快速排序", "type": "algorithm", "parent": null},
+  {"id": 120, "name": "堆排序", "type": "algorithm", "parent": null},
+  {"id": 121, "name": "希尔排序", "type": "algorithm", "parent": null},
+  {"id": 122, "name": "信息论", "type": "algorithm", "parent": null},
+  {"id": 123, "name": "查找算法", "type": "algorithm", "parent": null},
+  {"id": 124, "name": "顺序查找", "type": "algorithm", "parent": null},
+  {"id": 126, "name": "广度优先搜索 BFS", "type": "algorithm", "parent": null},
+  {"id": 127, "name": "深度优先搜索 DFS", "type": "algorithm", "parent": null},
+  {"id": 128, "name": "剪枝", "type": "algorithm", "parent": null},
+  {"id": 129, "name": "记忆化搜索", "type": "algorithm", "parent": null},
+  {"id": 130, "name": "启发式搜索", "type": "algorithm", "parent": null},
+  {"id": 131, "name": "迭代加深搜索", "type": "algorithm", "parent": null},
+  {"id": 132, "name": "启发式迭代加深搜索 IDA*", "type": "algorithm", "parent": null},
+  {"id": 133, "name": "Dancing Links", "type": "algorithm", "parent": null},
+  {"id": 134, "name": "爬山算法 Local search", "type": "algorithm", "parent": null},
+  {"id": 135, "name": "模拟退火", "type": "algorithm", "parent": null},
+  {"id": 136, "name": "随机调整", "type": "algorithm", "parent": null},
+  {"id": 137, "name": "遗传算法", "type": "algorithm", "parent": null},
+  {"id": 139, "name": "背包 DP", "type": "algorithm", "parent": null},
+  {"id": 140, "name": "环形 dp", "type": "algorithm", "parent": null},
+  {"id": 141, "name": "数位 DP", "type": "algorithm", "parent": null},
+  {"id": 143, "name": "多维状态", "type": "algorithm", "parent": null},
+  {"id": 144, "name": "区间 DP", "type": "algorithm", "parent": null},
+  {"id": 146, "name": "动态规划优化", "type": "algorithm", "parent": null},
+  {"id": 148, "name": "优先队列", "type": "algorithm", "parent": null},
+  {"id": 149, "name": "矩阵加速", "type": "algorithm", "parent": null},
+  {"id": 150, "name": "斜率优化", "type": "algorithm", "parent": null},
+  {"id": 151, "name": "状态合并", "type": "algorithm", "parent": null},
+  {"id": 152, "name": "树形 DP", "type": "algorithm", "parent": null},
+  {"id": 153, "name": "凸完全单调性（wqs 二分）", "type": "algorithm", "parent": null},
+  {"id": 154, "name": "四边形不等式", "type": "algorithm", "parent": null},
+  {"id": 155, "name": "图论建模", "type": "algorithm", "parent": null},
+  {"id": 156, "name": "邻接矩阵", "type": "algorithm", "parent": null},
+  {"id": 157, "name": "邻接表", "type": "algorithm", "parent": null},
+  {"id": 158, "name": "图遍历", "type": "algorithm", "parent": null},
+  {"id": 159, "name": "拓扑排序", "type": "algorithm", "parent": null},
+  {"id": 160, "name": "最短路", "type": "algorithm", "parent": null},
+  {"id": 161, "name": "江西", "type": "region", "parent": 87},
+  {"id": 162, "name": "贵州", "type": "region", "parent": 87},
+  {"id": 163, "name": "广西", "type": "region", "parent": 87},
+  {"id": 164, "name": "陕西", "type": "region", "parent": 87},
+  {"id": 166, "name": "生成树", "type": "algorithm", "parent": null},
+  {"id": 167, "name": "辽宁", "type": "region", "parent": 87},
+  {"id": 168, "name": "云南", "type": "region", "parent": 87},
+  {"id": 169, "name": "生成树的另类算法", "type": "algorithm", "parent": null},
+  {"id": 170, "name": "次小生成树", "type": "algorithm", "parent": null},
+  {"id": 171, "name": "特殊生成树", "type": "algorithm", "parent": null},
+  {"id": 172, "name": "平面图", "type": "algorithm", "parent": null},
+  {"id": 173, "name": "最小环", "type": "algorithm", "parent": null},
+  {"id": 174, "name": "负权环", "type": "algorithm", "parent": null},
+  {"id": 175, "name": "连通块", "type": "algorithm", "parent": null},
+  {"id": 176, "name": "2-SAT", "type": "algorithm", "parent": null},
+  {"id": 177, "name": "平面图欧拉公式", "type": "algorithm", "parent": null},
+  {"id": 179, "name": "强连通分量", "type": "algorithm", "parent": null},
+  {"id": 180, "name": "Tarjan", "type": "algorithm", "parent": null},
+  {"id": 181, "name": "双连通分量", "type": "algorithm", "parent": null},
+  {"id": 182, "name": "欧拉回路", "type": "algorithm", "parent": null},
+  {"id": 183, "name": "AOV", "type": "algorithm", "parent": null},
+  {"id": 184, "name": "AOE", "type": "algorithm", "parent": null},
+  {"id": 185, "name": "差分约束", "type": "algorithm", "parent": null},
+  {"id": 186, "name": "仙人掌", "type": "algorithm", "parent": null},
+  {"id": 187, "name": "二分图", "type": "algorithm", "parent": null},
+  {"id": 188, "name": "匈牙利算法", "type": "algorithm", "parent": null},
+  {"id": 189, "name": "一般图的最大匹配", "type": "algorithm", "parent": null},
+  {"id": 190, "name": "Konig定理", "type": "algorithm", "parent": null},
+  {"id": 191, "name": "带权二分图匹配", "type": "algorithm", "parent": null},
+  {"id": 192, "name": "KM算法", "type": "algorithm", "parent": null},
+  {"id": 193, "name": "稳定婚姻系统", "type": "algorithm", "parent": null},
+  {"id": 195, "name": "Dinic", "type": "algorithm", "parent": null},
+  {"id": 196, "name": "Sap", "type": "algorithm", "parent": null},
+  {"id": 197, "name": "上下界网络流", "type": "algorithm", "parent": null},
+  {"id": 198, "name": "最小割", "type": "algorithm", "parent": null},
+  {"id": 199, "name": "闭合图", "type": "algorithm", "parent": null},
+  {"id": 200, "name": "最小点权覆盖集", "type": "algorithm", "parent": null},
+  {"id": 201, "name": "最大点权独立集", "type": "algorithm", "parent": null},
+  {"id": 202, "name": "分数规划", "type": "algorithm", "parent": null},
+  {"id": 203, "name": "最大密度子图", "type": "algorithm", "parent": null},
+  {"id": 204, "name": "费用流", "type": "algorithm", "parent": null},
+  {"id": 205, "name": "最短路增广费用流", "type": "algorithm", "parent": null},
+  {"id": 207, "name": "最小费用可行流", "type": "algorithm", "parent": null},
+  {"id": 208, "name": "树的遍历", "type": "algorithm", "parent": null},
+  {"id": 209, "name": "树上距离", "type": "algorithm", "parent": null},
+  {"id": 210, "name": "节点到根的距离", "type": "algorithm", "parent": null},
+  {"id": 211, "name": "最近公共祖先 LCA", "type": "algorithm", "parent": null},
+  {"id": 212, "name": "节点间的距离", "type": "algorithm", "parent": null},
+  {"id": 213, "name": "树的直径", "type": "algorithm", "parent": null},
+  {"id": 214, "name": "霍夫曼树", "type": "algorithm", "parent": null},
+  {"id": 215, "name": "可并堆", "type": "algorithm", "parent": null},
+  {"id": 216, "name": "斜堆", "type": "algorithm", "parent": null},
+  {"id": 217, "name": "二项堆", "type": "algorithm", "parent": null},
+  {"id": 218, "name": "AVL", "type": "algorithm", "parent": null},
+  {"id": 219, "name": "Treap", "type": "algorithm", "parent": null},
+  {"id": 220, "name": "SBT", "type": "algorithm", "parent": null},
+  {"id": 221, "name": "Splay", "type": "algorithm", "parent": null},
+  {"id": 222, "name": "静态排序树", "type": "algorithm", "parent": null},
+  {"id": 223, "name": "替罪羊树", "type": "algorithm", "parent": null},
+  {"id": 224, "name": "二维线段树", "type": "algorithm", "parent": null},
+  {"id": 225, "name": "矩形树", "type": "algorithm", "parent": null},
+  {"id": 227, "name": "动态树", "type": "algorithm", "parent": null},
+  {"id": 228, "name": "树链剖分", "type": "algorithm", "parent": null},
+  {"id": 229, "name": "动态树 LCT", "type": "algorithm", "parent": null},
+  {"id": 230, "name": "树论", "type": "algorithm", "parent": null},
+  {"id": 231, "name": "RMQ", "type": "algorithm", "parent": null},
+  {"id": 232, "name": "树套树", "type": "algorithm", "parent": null},
+  {"id": 233, "name": "可持久化线段树", "type": "algorithm", "parent": null},
+  {"id": 234, "name": "可持久化", "type": "algorithm", "parent": null},
+  {"id": 235, "name": "哈希 hashing", "type": "algorithm", "parent": null},
+  {"id": 236, "name": "ELFhash", "type": "algorithm", "parent": null},
+  {"id": 237, "name": "SDBM", "type": "algorithm", "parent": null},
+  {"id": 238, "name": "BKDR", "type": "algorithm", "parent": null},
+  {"id": 239, "name": "素数判断,质数,筛法", "type": "algorithm", "parent": null},
+  {"id": 241, "name": "最大公约数 gcd", "type": "algorithm", "parent": null},
+  {"id": 242, "name": "扩展欧几里德算法", "type": "algorithm", "parent": null},
+  {"id": 243, "name": "不定方程", "type": "algorithm", "parent": null},
+  {"id": 244, "name": "进制", "type": "algorithm", "parent": null},
+  {"id": 246, "name": "群论", "type": "algorithm", "parent": null},
+  {"id": 247, "name": "置换", "type": "algorithm", "parent": null},
+  {"id": 248, "name": "Pólya 定理", "type": "algorithm", "parent": null},
+  {"id": 249, "name": "虚树", "type": "algorithm", "parent": null},
+  {"id": 250, "name": "中国剩余定理 CRT", "type": "algorithm", "parent": null},
+  {"id": 251, "name": "莫比乌斯反演", "type": "algorithm", "parent": null},
+  {"id": 252, "name": "组合数学", "type": "algorithm", "parent": null},
+  {"id": 253, "name": "排列组合", "type": "algorithm", "parent": null},
+  {"id": 254, "name": "前缀和", "type": "algorithm", "parent": null},
+  {"id": 255, "name": "二项式定理", "type": "algorithm", "parent": null},
+  {"id": 256, "name": "康托展开", "type": "algorithm", "parent": null},
+  {"id": 257, "name": "袋与球问题", "type": "algorithm", "parent": null},
+  {"id": 258, "name": "鸽笼原理", "type": "algorithm", "parent": null},
+  {"id": 259, "name": "容斥原理", "type": "algorithm", "parent": null},
+  {"id": 260, "name": "Fibonacci 数列", "type": "algorithm", "parent": null},
+  {"id": 261, "name": "Catalan 数", "type": "algorithm", "parent": null},
+  {"id": 262, "name": "Stirling 数", "type": "algorithm", "parent": null},
+  {"id": 263, "name": "A* 算法", "type": "algorithm", "parent": null},
+  {"id": 264, "name": "生成函数", "type": "algorithm", "parent": null},
+  {"id": 265, "name": "线性规划", "type": "algorithm", "parent": null},
+  {"id": 266, "name": "概率论", "type": "algorithm", "parent": null},
+  {"id": 267, "name": "简单概率", "type": "algorithm", "parent": null},
+  {"id": 268, "name": "条件概率", "type": "algorithm", "parent": null},
+  {"id": 269, "name": "Bayes", "type": "algorithm", "parent": null},
+  {"id": 270, "name": "期望", "type": "algorithm", "parent": null},
+  {"id": 271, "name": "线性代数", "type": "algorithm", "parent": null},
+  {"id": 272, "name": "矩阵乘法", "type": "algorithm", "parent": null},
+  {"id": 273, "name": "线性递推", "type": "algorithm", "parent": null},
+  {"id": 274, "name": "高斯消元", "type": "algorithm", "parent": null},
+  {"id": 275, "name": "异或方程组", "type": "algorithm", "parent": null},
+  {"id": 276, "name": "逆元", "type": "algorithm", "parent": null},
+  {"id": 277, "name": "线性基", "type": "algorithm", "parent": null},
+  {"id": 278, "name": "微积分", "type": "algorithm", "parent": null},
+  {"id": 280, "name": "导数", "type": "algorithm", "parent": null},
+  {"id": 281, "name": "积分", "type": "algorithm", "parent": null},
+  {"id": 282, "name": "定积分", "type": "algorithm", "parent": null},
+  {"id": 283, "name": "三维计算几何", "type": "algorithm", "parent": null},
+  {"id": 284, "name": "级数", "type": "algorithm", "parent": null},
+  {"id": 285, "name": "基本数组", "type": "algorithm", "parent": null},
+  {"id": 286, "name": "向量", "type": "algorithm", "parent": null},
+  {"id": 287, "name": "栈", "type": "algorithm", "parent": null},
+  {"id": 288, "name": "队列", "type": "algorithm", "parent": null},
+  {"id": 289, "name": "分块", "type": "algorithm", "parent": null},
+  {"id": 290, "name": "ST 表", "type": "algorithm", "parent": null},
+  {"id": 291, "name": "凸包", "type": "algorithm", "parent": null},
+  {"id": 292, "name": "叉积", "type": "algorithm", "parent": null},
+  {"id": 293, "name": "线段相交", "type": "algorithm", "parent": null},
+  {"id": 295, "name": "半平面交", "type": "algorithm", "parent": null},
+  {"id": 296, "name": "最近点对", "type": "algorithm", "parent": null},
+  {"id": 298, "name": "扫描线", "type": "algorithm", "parent": null},
+  {"id": 299, "name": "旋转卡壳", "type": "algorithm", "parent": null},
+  {"id": 300, "name": "字典树 Trie", "type": "algorithm", "parent": null},
+  {"id": 301, "name": "AC 自动机", "type": "algorithm", "parent": null},
+  {"id": 302, "name": "KMP 算法", "type": "algorithm", "parent": null},
+  {"id": 303, "name": "后缀数组 SA", "type": "algorithm", "parent": null},
+  {"id": 304, "name": "后缀树", "type": "algorithm", "parent": null},
+  {"id": 305, "name": "有限状态自动机", "type": "algorithm", "parent": null},
+  {"id": 307, "name": "简单密码学", "type": "algorithm", "parent": null},
+  {"id": 308, "name": "其它技巧", "type": "algorithm", "parent": null},
+  {"id": 309, "name": "随机化", "type": "algorithm", "parent": null},
+  {"id": 311, "name": "博弈树", "type": "algorithm", "parent": null},
+  {"id": 312, "name": "Shannon 开关游戏", "type": "algorithm", "parent": null},
+  {"id": 313, "name": "快速傅里叶变换 FFT", "type": "algorithm", "parent": null},
+  {"id": 314, "name": "位运算", "type": "algorithm", "parent": null},
+  {"id": 316, "name": "整体二分", "type": "algorithm", "parent": null},
+  {"id": 318, "name": "构造", "type": "algorithm", "parent": null},
+  {"id": 320, "name": "基环树", "type": "algorithm", "parent": null},
+  {"id": 321, "name": "K-D Tree", "type": "algorithm", "parent": null},
+  {"id": 322, "name": "Lucas 定理", "type": "algorithm", "parent": null},
+  {"id": 323, "name": "插头 DP", "type": "algorithm", "parent": null},
+  {"id": 324, "name": "快速数论变换 NTT", "type": "algorithm", "parent": null},
+  {"id": 325, "name": "回文自动机 PAM", "type": "algorithm", "parent": null},
+  {"id": 326, "name": "快速沃尔什变换 FWT", "type": "algorithm", "parent": null},
+  {"id": 327, "name": "快速莫比乌斯变换 FMT", "type": "algorithm", "parent": null},
+  {"id": 328, "name": "天津", "type": "region", "parent": 87},
+  {"id": 329, "name": "Manacher 算法", "type": "algorithm", "parent": null},
+  {"id": 330, "name": "差分", "type": "algorithm", "parent": null},
+  {"id": 331, "name": "CTT（清华集训/北大集训）", "type": "source", "parent": 75},
+  {"id": 332, "name": "网络流与线性规划 24 题", "type": "source", "parent": 75},
+  {"id": 333, "name": "COCI（克罗地亚）", "type": "source", "parent": 75},
+  {"id": 334, "name": "BalticOI（波罗的海）", "type": "source", "parent": 75},
+  {"id": 335, "name": "ICPC", "type": "source", "parent": 75},
+  {"id": 336, "name": "JOI（日本）", "type": "source", "parent": 75},
+  {"id": 337, "name": "洛谷月赛", "type": "source", "parent": 75},
+  {"id": 338, "name": "2026", "type": "year", "parent": 76},
+  {"id": 339, "name": "2027", "type": "year", "parent": 76},
+  {"id": 340, "name": "2028", "type": "year", "parent": 76},
+  {"id": 341, "name": "2077", "type": "year", "parent": 76},
+  {"id": 342, "name": "CSP-S 提高级", "type": "source", "parent": 75},
+  {"id": 343, "name": "CSP-J 入门级", "type": "source", "parent": 75},
+  {"id": 344, "name": "1996", "type": "year", "parent": 76},
+  {"id": 345, "name": "双指针 two-pointer", "type": "algorithm", "parent": null},
+  {"id": 346, "name": "AGM", "type": "source", "parent": 75},
+  {"id": 347, "name": "NOI Online", "type": "source", "parent": 75},
+  {"id": 348, "name": "Ynoi", "type": "source", "parent": 75},
+  {"id": 350, "name": "圆方树", "type": "algorithm", "parent": null},
+  {"id": 351, "name": "通信题", "type": "special", "parent": 105},
+  {"id": 353, "name": "顺序结构", "type": "algorithm", "parent": null},
+  {"id": 354, "name": "分支结构", "type": "algorithm", "parent": null},
+  {"id": 355, "name": "循环结构", "type": "algorithm", "parent": null},
+  {"id": 356, "name": "数组", "type": "algorithm", "parent": null},
+  {"id": 357, "name": "字符串（入门）", "type": "algorithm", "parent": null},
+  {"id": 358, "name": "结构体", "type": "algorithm", "parent": null},
+  {"id": 359, "name": "函数与递归", "type": "algorithm", "parent": null},
+  {"id": 360, "name": "链表", "type": "algorithm", "parent": null},
+  {"id": 361, "name": "蓝桥杯国赛", "type": "source", "parent": 75},
+  {"id": 362, "name": "2078", "type": "year", "parent": 76},
+  {"id": 363, "name": "蓝桥杯省赛", "type": "source", "parent": 75},
+  {"id": 364, "name": "Dilworth 定理", "type": "algorithm", "parent": null},
+  {"id": 365, "name": "Ad-hoc", "type": "algorithm", "parent": null},
+  {"id": 367, "name": "2029", "type": "year", "parent": 76},
+  {"id": 368, "name": "笛卡尔树", "type": "algorithm", "parent": null},
+  {"id": 369, "name": "拟阵", "type": "algorithm", "parent": null},
+  {"id": 370, "name": "Nim 积", "type": "algorithm", "parent": null},
+  {"id": 371, "name": "根号分治", "type": "algorithm", "parent": null},
+  {"id": 372, "name": "拉格朗日反演", "type": "algorithm", "parent": null},
+  {"id": 373, "name": "模拟费用流", "type": "algorithm", "parent": null},
+  {"id": 374, "name": "分散层叠", "type": "algorithm", "parent": null},
+  {"id": 375, "name": "均摊分析", "type": "algorithm", "parent": null},
+  {"id": 376, "name": "分类讨论", "type": "algorithm", "parent": null},
+  {"id": 377, "name": "李超线段树", "type": "algorithm", "parent": null},
+  {"id": 378, "name": "吉司机线段树 segment tree beats", "type": "algorithm", "parent": null},
+  {"id": 379, "name": "线段树合并", "type": "algorithm", "parent": null},
+  {"id": 380, "name": "折半搜索 meet in the middle", "type": "algorithm", "parent": null},
+  {"id": 381, "name": "XCPC", "type": "source", "parent": 75},
+  {"id": 382, "name": "动态树分治", "type": "algorithm", "parent": null},
+  {"id": 383, "name": "传智杯", "type": "source", "parent": 75},
+  {"id": 385, "name": "单调栈", "type": "algorithm", "parent": null},
+  {"id": 386, "name": "语言月赛", "type": "source", "parent": 75},
+  {"id": 387, "name": "杨表", "type": "algorithm", "parent": null},
+  {"id": 388, "name": "类欧几里得算法", "type": "algorithm", "parent": null},
+  {"id": 389, "name": "PA（波兰）", "type": "source", "parent": 75},
+  {"id": 390, "name": "THUPC", "type": "source", "parent": 75},
+  {"id": 391, "name": "Berlekamp-Massey(BM) 算法", "type": "algorithm", "parent": null},
+  {"id": 393, "name": "ROI（俄罗斯）", "type": "source", "parent": 75},
+  {"id": 394, "name": "EGOI（欧洲/女生）", "type": "source", "parent": 75},
+  {"id": 396, "name": "梯度下降法", "type": "algorithm", "parent": null},
+  {"id": 397, "name": "湖北", "type": "region", "parent": 87},
+  {"id": 398, "name": "黑龙江", "type": "region", "parent": 87},
+  {"id": 399, "name": "海南", "type": "region", "parent": 87},
+  {"id": 400, "name": "甘肃", "type": "region", "parent": 87},
+  {"id": 401, "name": "青海", "type": "region", "parent": 87},
+  {"id": 402, "name": "台湾", "type": "region", "parent": 87},
+  {"id": 403, "name": "内蒙古", "type": "region", "parent": 87},
+  {"id": 404, "name": "西藏", "type": "region", "parent": 87},
+  {"id": 405, "name": "宁夏", "type": "region", "parent": 87},
+  {"id": 406, "name": "新疆", "type": "region", "parent": 87},
+  {"id": 407, "name": "香港", "type": "region", "parent": 87},
+  {"id": 408, "name": "澳门", "type": "region", "parent": 87},
+  {"id": 409, "name": "GESP", "type": "source", "parent": 75},
+  {"id": 410, "name": "Prüfer 序列", "type": "algorithm", "parent": null},
+  {"id": 411, "name": "调和级数", "type": "algorithm", "parent": null},
+  {"id": 412, "name": "拉格朗日乘数法", "type": "algorithm", "parent": null},
+  {"id": 413, "name": "近似算法", "type": "algorithm", "parent": null},
+  {"id": 414, "name": "随机算法", "type": "algorithm", "parent": null},
+  {"id": 415, "name": "欧拉降幂", "type": "algorithm", "parent": null},
+  {"id": 416, "name": "集合幂级数，子集卷积", "type": "algorithm", "parent": null},
+  {"id": 417, "name": "拉格朗日插值法", "type": "algorithm", "parent": null},
+  {"id": 419, "name": "Lyndon 分解", "type": "algorithm", "parent": null},
+  {"id": 420, "name": "济南", "type": "region", "parent": 87},
+  {"id": 421, "name": "南京", "type": "region", "parent": 87},
+  {"id": 422, "name": "青岛", "type": "region", "parent": 87},
+  {"id": 423, "name": "Stern-Brocot 树", "type": "algorithm", "parent": null},
+  {"id": 424, "name": "2079", "type": "year", "parent": 76},
+  {"id": 426, "name": "NOI 系列赛事", "type": "source", "parent": 75},
+  {"id": 427, "name": "经典套题", "type": "source", "parent": 75},
+  {"id": 428, "name": "国际知名赛事", "type": "source", "parent": 75},
+  {"id": 429, "name": "洛谷比赛", "type": "source", "parent": 75},
+  {"id": 430, "name": "大学竞赛", "type": "source", "parent": 75},
+  {"id": 431, "name": "其他竞赛", "type": "source", "parent": 75},
+  {"id": 432, "name": "THUSC", "type": "source", "parent": 75},
+  {"id": 434, "name": "高校校赛", "type": "source", "parent": 75},
+  {"id": 435, "name": "DP 套 DP", "type": "algorithm", "parent": null},
+  {"id": 436, "name": "NOISG（新加坡）", "type": "source", "parent": 75},
+  {"id": 437, "name": "NordicOI（北欧）", "type": "source", "parent": 75},
+  {"id": 438, "name": "THUWC", "type": "source", "parent": 75},
+  {"id": 439, "name": "BalkanOI（巴尔干半岛）", "type": "source", "parent": 75},
+  {"id": 440, "name": "KOI（韩国）", "type": "source", "parent": 75},
+  {"id": 441, "name": "RMI（罗马尼亚）", "type": "source", "parent": 75},
+  {"id": 442, "name": "CSP-X 小学组", "type": "source", "parent": 75},
+  {"id": 443, "name": "动态 DP", "type": "algorithm", "parent": null},
+  {"id": 444, "name": "线性 DP", "type": "algorithm", "parent": null},
+  {"id": 445, "name": "SG 函数", "type": "algorithm", "parent": null},
+  {"id": 446, "name": "线段树分治", "type": "algorithm", "parent": null},
+  {"id": 447, "name": "离线处理", "type": "algorithm", "parent": null},
+  {"id": 448, "name": "整除分块", "type": "algorithm", "parent": null},
+  {"id": 449, "name": "极角排序", "type": "algorithm", "parent": null},
+  {"id": 450, "name": "弦图", "type": "algorithm", "parent": null},
+  {"id": 451, "name": "Dirichlet 卷积", "type": "algorithm", "parent": null},
+  {"id": 452, "name": "大步小步算法 BSGS", "type": "algorithm", "parent": null},
+  {"id": 453, "name": "二次剩余", "type": "algorithm", "parent": null},
+  {"id": 454, "name": "行列式", "type": "algorithm", "parent": null},
+  {"id": 455, "name": "Bézout 定理", "type": "algorithm", "parent": null},
+  {"id": 456, "name": "概率生成函数", "type": "algorithm", "parent": null},
+  {"id": 457, "name": "随机游走 Markov Chain", "type": "algorithm", "parent": null},
+  {"id": 458, "name": "鞅的停时定理", "type": "algorithm", "parent": null},
+  {"id": 459, "name": "WC", "type": "source", "parent": 75},
+  {"id": 460, "name": "CTSC/CTS", "type": "source", "parent": 75},
+  {"id": 461, "name": "杜教筛", "type": "algorithm", "parent": null},
+  {"id": 462, "name": "欧拉函数", "type": "algorithm", "parent": null},
+  {"id": 463, "name": "决策单调性", "type": "algorithm", "parent": null},
+  {"id": 464, "name": "状压 DP", "type": "algorithm", "parent": null},
+  {"id": 465, "name": "bitset", "type": "algorithm", "parent": null},
+  {"id": 466, "name": "特征值", "type": "algorithm", "parent": null},
+  {"id": 467, "name": "组合优化", "type": "algorithm", "parent": null},
+  {"id": 468, "name": "整数规划", "type": "algorithm", "parent": null},
+  {"id": 469, "name": "半正定规划", "type": "algorithm", "parent": null},
+  {"id": 470, "name": "原始对偶", "type": "algorithm", "parent": null},
+  {"id": 471, "name": "最大流最小割定理", "type": "algorithm", "parent": null},
+  {"id": 472, "name": "全局平衡二叉树", "type": "algorithm", "parent": null},
+  {"id": 473, "name": "哈希表", "type": "algorithm", "parent": null},
+  {"id": 474, "name": "Z 函数", "type": "algorithm", "parent": null},
+  {"id": 475, "name": "筛法", "type": "algorithm", "parent": null},
+  {"id": 476, "name": "Floyd 算法", "type": "algorithm", "parent": null},
+  {"id": 477, "name": "启发式合并", "type": "algorithm", "parent": null},
+  {"id": 478, "name": "COI（克罗地亚）", "type": "source", "parent": 75},
+  {"id": 479, "name": "ROIR（俄罗斯）", "type": "source", "parent": 75},
+  {"id": 480, "name": "单位根反演", "type": "algorithm", "parent": null},
+  {"id": 482, "name": "平面几何", "type": "algorithm", "parent": null},
+  {"id": 483, "name": "树的重心", "type": "algorithm", "parent": null},
+  {"id": 484, "name": "保序回归", "type": "algorithm", "parent": null},
+  {"id": 485, "name": "Code+", "type": "source", "parent": 75},
+  {"id": 486, "name": "梦熊比赛", "type": "source", "parent": 75},
+  {"id": 487, "name": "信息与未来", "type": "source", "parent": 75},
+  {"id": 488, "name": "科创活动", "type": "source", "parent": 75},
+  {"id": 489, "name": "BCSP-X", "type": "source", "parent": 75},
+  {"id": 492, "name": "小学活动", "type": "source", "parent": 75},
+  {"id": 493, "name": "初中活动", "type": "source", "parent": 75},
+  {"id": 494, "name": "科大国创杯", "type": "source", "parent": 75},
+  {"id": 495, "name": "蓝桥杯青少年组", "type": "source", "parent": 75},
+];
+
+export { TAG_SNAPSHOT };
@@ -1,480 +1,427 @@
 /**
- * 创建洛谷标签ID到名称的映射
+ * 洛谷标签目录
+ * 标签带有类型（算法、来源、地区、时间、特殊题目）和父标签。目录来源：
+ *   - KV 中刷新过的目录（refreshTagCatalog 从 https://www.luogu.com.cn/_lfe/tags 获取后写入 env.PROBLEM_CACHE）
+ *   - 内置快照（tag-snapshot.js），存储中没有目录时使用
+ * 同一份目录只构建一次索引，不会在每次解析时重建。
+ */
+
+import { fetchLuoguPage } from './fetcher.js';
+import { KvCacheStore, memoryStore, getCacheTtl } from './cache.js';
+import { TAG_SNAPSHOT } from './tag-snapshot.js';
+import { InvalidParameterError, ParseError } from './errors.js';
+
+/** 标签类型，按输出顺序排列 */
+const TAG_TYPES = ['algorithm', 'source', 'region', 'year', 'special', 'other'];
+
+/** 洛谷标签类型编号 / 名称到本模块类型的映射 */
+const LUOGU_TAG_TYPES = {
+  1: 'region',
+  2: 'algorithm',
+  3: 'source',
+  4: 'year',
+  5: 'special',
+  '地区': 'region',
+  '算法': 'algorithm',
+  '来源': 'source',
+  '时间': 'year',
+  '特殊题目': 'special',
+};
+
+/** 刷新后的目录在缓存存储中的键 */
+const TAG_CATALOG_KEY = 'tags:catalog';
+
+/** 洛谷标签目录接口 */
+const TAG_CATALOG_URL = 'https://www.luogu.com.cn/_lfe/tags';
+
+/** 标签查询默认 / 最多返回的数量 */
+const TAG_LIST_DEFAULT_LIMIT = 50;
+const TAG_LIST_MAX_LIMIT = 500;
+
+/**
+ * 拼音首字母的分界汉字：按拼音排序时，不小于第 i 个汉字的字符首字母为 PINYIN_INITIALS[i]
+ * （没有以 i、u、v 开头的拼音）
+ */
+const PINYIN_INITIALS = 'abcdefghjklmnopqrstwxyz';
+const PINYIN_BOUNDARIES = '阿八嚓哒妸发旮哈讥咔垃妈拏噢妑七呥仨他屲夕丫帀';
+
+/**
+ * 标签目录，按 ID 和名称建立索引
+ */
+class TagCatalog {
+  /**
+   * @param {Array<{ id: number, name: string, type: string, parent: number|null }>} tags - 标签列表
+   * @param {object} [meta]
+   * @param {'snapshot'|'luogu'} [meta.source='snapshot'] - 目录来源
+   * @param {string|null} [meta.fetchedAt] - 从洛谷获取目录的时间（ISO 字符串）
+   */
+  constructor(tags, { source = 'snapshot', fetchedAt = null } = {}) {
+    this.tags = tags;
+    this.source = source;
+    this.fetchedAt = fetchedAt;
+    this.byId = new Map(tags.map(tag => [tag.id, tag]));
+    this.byName = new Map(tags.map(tag => [tag.name, tag]));
+  }
+
+  /**
+   * @param {number|string} id - 标签ID
+   * @returns {object|null} 标签，不存在时返回 null
+   */
+  get(id) {
+    return this.byId.get(parseInt(id, 10)) ?? null;
+  }
+
+  /**
+   * @param {number|string} id - 标签ID
+   * @returns {string} 标签名称，未知标签显示为 `未知标签(id)`
+   */
+  nameOf(id) {
+    return this.get(id)?.name ?? `未知标签(${id})`;
+  }
+
+  /**
+   * @param {Array<number|string>} ids - 标签ID列表
+   * @returns {string[]} 标签名称列表
+   */
+  namesOf(ids) {
+    return ids.map(id => this.nameOf(id));
+  }
+
+  /**
+   * 将标签ID或完整标签名称解析为标签ID
+   * @param {number|string} value - 标签ID或名称，如 3 或 '动态规划 DP'
+   * @returns {number|null} 标签ID，无法识别时返回 null
+   */
+  resolveId(value) {
+    const text = String(value).trim();
+    if (/^-?\d+$/.test(text)) {
+      return this.get(text)?.id ?? null;
+    }
+    return this.byName.get(text)?.id ?? null;
+  }
+
+  /**
+   * 按类型分组标签名称
+   * @param {Array<number|string>} ids - 标签ID列表
+   * @returns {object} 类型 → 标签名称列表，只包含非空的类型，按 TAG_TYPES 排序；未知标签归入 other
+   */
+  groupByType(ids) {
+    const groups = {};
+    for (const type of TAG_TYPES) {
+      const names = ids.filter(id => (this.get(id)?.type ?? 'other') === type).map(id => this.nameOf(id));
+      if (names.length) groups[type] = names;
+    }
+    return groups;
+  }
+
+  /**
+   * 按名称模糊查找标签。匹配方式依次为：完全相同、前缀、子串、拼音首字母（如 xds 匹配 线段树）、
+   * 名称被查询包含（如 线段树优化 匹配 线段树）、按顺序出现的字符（如 dtgh 或 动规 匹配 动态规划）。
+   * 不指定查询时按类型和 ID 顺序列出全部标签。
+   * @param {string} [query] - 查询内容
+   * @param {object} [options]
+   * @param {string[]} [options.types] - 只返回这些类型的标签
+   * @returns {Array<{ tag: object, score: number }>} 按匹配程度从高到低排序
+   */
+  search(query = '', { types = [] } = {}) {
+    const candidates = types.length ? this.tags.filter(tag => types.includes(tag.type)) : this.tags;
+    const q = normalizeTagText(query);
+    if (!q) {
+      return candidates
+        .map(tag => ({ tag, score: 0 }))
+        .sort((a, b) => TAG_TYPES.indexOf(a.tag.type) - TAG_TYPES.indexOf(b.tag.type) || a.tag.id - b.tag.id);
+    }
+    return candidates
+      .map(tag => ({ tag, score: scoreTagMatch(this.searchKeyOf(tag), q) }))
+      .filter(({ score }) => score > 0)
+      .sort((a, b) => b.score - a.score || a.tag.name.length - b.tag.name.length || a.tag.id - b.tag.id);
+  }
+
+  /**
+   * @param {object} tag - 标签
+   * @returns {{ text: string, initials: string }} 规范化名称和拼音首字母（按需计算并缓存）
+   */
+  searchKeyOf(tag) {
+    if (!this.searchKeys) this.searchKeys = new Map();
+    let key = this.searchKeys.get(tag.id);
+    if (!key) {
+      const text = normalizeTagText(tag.name);
+      key = { text, initials: toPinyinInitials(text) };
+      this.searchKeys.set(tag.id, key);
+    }
+    return key;
+  }
+
+  /**
+   * 以 Map 形式返回 ID → 名称（兼容 createTagMap）
+   * @returns {Map<number, string>}
+   */
+  toNameMap() {
+    if (!this.nameMap) {
+      this.nameMap = new Map(this.tags.map(tag => [tag.id, tag.name]));
+    }
+    return this.nameMap;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// 模糊匹配
+// ---------------------------------------------------------------------------
+
+const pinyinCollator = new Intl.Collator('zh-CN');
+
+/**
+ * 规范化标签名称 / 查询：全角转半角、转小写、去掉空白和标点
+ * @param {string} text
+ * @returns {string}
+ */
+function normalizeTagText(text) {
+  return String(text ?? '').normalize('NFKC').toLowerCase().replace(/[\s\p{P}\p{S}]+/gu, '');
+}
+
+/**
+ * 将汉字转换为拼音首字母，其他字符保持不变（多音字按常用读音，仅用于模糊匹配）
+ * @param {string} text - 规范化后的文本
+ * @returns {string}
+ */
+function toPinyinInitials(text) {
+  return [...text].map(ch => {
+    if (!/\p{Script=Han}/u.test(ch)) return ch;
+    for (let i = PINYIN_BOUNDARIES.length - 1; i >= 0; i--) {
+      if (pinyinCollator.compare(ch, PINYIN_BOUNDARIES[i]) >= 0) return PINYIN_INITIALS[i];
+    }
+    return ch;
+  }).join('');
+}
+
+/**
+ * @param {string} text - 候选文本
+ * @param {string} query - 查询
+ * @returns {boolean} query 的字符是否按顺序出现在 text 中
+ */
+function isSubsequence(text, query) {
+  let i = 0;
+  for (const ch of text) {
+    if (ch === query[i]) i++;
+    if (i === query.length) return true;
+  }
+  return false;
+}
+
+/**
+ * 计算标签与查询的匹配程度
+ * @param {{ text: string, initials: string }} key - 标签的规范化名称和拼音首字母
+ * @param {string} query - 规范化后的查询
+ * @returns {number} 0 表示不匹配，越大越匹配
+ */
+function scoreTagMatch({ text, initials }, query) {
+  if (text === query) return 100;
+  if (text.startsWith(query)) return 90;
+  if (text.includes(query)) return 80;
+  if (/^[a-z0-9]+$/.test(query)) {
+    if (initials.startsWith(query)) return 70;
+    if (initials.includes(query)) return 60;
+  }
+  if (text.length >= 2 && query.includes(text)) return 50;
+  if (query.length >= 2 && (isSubsequence(text, query) || isSubsequence(initials, query))) return 40;
+  return 0;
+}
+
+// ---------------------------------------------------------------------------
+// 目录加载
+// ---------------------------------------------------------------------------
+
+let snapshotCatalog = null;
+
+/** 最近一次从存储加载的目录，按 fetchedAt 复用，避免重复建立索引 */
+let storedCatalog = null;
+
+/**
+ * 获取内置快照目录（只构建一次）
+ * @returns {TagCatalog}
+ */
+function getSnapshotCatalog() {
+  if (!snapshotCatalog) snapshotCatalog = new TagCatalog(TAG_SNAPSHOT);
+  return snapshotCatalog;
+}
+
+/**
+ * 保存刷新后目录的存储
+ * 只使用 KV：Cache API 只在当前数据中心有效，定时任务刷新的目录到不了其他数据中心，
+ * 因此没有 KV 绑定时不保存刷新结果，始终使用内置快照。内存存储（CACHE_STORE=memory）用于测试和本地开发。
+ * @param {object} [env] - Worker 环境变量 / 绑定
+ * @returns {KvCacheStore|MemoryCacheStore|null}
+ */
+function getCatalogStore(env = {}) {
+  if (env.PROBLEM_CACHE) return new KvCacheStore(env.PROBLEM_CACHE);
+  return env.CACHE_STORE === 'memory' ? memoryStore : null;
+}
+
+/**
+ * 获取当前的标签目录：优先使用 KV 中刷新过的目录，否则使用内置快照
+ * @param {object} [env] - Worker 环境变量 / 绑定
+ * @returns {Promise<TagCatalog>}
+ */
+async function getTagCatalog(env = {}) {
+  const store = getCatalogStore(env);
+  const stored = store ? await store.get(TAG_CATALOG_KEY).catch(() => null) : null;
+  if (!Array.isArray(stored?.tags) || !stored.tags.length) {
+    return getSnapshotCatalog();
+  }
+  if (storedCatalog?.fetchedAt !== stored.fetchedAt) {
+    storedCatalog = new TagCatalog(stored.tags, { source: 'luogu', fetchedAt: stored.fetchedAt });
+  }
+  return storedCatalog;
+}
+
+/**
+ * 解析洛谷标签目录接口返回的JSON
+ * @param {string} text - 接口响应内容
+ * @returns {Array<{ id: number, name: string, type: string, parent: number|null }>}
+ */
+function parseTagCatalogJson(text) {
+  let json;
+  try {
+    json = JSON.parse(text);
+  } catch (error) {
+    throw new ParseError({ key: 'parseTagCatalog' });
+  }
+
+  if (!Array.isArray(json?.tags) || !json.tags.length) {
+    throw new ParseError({ key: 'parseTagCatalog' });
+  }
+
+  // types 为 [{ id, name }]，优先按名称识别类型
+  const typeNames = new Map((json.types ?? []).map(type => [type.id, type.name]));
+  return json.tags
+    .filter(tag => Number.isInteger(tag?.id) && tag.name)
+    .map(tag => ({
+      id: tag.id,
+      name: String(tag.name).replace(/^\uFEFF/, '').trim(),
+      type: LUOGU_TAG_TYPES[typeNames.get(tag.type)] ?? LUOGU_TAG_TYPES[tag.type] ?? 'other',
+      parent: Number.isInteger(tag.parent) ? tag.parent : null,
+    }));
+}
+
+/**
+ * 从洛谷获取最新的标签目录并写入 KV（供定时任务调用）
+ * 没有 KV 绑定时跳过刷新，不请求洛谷。
+ * @param {object} [env] - Worker 环境变量 / 绑定
+ * @returns {Promise<TagCatalog|null>} 新的目录，跳过刷新时为 null
+ */
+async function refreshTagCatalog(env = {}) {
+  const store = getCatalogStore(env);
+  if (!store) {
+    console.warn('未配置 PROBLEM_CACHE KV 绑定，跳过标签目录刷新，继续使用内置快照');
+    return null;
+  }
+  const tags = parseTagCatalogJson(await fetchLuoguPage(TAG_CATALOG_URL, { env }));
+  const fetchedAt = new Date().toISOString();
+  await store.put(TAG_CATALOG_KEY, { fetchedAt, tags }, getCacheTtl(env, 'tags'));
+  storedCatalog = new TagCatalog(tags, { source: 'luogu', fetchedAt });
+  return storedCatalog;
+}
+
+// ---------------------------------------------------------------------------
+// 标签查询
+// ---------------------------------------------------------------------------
+
+/**
+ * 校验并规范化标签查询参数
+ * @param {object} params
+ * @param {string} [params.keyword] - 查询内容，为空时列出全部标签
+ * @param {string[]|string} [params.types] - 标签类型列表或以逗号分隔的字符串
+ * @param {number|string} [params.limit] - 最多返回的数量
+ * @returns {{ keyword: string, types: string[], limit: number }}
+ * @throws {Error} 参数不合法时抛出
+ */
+function normalizeTagQuery({ keyword, types, limit } = {}) {
+  const list = Array.isArray(types) ? types : String(types ?? '').split(',');
+  const normalizedTypes = [...new Set(list.map(type => String(type).trim()).filter(Boolean))];
+  for (const type of normalizedTypes) {
+    if (!TAG_TYPES.includes(type)) {
+      throw new InvalidParameterError({ key: 'unsupportedTagType', params: { type, options: TAG_TYPES } });
+    }
+  }
+
+  let normalizedLimit = TAG_LIST_DEFAULT_LIMIT;
+  if (limit !== undefined && limit !== null && limit !== '') {
+    normalizedLimit = Number(limit);
+    if (!Number.isInteger(normalizedLimit) || normalizedLimit < 1 || normalizedLimit > TAG_LIST_MAX_LIMIT) {
+      throw new InvalidParameterError({ key: 'invalidTagLimit', params: { limit, max: TAG_LIST_MAX_LIMIT } });
+    }
+  }
+
+  return { keyword: String(keyword ?? '').trim(), types: normalizedTypes, limit: normalizedLimit };
+}
+
+/**
+ * 列出或模糊查找标签，返回的标签ID可直接用于 search_problems 的 tags 参数
+ * @param {object} params - keyword、types、limit，见 normalizeTagQuery
+ * @param {object} [options]
+ * @param {object} [options.env] - Worker 环境变量 / 绑定
+ * @returns {Promise<object>} { keyword, types, total, tags: [{ id, name, type, parent, parentName }] }
+ */
+async function listTags(params, { env } = {}) {
+  const { keyword, types, limit } = normalizeTagQuery(params);
+  const catalog = await getTagCatalog(env);
+  const matches = catalog.search(keyword, { types });
+  return {
+    keyword,
+    types,
+    total: matches.length,
+    tags: matches.slice(0, limit).map(({ tag }) => ({
+      id: tag.id,
+      name: tag.name,
+      type: tag.type,
+      parent: tag.parent,
+      parentName: tag.parent !== null ? catalog.get(tag.parent)?.name ?? null : null,
+    })),
+  };
+}
+
+// ---------------------------------------------------------------------------
+// 兼容接口
+// ---------------------------------------------------------------------------
+
+/**
+ * 获取内置快照中标签ID到名称的映射（共享实例，请勿修改）
  * @returns {Map<number, string>} 标签ID到名称的映射
  */
 function createTagMap() {
-  const tagMap = new Map();
-  
-  // 标签数据
-  const tagsData = [
-    {"id": -2, "name": "语言入门（请选择[入门与面试]题库）"},
-    {"id": 1, "name": "模拟"},
-    {"id": 2, "name": "字符串"},
-    {"id": 3, "name": "动态规划 DP"},
-    {"id": 4, "name": "搜索"},
-    {"id": 5, "name": "数学"},
-    {"id": 6, "name": "图论"},
-    {"id": 7, "name": "贪心"},
-    {"id": 8, "name": "计算几何"},
-    {"id": 9, "name": "暴力数据结构"},
-    {"id": 10, "name": "高精度"},
-    {"id": 11, "name": "树形数据结构"},
-    {"id": 12, "name": "递推"},
-    {"id": 13, "name": "博弈论"},
-    {"id": 14, "name": "1997"},
-    {"id": 15, "name": "1998"},
-    {"id": 16, "name": "1999"},
-    {"id": 17, "name": "2000"},
-    {"id": 18, "name": "2001"},
-    {"id": 19, "name": "2002"},
-    {"id": 20, "name": "2003"},
-    {"id": 21, "name": "2004"},
-    {"id": 22, "name": "2005"},
-    {"id": 23, "name": "2006"},
-    {"id": 24, "name": "2007"},
-    {"id": 25, "name": "2008"},
-    {"id": 26, "name": "2009"},
-    {"id": 27, "name": "2010"},
-    {"id": 28, "name": "2011"},
-    {"id": 29, "name": "2012"},
-    {"id": 30, "name": "2013"},
-    {"id": 31, "name": "2014"},
-    {"id": 32, "name": "2015"},
-    {"id": 33, "name": "2016"},
-    {"id": 34, "name": "2017"},
-    {"id": 35, "name": "2018"},
-    {"id": 36, "name": "2019"},
-    {"id": 37, "name": "2020"},
-    {"id": 38, "name": "重庆"},
-    {"id": 39, "name": "四川"},
-    {"id": 40, "name": "河南"},
-    {"id": 41, "name": "莫队"},
-    {"id": 42, "name": "线段树"},
-    {"id": 43, "name": "倍增"},
-    {"id": 44, "name": "线性数据结构"},
-    {"id": 45, "name": "二分"},
-    {"id": 46, "name": "USACO"},
-    {"id": 47, "name": "并查集"},
-    {"id": 48, "name": "各省省选"},
-    {"id": 49, "name": "点分治"},
-    {"id": 50, "name": "平衡树"},
-    {"id": 51, "name": "堆"},
-    {"id": 52, "name": "集训队互测"},
-    {"id": 53, "name": "树状数组"},
-    {"id": 54, "name": "递归"},
-    {"id": 55, "name": "树上启发式合并"},
-    {"id": 56, "name": "单调队列"},
-    {"id": 57, "name": "POI（波兰）"},
-    {"id": 58, "name": "2021"},
-    {"id": 59, "name": "2022"},
-    {"id": 60, "name": "2023"},
-    {"id": 61, "name": "2024"},
-    {"id": 62, "name": "2025"},
-    {"id": 63, "name": "LGV 引理"},
-    {"id": 64, "name": "矩阵树定理"},
-    {"id": 65, "name": "颜色段均摊（珂朵莉树 ODT）"},
-    {"id": 66, "name": "原根"},
-    {"id": 67, "name": "三分"},
-    {"id": 68, "name": "Kruskal 重构树"},
-    {"id": 69, "name": "多项式"},
-    {"id": 70, "name": "福建省历届夏令营"},
-    {"id": 71, "name": "矩阵运算"},
-    {"id": 72, "name": "数论"},
-    {"id": 73, "name": "算法"},
-    {"id": 74, "name": "数据结构"},
-    {"id": 75, "name": "来源"},
-    {"id": 76, "name": "时间"},
-    {"id": 77, "name": "NOI"},
-    {"id": 78, "name": "离散化"},
-    {"id": 79, "name": "网络流"},
-    {"id": 80, "name": "高级数据结构"},
-    {"id": 81, "name": "洛谷原创"},
-    {"id": 82, "name": "NOIP 普及组"},
-    {"id": 83, "name": "NOIP 提高组"},
-    {"id": 85, "name": "APIO"},
-    {"id": 87, "name": "地区"},
-    {"id": 88, "name": "浙江"},
-    {"id": 89, "name": "上海"},
-    {"id": 90, "name": "福建"},
-    {"id": 91, "name": "江苏"},
-    {"id": 92, "name": "安徽"},
-    {"id": 93, "name": "湖南"},
-    {"id": 94, "name": "北京"},
-    {"id": 95, "name": "河北"},
-    {"id": 96, "name": "广东"},
-    {"id": 97, "name": "山东"},
-    {"id": 98, "name": "吉林"},
-    {"id": 99, "name": "NOI 导刊"},
-    {"id": 100, "name": "cdq 分治"},
-    {"id": 101, "name": "后缀自动机 SAM"},
-    {"id": 102, "name": "IOI"},
-    {"id": 103, "name": "交互题"},
-    {"id": 104, "name": "提交答案"},
-    {"id": 105, "name": "特殊题目"},
-    {"id": 107, "name": "Special Judge"},
-    {"id": 108, "name": "O2优化"},
-    {"id": 110, "name": "﻿基础算法"},
-    {"id": 111, "name": "枚举"},
-    {"id": 112, "name": "分治"},
-    {"id": 113, "name": "排序"},
-    {"id": 114, "name": "山西"},
-    {"id": 115, "name": "CCO（加拿大）"},
-    {"id": 116, "name": "CCC（加拿大）"},
-    {"id": 117, "name": "CEOI（中欧）"},
-    {"id": 118, "name": "eJOI（欧洲）"},
-    {"id": 119, "name": "快速排序"},
-    {"id": 120, "name": "堆排序"},
-    {"id": 121, "name": "希尔排序"},
-    {"id": 122, "name": "信息论"},
-    {"id": 123, "name": "查找算法"},
-    {"id": 124, "name": "顺序查找"},
-    {"id": 126, "name": "广度优先搜索 BFS"},
-    {"id": 127, "name": "深度优先搜索 DFS"},
-    {"id": 128, "name": "剪枝"},
-    {"id": 129, "name": "记忆化搜索"},
-    {"id": 130, "name": "启发式搜索"},
-    {"id": 131, "name": "迭代加深搜索"},
-    {"id": 132, "name": "启发式迭代加深搜索 IDA*"},
-    {"id": 133, "name": "Dancing Links"},
-    {"id": 134, "name": "爬山算法 Local search"},
-    {"id": 135, "name": "模拟退火"},
-    {"id": 136, "name": "随机调整"},
-    {"id": 137, "name": "遗传算法"},
-    {"id": 139, "name": "背包 DP"},
-    {"id": 140, "name": "环形 dp"},
-    {"id": 141, "name": "数位 DP"},
-    {"id": 143, "name": "多维状态"},
-    {"id": 144, "name": "区间 DP"},
-    {"id": 146, "name": "动态规划优化"},
-    {"id": 148, "name": "优先队列"},
-    {"id": 149, "name": "矩阵加速"},
-    {"id": 150, "name": "斜率优化"},
-    {"id": 151, "name": "状态合并"},
-    {"id": 152, "name": "树形 DP"},
-    {"id": 153, "name": "凸完全单调性（wqs 二分）"},
-    {"id": 154, "name": "四边形不等式"},
-    {"id": 155, "name": "图论建模"},
-    {"id": 156, "name": "邻接矩阵"},
-    {"id": 157, "name": "邻接表"},
-    {"id": 158, "name": "图遍历"},
-    {"id": 159, "name": "拓扑排序"},
-    {"id": 160, "name": "最短路"},
-    {"id": 161, "name": "江西"},
-    {"id": 162, "name": "贵州"},
-    {"id": 163, "name": "广西"},
-    {"id": 164, "name": "陕西"},
-    {"id": 166, "name": "生成树"},
-    {"id": 167, "name": "辽宁"},
-    {"id": 168, "name": "云南"},
-    {"id": 169, "name": "生成树的另类算法"},
-    {"id": 170, "name": "次小生成树"},
-    {"id": 171, "name": "特殊生成树"},
-    {"id": 172, "name": "平面图"},
-    {"id": 173, "name": "最小环"},
-    {"id": 174, "name": "负权环"},
-    {"id": 175, "name": "连通块"},
-    {"id": 176, "name": "2-SAT"},
-    {"id": 177, "name": "平面图欧拉公式"},
-    {"id": 179, "name": "强连通分量"},
-    {"id": 180, "name": "Tarjan"},
-    {"id": 181, "name": "双连通分量"},
-    {"id": 182, "name": "欧拉回路"},
-    {"id": 183, "name": "AOV"},
-    {"id": 184, "name": "AOE"},
-    {"id": 185, "name": "差分约束"},
-    {"id": 186, "name": "仙人掌"},
-    {"id": 187, "name": "二分图"},
-    {"id": 188, "name": "匈牙利算法"},
-    {"id": 189, "name": "一般图的最大匹配"},
-    {"id": 190, "name": "Konig定理"},
-    {"id": 191, "name": "带权二分图匹配"},
-    {"id": 192, "name": "KM算法"},
-    {"id": 193, "name": "稳定婚姻系统"},
-    {"id": 195, "name": "Dinic"},
-    {"id": 196, "name": "Sap"},
-    {"id": 197, "name": "上下界网络流"},
-    {"id": 198, "name": "最小割"},
-    {"id": 199, "name": "闭合图"},
-    {"id": 200, "name": "最小点权覆盖集"},
-    {"id": 201, "name": "最大点权独立集"},
-    {"id": 202, "name": "分数规划"},
-    {"id": 203, "name": "最大密度子图"},
-    {"id": 204, "name": "费用流"},
-    {"id": 205, "name": "最短路增广费用流"},
-    {"id": 207, "name": "最小费用可行流"},
-    {"id": 208, "name": "树的遍历"},
-    {"id": 209, "name": "树上距离"},
-    {"id": 210, "name": "节点到根的距离"},
-    {"id": 211, "name": "最近公共祖先 LCA"},
-    {"id": 212, "name": "节点间的距离"},
-    {"id": 213, "name": "树的直径"},
-    {"id": 214, "name": "霍夫曼树"},
-    {"id": 215, "name": "可并堆"},
-    {"id": 216, "name": "斜堆"},
-    {"id": 217, "name": "二项堆"},
-    {"id": 218, "name": "AVL"},
-    {"id": 219, "name": "Treap"},
-    {"id": 220, "name": "SBT"},
-    {"id": 221, "name": "Splay"},
-    {"id": 222, "name": "静态排序树"},
-    {"id": 223, "name": "替罪羊树"},
-    {"id": 224, "name": "二维线段树"},
-    {"id": 225, "name": "矩形树"},
-    {"id": 227, "name": "动态树"},
-    {"id": 228, "name": "树链剖分"},
-    {"id": 229, "name": "动态树 LCT"},
-    {"id": 230, "name": "树论"},
-    {"id": 231, "name": "RMQ"},
-    {"id": 232, "name": "树套树"},
-    {"id": 233, "name": "可持久化线段树"},
-    {"id": 234, "name": "可持久化"},
-    {"id": 235, "name": "哈希 hashing"},
-    {"id": 236, "name": "ELFhash"},
-    {"id": 237, "name": "SDBM"},
-    {"id": 238, "name": "BKDR"},
-    {"id": 239, "name": "素数判断,质数,筛法"},
-    {"id": 241, "name": "最大公约数 gcd"},
-    {"id": 242, "name": "扩展欧几里德算法"},
-    {"id": 243, "name": "不定方程"},
-    {"id": 244, "name": "进制"},
-    {"id": 246, "name": "群论"},
-    {"id": 247, "name": "置换"},
-    {"id": 248, "name": "Pólya 定理"},
-    {"id": 249, "name": "虚树"},
-    {"id": 250, "name": "中国剩余定理 CRT"},
-    {"id": 251, "name": "莫比乌斯反演"},
-    {"id": 252, "name": "组合数学"},
-    {"id": 253, "name": "排列组合"},
-    {"id": 254, "name": "前缀和"},
-    {"id": 255, "name": "二项式定理"},
-    {"id": 256, "name": "康托展开"},
-    {"id": 257, "name": "袋与球问题"},
-    {"id": 258, "name": "鸽笼原理"},
-    {"id": 259, "name": "容斥原理"},
-    {"id": 260, "name": "Fibonacci 数列"},
-    {"id": 261, "name": "Catalan 数"},
-    {"id": 262, "name": "Stirling 数"},
-    {"id": 263, "name": "A* 算法"},
-    {"id": 264, "name": "生成函数"},
-    {"id": 265, "name": "线性规划"},
-    {"id": 266, "name": "概率论"},
-    {"id": 267, "name": "简单概率"},
-    {"id": 268, "name": "条件概率"},
-    {"id": 269, "name": "Bayes"},
-    {"id": 270, "name": "期望"},
-    {"id": 271, "name": "线性代数"},
-    {"id": 272, "name": "矩阵乘法"},
-    {"id": 273, "name": "线性递推"},
-    {"id": 274, "name": "高斯消元"},
-    {"id": 275, "name": "异或方程组"},
-    {"id": 276, "name": "逆元"},
-    {"id": 277, "name": "线性基"},
-    {"id": 278, "name": "微积分"},
-    {"id": 280, "name": "导数"},
-    {"id": 281, "name": "积分"},
-    {"id": 282, "name": "定积分"},
-    {"id": 283, "name": "三维计算几何"},
-    {"id": 284, "name": "级数"},
-    {"id": 285, "name": "基本数组"},
-    {"id": 286, "name": "向量"},
-    {"id": 287, "name": "栈"},
-    {"id": 288, "name": "队列"},
-    {"id": 289, "name": "分块"},
-    {"id": 290, "name": "ST 表"},
-    {"id": 291, "name": "凸包"},
-    {"id": 292, "name": "叉积"},
-    {"id": 293, "name": "线段相交"},
-    {"id": 295, "name": "半平面交"},
-    {"id": 296, "name": "最近点对"},
-    {"id": 298, "name": "扫描线"},
-    {"id": 299, "name": "旋转卡壳"},
-    {"id": 300, "name": "字典树 Trie"},
-    {"id": 301, "name": "AC 自动机"},
-    {"id": 302, "name": "KMP 算法"},
-    {"id": 303, "name": "后缀数组 SA"},
-    {"id": 304, "name": "后缀树"},
-    {"id": 305, "name": "有限状态自动机"},
-    {"id": 307, "name": "简单密码学"},
-    {"id": 308, "name": "其它技巧"},
-    {"id": 309, "name": "随机化"},
-    {"id": 311, "name": "博弈树"},
-    {"id": 312, "name": "Shannon 开关游戏"},
-    {"id": 313, "name": "快速傅里叶变换 FFT"},
-    {"id": 314, "name": "位运算"},
-    {"id": 316, "name": "整体二分"},
-    {"id": 318, "name": "构造"},
-    {"id": 320, "name": "基环树"},
-    {"id": 321, "name": "K-D Tree"},
-    {"id": 322, "name": "Lucas 定理"},
-    {"id": 323, "name": "插头 DP"},
-    {"id": 324, "name": "快速数论变换 NTT"},
-    {"id": 325, "name": "回文自动机 PAM"},
-    {"id": 326, "name": "快速沃尔什变换 FWT"},
-    {"id": 327, "name": "快速莫比乌斯变换 FMT"},
-    {"id": 328, "name": "天津"},
-    {"id": 329, "name": "Manacher 算法"},
-    {"id": 330, "name": "差分"},
-    {"id": 331, "name": "CTT（清华集训/北大集训）"},
-    {"id": 332, "name": "网络流与线性规划 24 题"},
-    {"id": 333, "name": "COCI（克罗地亚）"},
-    {"id": 334, "name": "BalticOI（波罗的海）"},
-    {"id": 335, "name": "ICPC"},
-    {"id": 336, "name": "JOI（日本）"},
-    {"id": 337, "name": "洛谷月赛"},
-    {"id": 338, "name": "2026"},
-    {"id": 339, "name": "2027"},
-    {"id": 340, "name": "2028"},
-    {"id": 341, "name": "2077"},
-    {"id": 342, "name": "CSP-S 提高级"},
-    {"id": 343, "name": "CSP-J 入门级"},
-    {"id": 344, "name": "1996"},
-    {"id": 345, "name": "双指针 two-pointer"},
-    {"id": 346, "name": "AGM"},
-    {"id": 347, "name": "NOI Online"},
-    {"id": 348, "name": "Ynoi"},
-    {"id": 350, "name": "圆方树"},
-    {"id": 351, "name": "通信题"},
-    {"id": 353, "name": "顺序结构"},
-    {"id": 354, "name": "分支结构"},
-    {"id": 355, "name": "循环结构"},
-    {"id": 356, "name": "数组"},
-    {"id": 357, "name": "字符串（入门）"},
-    {"id": 358, "name": "结构体"},
-    {"id": 359, "name": "函数与递归"},
-    {"id": 360, "name": "链表"},
-    {"id": 361, "name": "蓝桥杯国赛"},
-    {"id": 362, "name": "2078"},
-    {"id": 363, "name": "蓝桥杯省赛"},
-    {"id": 364, "name": "Dilworth 定理"},
-    {"id": 365, "name": "Ad-hoc"},
-    {"id": 367, "name": "2029"},
-    {"id": 368, "name": "笛卡尔树"},
-    {"id": 369, "name": "拟阵"},
-    {"id": 370, "name": "Nim 积"},
-    {"id": 371, "name": "根号分治"},
-    {"id": 372, "name": "拉格朗日反演"},
-    {"id": 373, "name": "模拟费用流"},
-    {"id": 374, "name": "分散层叠"},
-    {"id": 375, "name": "均摊分析"},
-    {"id": 376, "name": "分类讨论"},
-    {"id": 377, "name": "李超线段树"},
-    {"id": 378, "name": "吉司机线段树 segment tree beats"},
-    {"id": 379, "name": "线段树合并"},
-    {"id": 380, "name": "折半搜索 meet in the middle"},
-    {"id": 381, "name": "XCPC"},
-    {"id": 382, "name": "动态树分治"},
-    {"id": 383, "name": "传智杯"},
-    {"id": 385, "name": "单调栈"},
-    {"id": 386, "name": "语言月赛"},
-    {"id": 387, "name": "杨表"},
-    {"id": 388, "name": "类欧几里得算法"},
-    {"id": 389, "name": "PA（波兰）"},
-    {"id": 390, "name": "THUPC"},
-    {"id": 391, "name": "Berlekamp-Massey(BM) 算法"},
-    {"id": 393, "name": "ROI（俄罗斯）"},
-    {"id": 394, "name": "EGOI（欧洲/女生）"},
-    {"id": 396, "name": "梯度下降法"},
-    {"id": 397, "name": "湖北"},
-    {"id": 398, "name": "黑龙江"},
-    {"id": 399, "name": "海南"},
-    {"id": 400, "name": "甘肃"},
-    {"id": 401, "name": "青海"},
-    {"id": 402, "name": "台湾"},
-    {"id": 403, "name": "内蒙古"},
-    {"id": 404, "name": "西藏"},
-    {"id": 405, "name": "宁夏"},
-    {"id": 406, "name": "新疆"},
-    {"id": 407, "name": "香港"},
-    {"id": 408, "name": "澳门"},
-    {"id": 409, "name": "GESP"},
-    {"id": 410, "name": "Prüfer 序列"},
-    {"id": 411, "name": "调和级数"},
-    {"id": 412, "name": "拉格朗日乘数法"},
-    {"id": 413, "name": "近似算法"},
-    {"id": 414, "name": "随机算法"},
-    {"id": 415, "name": "欧拉降幂"},
-    {"id": 416, "name": "集合幂级数，子集卷积"},
-    {"id": 417, "name": "拉格朗日插值法"},
-    {"id": 419, "name": "Lyndon 分解"},
-    {"id": 420, "name": "济南"},
-    {"id": 421, "name": "南京"},
-    {"id": 422, "name": "青岛"},
-    {"id": 423, "name": "Stern-Brocot 树"},
-    {"id": 424, "name": "2079"},
-    {"id": 426, "name": "NOI 系列赛事"},
-    {"id": 427, "name": "经典套题"},
-    {"id": 428, "name": "国际知名赛事"},
-    {"id": 429, "name": "洛谷比赛"},
-    {"id": 430, "name": "大学竞赛"},
-    {"id": 431, "name": "其他竞赛"},
-    {"id": 432, "name": "THUSC"},
-    {"id": 434, "name": "高校校赛"},
-    {"id": 435, "name": "DP 套 DP"},
-    {"id": 436, "name": "NOISG（新加坡）"},
-    {"id": 437, "name": "NordicOI（北欧）"},
-    {"id": 438, "name": "THUWC"},
-    {"id": 439, "name": "BalkanOI（巴尔干半岛）"},
-    {"id": 440, "name": "KOI（韩国）"},
-    {"id": 441, "name": "RMI（罗马尼亚）"},
-    {"id": 442, "name": "CSP-X 小学组"},
-    {"id": 443, "name": "动态 DP"},
-    {"id": 444, "name": "线性 DP"},
-    {"id": 445, "name": "SG 函数"},
-    {"id": 446, "name": "线段树分治"},
-    {"id": 447, "name": "离线处理"},
-    {"id": 448, "name": "整除分块"},
-    {"id": 449, "name": "极角排序"},
-    {"id": 450, "name": "弦图"},
-    {"id": 451, "name": "Dirichlet 卷积"},
-    {"id": 452, "name": "大步小步算法 BSGS"},
-    {"id": 453, "name": "二次剩余"},
-    {"id": 454, "name": "行列式"},
-    {"id": 455, "name": "Bézout 定理"},
-    {"id": 456, "name": "概率生成函数"},
-    {"id": 457, "name": "随机游走 Markov Chain"},
-    {"id": 458, "name": "鞅的停时定理"},
-    {"id": 459, "name": "WC"},
-    {"id": 460, "name": "CTSC/CTS"},
-    {"id": 461, "name": "杜教筛"},
-    {"id": 462, "name": "欧拉函数"},
-    {"id": 463, "name": "决策单调性"},
-    {"id": 464, "name": "状压 DP"},
-    {"id": 465, "name": "bitset"},
-    {"id": 466, "name": "特征值"},
-    {"id": 467, "name": "组合优化"},
-    {"id": 468, "name": "整数规划"},
-    {"id": 469, "name": "半正定规划"},
-    {"id": 470, "name": "原始对偶"},
-    {"id": 471, "name": "最大流最小割定理"},
-    {"id": 472, "name": "全局平衡二叉树"},
-    {"id": 473, "name": "哈希表"},
-    {"id": 474, "name": "Z 函数"},
-    {"id": 475, "name": "筛法"},
-    {"id": 476, "name": "Floyd 算法"},
-    {"id": 477, "name": "启发式合并"},
-    {"id": 478, "name": "COI（克罗地亚）"},
-    {"id": 479, "name": "ROIR（俄罗斯）"},
-    {"id": 480, "name": "单位根反演"},
-    {"id": 482, "name": "平面几何"},
-    {"id": 483, "name": "树的重心"},
-    {"id": 484, "name": "保序回归"},
-    {"id": 485, "name": "Code+"},
-    {"id": 486, "name": "梦熊比赛"},
-    {"id": 487, "name": "信息与未来"},
-    {"id": 488, "name": "科创活动"},
-    {"id": 489, "name": "BCSP-X"},
-    {"id": 492, "name": "小学活动"},
-    {"id": 493, "name": "初中活动"},
-    {"id": 494, "name": "科大国创杯"},
-    {"id": 495, "name": "蓝桥杯青少年组"}
-  ];
-  
-  // 将标签数据添加到Map中
-  for (const tag of tagsData) {
-    tagMap.set(tag.id, tag.name);
-  }
-  
-  return tagMap;
+  return getSnapshotCatalog().toNameMap();
+}
+
+/**
+ * 将标签ID列表转换为标签名称列表
+ * @param {Array<number|string>} ids - 标签ID列表
+ * @param {TagCatalog} [catalog] - 标签目录，默认使用内置快照
+ * @returns {string[]} 标签名称列表，未知标签显示为 `未知标签(id)`
+ */
+function resolveTagNames(ids, catalog = getSnapshotCatalog()) {
+  return catalog.namesOf(ids);
+}
+
+/**
+ * 将标签ID或标签名称解析为标签ID
+ * @param {number|string} value - 标签ID或完整的标签名称，如 3 或 '动态规划 DP'
+ * @param {TagCatalog} [catalog] - 标签目录，默认使用内置快照
+ * @returns {number|null} 标签ID，无法识别时返回 null
+ */
+function resolveTagId(value, catalog = getSnapshotCatalog()) {
+  return catalog.resolveId(value);
 }
 
-export { createTagMap };
\ No newline at end of file
+export {
+  TagCatalog,
+  getTagCatalog,
+  getSnapshotCatalog,
+  refreshTagCatalog,
+  parseTagCatalogJson,
+  normalizeTagQuery,
+  listTags,
+  createTagMap,
+  resolveTagNames,
+  resolveTagId,
+  TAG_TYPES,
+};
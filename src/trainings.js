@@ -0,0 +1,80 @@
+/**
+ * 洛谷题单（training）
+ * 获取题单信息和按顺序排列的题目列表（https://www.luogu.com.cn/training/:id）。
+ */
+
+import { fetchLuoguPage } from './fetcher.js';
+import { mapDifficulty } from './parser.js';
+import { extractPageData, assertContentPage } from './page.js';
+import { getSnapshotCatalog, getTagCatalog } from './tags.js';
+import { cached, createCacheStore, getCacheTtl } from './cache.js';
+import { cleanString } from './utils.js';
+import { InvalidIdError, ParseError } from './errors.js';
+
+/** 题单编号格式 */
+const TRAINING_ID_RE = /^\d+$/;
+
+/**
+ * 解析题单页面
+ * @param {string} html - 页面HTML内容
+ * @param {TagCatalog} [catalog] - 标签目录，默认使用内置快照
+ * @returns {object} 题单信息
+ */
+function parseTrainingHtml(html, catalog = getSnapshotCatalog()) {
+  const training = extractPageData(html)?.data?.training;
+
+  if (!training || training.id === undefined) {
+    assertContentPage(html, { subject: 'training' });
+    throw new ParseError({ key: 'parseTraining' });
+  }
+
+  const problems = (training.problems ?? []).map(entry => {
+    // 题单中的题目可能直接是题目对象，也可能包在 { problem } 中
+    const problem = entry.problem ?? entry;
+    return {
+      id: problem.pid,
+      title: cleanString(problem.title),
+      difficultyNum: problem.difficulty ?? null,
+      difficulty: problem.difficulty !== undefined ? mapDifficulty(problem.difficulty) : '未知难度',
+      tags: Array.isArray(problem.tags) ? catalog.namesOf(problem.tags) : [],
+      url: `https://www.luogu.com.cn/problem/${problem.pid}`,
+    };
+  });
+
+  return {
+    id: training.id,
+    title: cleanString(training.title),
+    description: cleanString(training.description ?? ''),
+    owner: training.provider ? { uid: training.provider.uid, name: training.provider.name } : null,
+    problemCount: training.problemCount ?? problems.length,
+    problems,
+    url: `https://www.luogu.com.cn/training/${training.id}`,
+  };
+}
+
+/**
+ * 获取题单（结果经过缓存）
+ * @param {string|number} trainingId - 题单编号
+ * @param {object} [options]
+ * @param {object} [options.env] - Worker 环境变量 / 绑定
+ * @param {boolean} [options.bypassCache] - 跳过缓存读取
+ * @returns {Promise<object>} 题单信息
+ */
+async function getTraining(trainingId, { env, bypassCache = false } = {}) {
+  if (!TRAINING_ID_RE.test(String(trainingId ?? ''))) {
+    throw new InvalidIdError({ key: 'invalidTrainingId', params: { id: trainingId } });
+  }
+
+  const url = `https://www.luogu.com.cn/training/${trainingId}`;
+  const catalog = await getTagCatalog(env);
+  const { value } = await cached(
+    createCacheStore(env),
+    `training:${url}`,
+    getCacheTtl(env, 'training'),
+    async () => parseTrainingHtml(await fetchLuoguPage(url, { env }), catalog),
+    { bypass: bypassCache },
+  );
+  return value;
+}
+
+export { getTraining, parseTrainingHtml };
@@ -0,0 +1,204 @@
+/**
+ * 洛谷用户
+ * 获取用户主页信息（https://www.luogu.com.cn/user/:uid）
+ * 和练习记录（https://www.luogu.com.cn/user/:uid/practice）。
+ */
+
+import { fetchLuoguPage } from './fetcher.js';
+import { mapDifficulty, parseDifficulty } from './parser.js';
+import { extractPageData, assertContentPage } from './page.js';
+import { cached, createCacheStore, getCacheTtl } from './cache.js';
+import { cleanString, toIsoTime } from './utils.js';
+import { InvalidIdError, InvalidParameterError, NotFoundError, ParseError } from './errors.js';
+
+/** 洛谷用户名格式（用于按用户名查找UID） */
+const USERNAME_RE = /^[A-Za-z0-9_一-龥]{1,32}$/;
+
+/**
+ * 将 UID 或用户名解析为 UID。用户名通过洛谷用户搜索接口精确匹配。
+ * @param {string|number} user - 洛谷 UID 或用户名
+ * @param {object} [options]
+ * @param {object} [options.env] - Worker 环境变量 / 绑定
+ * @param {boolean} [options.bypassCache] - 跳过缓存读取
+ * @returns {Promise<number>} UID
+ * @throws {Error} 用户不存在或格式不合法时抛出
+ */
+async function resolveUid(user, { env, bypassCache = false } = {}) {
+  const text = String(user ?? '').trim();
+  if (/^\d+$/.test(text)) return Number(text);
+  if (!USERNAME_RE.test(text)) {
+    throw new InvalidIdError({ key: 'invalidUser', params: { user: text } });
+  }
+
+  const url = `https://www.luogu.com.cn/api/user/search?keyword=${encodeURIComponent(text)}`;
+  const { value } = await cached(
+    createCacheStore(env),
+    `user-search:${url}`,
+    getCacheTtl(env, 'user'),
+    async () => parseUserSearchJson(await fetchLuoguPage(url, { env })),
+    { bypass: bypassCache },
+  );
+
+  const match = (value?.users ?? []).find(u => u && u.name === text);
+  if (!match) {
+    throw new NotFoundError({ key: 'userNotFound', params: { user: text } });
+  }
+  return match.uid;
+}
+
+/**
+ * 解析用户搜索接口返回的JSON
+ * @param {string} text - 接口响应内容
+ * @returns {{ users: object[] }}
+ */
+function parseUserSearchJson(text) {
+  let json;
+  try {
+    json = JSON.parse(text);
+  } catch (error) {
+    throw new ParseError({ key: 'parseUserSearch' });
+  }
+  if (!json || typeof json !== 'object') {
+    throw new ParseError({ key: 'parseUserSearch' });
+  }
+  return json;
+}
+
+/**
+ * 解析用户主页
+ * @param {string} html - 页面HTML内容
+ * @returns {object} 用户基本信息
+ */
+function parseUserHtml(html) {
+  const data = extractPageData(html)?.data;
+  const user = data?.user;
+
+  if (!user || user.uid === undefined) {
+    assertContentPage(html, { subject: 'user' });
+    throw new ParseError({ key: 'parseUser' });
+  }
+
+  return {
+    uid: user.uid,
+    name: user.name,
+    slogan: user.slogan ? cleanString(user.slogan) : '',
+    color: user.color ?? null,
+    ccfLevel: user.ccfLevel ?? 0,
+    rating: user.eloValue ?? data.elo?.rating ?? null,
+    ranking: user.ranking ?? null,
+    badges: [user.badge].filter(Boolean),
+    prizes: (data.prizes ?? []).map(({ prize = {} }) => ({ year: prize.year, contest: prize.contest, prize: prize.prize })),
+    passedProblemCount: user.passedProblemCount ?? null,
+    submittedProblemCount: user.submittedProblemCount ?? null,
+    followerCount: user.followerCount ?? null,
+    followingCount: user.followingCount ?? null,
+    registerTime: toIsoTime(user.registerTime),
+    url: `https://www.luogu.com.cn/user/${user.uid}`,
+  };
+}
+
+/**
+ * 将题目列表按难度分组
+ * @param {object[]} problems - 题目列表（pid、title、difficulty）
+ * @returns {{ total: number, byDifficulty: object[] }}
+ */
+function groupByDifficulty(problems) {
+  const groups = new Map();
+  for (const problem of problems) {
+    const level = problem.difficulty ?? 0;
+    if (!groups.has(level)) groups.set(level, []);
+    groups.get(level).push({ id: problem.pid, title: cleanString(problem.title) });
+  }
+
+  return {
+    total: problems.length,
+    byDifficulty: [...groups.keys()].sort((a, b) => a - b).map(level => ({
+      difficultyNum: level,
+      difficulty: mapDifficulty(level),
+      count: groups.get(level).length,
+      problems: groups.get(level),
+    })),
+  };
+}
+
+/**
+ * 解析用户练习记录页面
+ * @param {string} html - 页面HTML内容
+ * @returns {{ uid: number, passed: object[], attempted: object[] }} 原始题目列表
+ */
+function parseUserPracticeHtml(html) {
+  const data = extractPageData(html)?.data;
+
+  if (!data || (!Array.isArray(data.passed) && !Array.isArray(data.submitted))) {
+    assertContentPage(html, { subject: 'user' });
+    throw new ParseError({ key: 'parsePractice' });
+  }
+
+  const passed = data.passed ?? [];
+  const passedIds = new Set(passed.map(p => p.pid));
+  // submitted 同时包含已通过的题目，只保留尚未通过的
+  const attempted = (data.submitted ?? []).filter(p => !passedIds.has(p.pid));
+
+  const pick = ({ pid, title, difficulty, type }) => ({ pid, title, difficulty, type });
+  return { uid: data.user?.uid ?? null, passed: passed.map(pick), attempted: attempted.map(pick) };
+}
+
+/**
+ * 获取用户基本信息（结果经过缓存）
+ * @param {string|number} user - 洛谷 UID 或用户名
+ * @param {object} [options]
+ * @param {object} [options.env] - Worker 环境变量 / 绑定
+ * @param {boolean} [options.bypassCache] - 跳过缓存读取
+ * @returns {Promise<object>} 用户信息
+ */
+async function getUser(user, { env, bypassCache = false } = {}) {
+  const uid = await resolveUid(user, { env, bypassCache });
+  const url = `https://www.luogu.com.cn/user/${uid}`;
+  const { value } = await cached(
+    createCacheStore(env),
+    `user:${url}`,
+    getCacheTtl(env, 'user'),
+    async () => parseUserHtml(await fetchLuoguPage(url, { env })),
+    { bypass: bypassCache },
+  );
+  return value;
+}
+
+/**
+ * 获取用户练习记录，已通过 / 尝试过的题目按难度分组（结果经过缓存）
+ * @param {string|number} user - 洛谷 UID 或用户名
+ * @param {object} [params]
+ * @param {number|string} [params.difficulty] - 只保留指定难度（数字或难度名称）
+ * @param {object} [options]
+ * @param {object} [options.env] - Worker 环境变量 / 绑定
+ * @param {boolean} [options.bypassCache] - 跳过缓存读取
+ * @returns {Promise<object>} 练习记录
+ */
+async function getUserPractice(user, { difficulty } = {}, { env, bypassCache = false } = {}) {
+  let level = null;
+  if (difficulty !== undefined && difficulty !== null && difficulty !== '') {
+    level = parseDifficulty(difficulty);
+    if (level === null) {
+      throw new InvalidParameterError({ key: 'unknownDifficulty', params: { value: difficulty } });
+    }
+  }
+
+  const uid = await resolveUid(user, { env, bypassCache });
+  const url = `https://www.luogu.com.cn/user/${uid}/practice`;
+  const { value } = await cached(
+    createCacheStore(env),
+    `practice:${url}`,
+    getCacheTtl(env, 'user'),
+    async () => parseUserPracticeHtml(await fetchLuoguPage(url, { env })),
+    { bypass: bypassCache },
+  );
+
+  const filter = list => (level === null ? list : list.filter(p => (p.difficulty ?? 0) === level));
+  return {
+    uid,
+    passed: groupByDifficulty(filter(value.passed)),
+    attempted: groupByDifficulty(filter(value.attempted)),
+  };
+}
+
+export { getUser, getUserPractice, resolveUid, parseUserHtml, parseUserPracticeHtml };
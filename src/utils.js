@@ -45,4 +45,74 @@ function extractProblemId(url) {
   return match ? match[1] : null;
 }
 
-export { cleanString, extractAllMatches, extractProblemId };
\ No newline at end of file
+/** 洛谷题目ID格式：字母开头，后跟字母/数字/下划线，如 P1001, CF1234A, AT_abc123_a */
+const PROBLEM_ID_RE = /^[A-Za-z][A-Za-z0-9_]*$/;
+
+/**
+ * 截取文本摘要，超出长度时以省略号结尾
+ * @param {string} text - 原始文本
+ * @param {number} [maxLength=200] - 最大长度
+ * @returns {string} 摘要
+ */
+function excerpt(text, maxLength = 200) {
+  const flat = cleanString(text).replace(/\s+/g, ' ');
+  return flat.length > maxLength ? `${flat.slice(0, maxLength)}…` : flat;
+}
+
+/**
+ * 将洛谷接口中的 Unix 时间戳（秒）转换为 ISO 8601 字符串
+ * @param {number} seconds - Unix 时间戳（秒）
+ * @returns {string|null} ISO 时间字符串，无效时返回 null
+ */
+function toIsoTime(seconds) {
+  return Number.isFinite(seconds) ? new Date(seconds * 1000).toISOString() : null;
+}
+
+/**
+ * 以有限并发对列表中的每一项执行异步函数，结果顺序与输入一致
+ * @param {Array<T>} items - 输入列表
+ * @param {number} limit - 最大并发数
+ * @param {(item: T, index: number) => Promise<R>} fn - 异步处理函数
+ * @returns {Promise<R[]>} 结果列表
+ * @template T, R
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+
+  const workerCount = Math.min(Math.max(1, limit), items.length);
+  await Promise.all(Array.from({ length: workerCount }, worker));
+  return results;
+}
+
+/**
+ * 将二进制数据编码为 base64（Workers 中没有 Buffer）
+ * @param {Uint8Array} bytes - 二进制数据
+ * @returns {string} base64 字符串
+ */
+function bytesToBase64(bytes) {
+  let binary = '';
+  // 分块转换，避免 String.fromCharCode 参数过多导致栈溢出
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+export {
+  cleanString,
+  extractAllMatches,
+  extractProblemId,
+  excerpt,
+  toIsoTime,
+  mapWithConcurrency,
+  bytesToBase64,
+  PROBLEM_ID_RE,
+};
@@ -1,6 +1,13 @@
-import { env, createExecutionContext, waitOnExecutionContext, SELF } from 'cloudflare:test';
-import { describe, it, expect } from 'vitest';
+import { env, createExecutionContext, waitOnExecutionContext, SELF, fetchMock } from 'cloudflare:test';
+import { describe, it, expect, beforeAll, afterAll, afterEach } from 'vitest';
 import worker from '../src';
+import { memoryStore } from '../src/cache.js';
+import { resetCircuitBreakers, getUpstreamLoad } from '../src/fetcher.js';
+import { resetRateLimits, RateLimiterObject, getRateLimitConfig } from '../src/ratelimit.js';
+import { createMcpServer } from '../src/mcp-client.js';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+import { McpSessionObject } from '../src/sessions.js';
 
 // ── Helpers ────────────────────────────────────────────────────────────────
 
@@ -36,13 +43,49 @@ async function parseResponse(res) {
 	return JSON.parse(text);
 }
 
-async function mcpJson(body) {
+async function mcpJson(body, testEnv = env) {
 	const ctx = createExecutionContext();
-	const res = await worker.fetch(mcpPost(body), env, ctx);
+	const res = await worker.fetch(mcpPost(body), testEnv, ctx);
 	await waitOnExecutionContext(ctx);
 	return parseResponse(res);
 }
 
+async function get(path, testEnv = env, init) {
+	const ctx = createExecutionContext();
+	const res = await worker.fetch(new Request(`http://example.com${path}`, init), testEnv, ctx);
+	await waitOnExecutionContext(ctx);
+	return res;
+}
+
+/** Build a minimal Luogu problem page with a lentille-context payload. */
+function problemPage(problem) {
+	// Like Luogu, escape "</" so statements containing </script> cannot end the JSON block early.
+	const context = JSON.stringify({ data: { problem } }).replace(/<\//g, '<\\/');
+	return `<html><body><script id="lentille-context" type="application/json">${context}</script></body></html>`;
+}
+
+function mockProblem(pid, problem = {}) {
+	fetchMock
+		.get('https://www.luogu.com.cn')
+		.intercept({ path: `/problem/${pid}` })
+		.reply(200, problemPage({ pid, title: `Title of ${pid}`, difficulty: 1, tags: [1], content: { description: 'desc' }, samples: [['1 2', '3']], ...problem }));
+}
+
+/** Env with an isolated in-memory cache, so tests don't depend on the Cache API. */
+const memoryEnv = { ...env, CACHE_STORE: 'memory' };
+
+// Upstream Luogu is never reachable from tests: every request must be mocked.
+beforeAll(() => {
+	fetchMock.activate();
+	fetchMock.disableNetConnect();
+});
+afterEach(() => {
+	fetchMock.assertNoPendingInterceptors();
+	resetCircuitBreakers();
+	resetRateLimits();
+});
+afterAll(() => fetchMock.deactivate());
+
 // ── Frontend ────────────────────────────────────────────────────────────────
 
 describe('Frontend', () => {
@@ -121,6 +164,20 @@ describe('MCP transport', () => {
 		const data = await mcpJson({ jsonrpc: '2.0', id: 9, method: 'unknown/method' });
 		expect(data.error).toBeDefined();
 	});
+
+	it('serves the same tools over other transports via createMcpServer', async () => {
+		const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+		const server = createMcpServer(memoryEnv);
+		const client = new Client({ name: 'test', version: '1.0.0' });
+		await server.connect(serverTransport);
+		await client.connect(clientTransport);
+
+		const { tools } = await client.listTools();
+		expect(tools.map(tool => tool.name)).toContain('get_problem');
+		const result = await client.callTool({ name: 'list_tags', arguments: { keyword: '线段树', limit: 1 } });
+		expect(result.content[0].text).toContain('| 42 | 线段树 |');
+		await client.close();
+	});
 });
 
 // ── MCP: initialize ─────────────────────────────────────────────────────────
@@ -189,6 +246,14 @@ describe('MCP tools/list', () => {
 		expect(names).toContain('get_problem');
 	});
 
+	it('describes every tool with a title and read-only annotations', async () => {
+		const data = await mcpJson({ jsonrpc: '2.0', id: 49, method: 'tools/list' });
+		for (const tool of data.result.tools) {
+			expect(tool.title, tool.name).toBeTruthy();
+			expect(tool.annotations, tool.name).toMatchObject({ readOnlyHint: true });
+		}
+	});
+
 	it('does NOT require prior initialization', async () => {
 		// Stateless: tools/list must work without an initialize call
 		const data = await mcpJson({ jsonrpc: '2.0', id: 4, method: 'tools/list' });
@@ -232,7 +297,7 @@ describe('MCP tools/call validation', () => {
 
 	it('accepts extended problem ID formats (CF, AT, B, etc.)', async () => {
 		// These IDs should pass the format check.  In the test environment
-		// the network is unavailable, so the fetch will fail; but the error
+		// upstream requests are not mocked, so the fetch will fail; but the error
 		// must NOT be a format-validation error — it must be a network error.
 		for (const id of ['CF1234A', 'AT_abc123_a', 'B2002', 'SP100', 'UVA100']) {
 			const data = await mcpJson({
@@ -250,3 +315,1728 @@ describe('MCP tools/call validation', () => {
 	});
 });
 
+
+// ── Problem cache ───────────────────────────────────────────────────────────
+
+describe('Problem cache', () => {
+	it('serves repeat REST lookups from the cache', async () => {
+		mockProblem('P9001');
+		const first = await get('/api/problem/P9001', memoryEnv);
+		expect(first.status).toBe(200);
+		expect(first.headers.get('X-Cache')).toBe('MISS');
+		expect(first.headers.get('Cache-Control')).toBe('public, max-age=3600');
+		expect((await first.json()).title).toBe('Title of P9001');
+
+		// No interceptor left: a second upstream request would fail
+		const second = await get('/api/problem/P9001', memoryEnv);
+		expect(second.headers.get('X-Cache')).toBe('HIT');
+		expect((await second.json()).title).toBe('Title of P9001');
+	});
+
+	it('bypasses the cache with ?nocache=1 or Cache-Control: no-cache', async () => {
+		mockProblem('P9002');
+		await get('/api/problem/P9002', memoryEnv);
+
+		mockProblem('P9002', { title: 'Updated' });
+		const res = await get('/api/problem/P9002?nocache=1', memoryEnv);
+		expect(res.headers.get('X-Cache')).toBe('BYPASS');
+		expect((await res.json()).title).toBe('Updated');
+
+		mockProblem('P9002', { title: 'Updated again' });
+		const res2 = await get('/api/problem/P9002', memoryEnv, { headers: { 'Cache-Control': 'no-cache' } });
+		expect((await res2.json()).title).toBe('Updated again');
+	});
+
+	it('honours CACHE_TTL_PROBLEM', async () => {
+		mockProblem('P9003');
+		const res = await get('/api/problem/P9003', { ...memoryEnv, CACHE_TTL_PROBLEM: '60' });
+		expect(res.headers.get('Cache-Control')).toBe('public, max-age=60');
+	});
+
+	it('shares the cache between REST and the get_problem tool', async () => {
+		mockProblem('P9004');
+		await get('/api/problem/P9004', memoryEnv);
+		const data = await mcpJson(
+			{ jsonrpc: '2.0', id: 10, method: 'tools/call', params: { name: 'get_problem', arguments: { problem_id: 'P9004' } } },
+			memoryEnv,
+		);
+		expect(data.result.isError).toBeFalsy();
+		expect(data.result.content[0].text).toContain('# P9004 Title of P9004');
+	});
+
+	it('does not cache with CACHE_STORE=none', async () => {
+		mockProblem('P9005');
+		const res = await get('/api/problem/P9005', { ...env, CACHE_STORE: 'none' });
+		expect(res.headers.get('X-Cache')).toBe('BYPASS');
+	});
+});
+
+// ── Search ──────────────────────────────────────────────────────────────────
+
+function mockProblemList(problems, { count = problems.length, onPath } = {}) {
+	fetchMock
+		.get('https://www.luogu.com.cn')
+		.intercept({
+			path: p => {
+				if (!p.startsWith('/problem/list?')) return false;
+				onPath?.(p);
+				return true;
+			},
+		})
+		.reply(200, `<script id="lentille-context" type="application/json">${JSON.stringify({ data: { problems: { result: problems, count, perPage: 50 } } })}</script>`);
+}
+
+describe('Problem search', () => {
+	const problems = [
+		{ pid: 'P1880', title: '[NOI1995] 石子合并', difficulty: 4, tags: [3], type: 'P' },
+		{ pid: 'P1063', title: '[NOIP2006 提高组] 能量项链', difficulty: 5, tags: [3, 22], type: 'P' },
+	];
+
+	it('forwards filters to Luogu and maps difficulty and tags', async () => {
+		let requested;
+		mockProblemList(problems, { onPath: p => (requested = new URL(p, 'https://www.luogu.com.cn')) });
+		const res = await get(`/api/search?keyword=${encodeURIComponent('区间')}&type=P&difficulty=${encodeURIComponent('普及+/提高')}&tags=3`, memoryEnv);
+		expect(res.status).toBe(200);
+		const data = await res.json();
+
+		expect(requested.searchParams.get('keyword')).toBe('区间');
+		expect(requested.searchParams.get('type')).toBe('P');
+		expect(requested.searchParams.get('difficulty')).toBe('4');
+		expect(requested.searchParams.get('tag')).toBe('3');
+		expect(data.total).toBe(2);
+		expect(data.problems[0]).toMatchObject({ id: 'P1880', difficulty: '普及+/提高', tags: ['动态规划 DP'] });
+	});
+
+	/** Mock one page of the list for a single difficulty level. */
+	function mockLevel(difficulty, page, result, count = result.length, perPage = 50) {
+		fetchMock
+			.get('https://www.luogu.com.cn')
+			.intercept({
+				path: p => {
+					const query = new URL(p, 'https://www.luogu.com.cn').searchParams;
+					return p.startsWith('/problem/list?') && query.get('difficulty') === String(difficulty) && query.get('page') === String(page);
+				},
+			})
+			.reply(200, `<script id="lentille-context" type="application/json">${JSON.stringify({ data: { problems: { result, count, perPage } } })}</script>`);
+	}
+	const level = (difficulty, n) => Array.from({ length: n }, (_, i) => ({ pid: `P${difficulty}00${i}`, title: `T${i}`, difficulty, tags: [] }));
+
+	it('queries each level of a difficulty range and merges the counts', async () => {
+		mockLevel(5, 1, [problems[1]]);
+		mockLevel(6, 1, []);
+		mockLevel(7, 1, []);
+		const res = await get('/api/search?keyword=range&min_difficulty=5&max_difficulty=7', memoryEnv);
+		const data = await res.json();
+		expect(data.problems.map(p => p.id)).toEqual(['P1063']);
+		expect(data.total).toBe(1);
+	});
+
+	it('paginates a difficulty range over the merged list', async () => {
+		// Level 1 has nothing, so page 1 of the range starts with level 2
+		mockLevel(1, 1, [], 0, 2);
+		mockLevel(2, 1, level(2, 2), 3, 2);
+		mockLevel(3, 1, level(3, 1), 1, 2);
+		const first = await (await get('/api/search?keyword=paged&min_difficulty=1&max_difficulty=3', memoryEnv)).json();
+		expect(first).toMatchObject({ page: 1, perPage: 2, total: 4 });
+		expect(first.problems.map(p => p.id)).toEqual(['P2000', 'P2001']);
+
+		// Page 2 needs the second upstream page of level 2 and the first page of level 3 (cached)
+		mockLevel(2, 2, [{ pid: 'P2002', title: 'T2', difficulty: 2, tags: [] }], 3, 2);
+		const second = await (await get('/api/search?keyword=paged&min_difficulty=1&max_difficulty=3&page=2', memoryEnv)).json();
+		expect(second.problems.map(p => p.id)).toEqual(['P2002', 'P3000']);
+	});
+
+	it('rejects unknown tags and types with 400', async () => {
+		expect((await get('/api/search?tags=no-such-tag', memoryEnv)).status).toBe(400);
+		expect((await get('/api/search?type=XYZ', memoryEnv)).status).toBe(400);
+		expect((await get('/api/search?difficulty=9', memoryEnv)).status).toBe(400);
+	});
+
+	it('is exposed as the search_problems MCP tool', async () => {
+		mockProblemList(problems);
+		const data = await mcpJson(
+			{ jsonrpc: '2.0', id: 11, method: 'tools/call', params: { name: 'search_problems', arguments: { keyword: 'mcp', tags: ['动态规划 DP'] } } },
+			memoryEnv,
+		);
+		expect(data.result.isError).toBeFalsy();
+		const text = data.result.content[0].text;
+		expect(text).toContain('| P1880 | [NOI1995] 石子合并 | 普及+/提高 | 动态规划 DP |');
+		expect(text).toContain('共 2 题');
+	});
+});
+
+// ── Solutions ───────────────────────────────────────────────────────────────
+
+function mockLentille(path, data) {
+	fetchMock
+		.get('https://www.luogu.com.cn')
+		.intercept({ path })
+		.reply(200, `<script id="lentille-context" type="application/json">${JSON.stringify({ data })}</script>`);
+}
+
+describe('Solutions', () => {
+	const article = {
+		lid: 'abc123xy',
+		title: '题解 P1001 【A+B Problem】',
+		author: { uid: 1, name: 'kkksc03' },
+		upvote: 42,
+		postTime: 1700000000,
+		content: '## 思路\n\n直接输出 $a+b$ 即可。\n\n```cpp\ncout << a + b;\n```',
+		solutionFor: { pid: 'P1001', title: 'A+B Problem' },
+	};
+
+	it('lists solution articles with author, votes, date and excerpt', async () => {
+		mockLentille('/problem/solution/P1001?page=1', { solutions: { result: [article], count: 1, perPage: 10 } });
+		const res = await get('/api/problem/P1001/solutions', memoryEnv);
+		expect(res.status).toBe(200);
+		const data = await res.json();
+		expect(data.total).toBe(1);
+		expect(data.solutions[0]).toMatchObject({
+			id: 'abc123xy',
+			author: { uid: 1, name: 'kkksc03' },
+			votes: 42,
+			date: '2023-11-14T22:13:20.000Z',
+		});
+		expect(data.solutions[0].excerpt).toContain('直接输出');
+	});
+
+	it('returns the full Markdown body of a solution', async () => {
+		mockLentille('/article/abc123xy', { article });
+		const res = await get('/api/problem/P1001/solutions/abc123xy', memoryEnv);
+		const data = await res.json();
+		expect(data.problemId).toBe('P1001');
+		expect(data.content).toContain('```cpp\ncout << a + b;\n```');
+	});
+
+	it('rejects invalid problem IDs with 400', async () => {
+		expect((await get('/api/problem/!!!/solutions', memoryEnv)).status).toBe(400);
+	});
+
+	it('is exposed as the get_solutions MCP tool', async () => {
+		mockLentille('/problem/solution/P1002?page=2', { solutions: { result: [article], count: 11, perPage: 10 } });
+		const list = await mcpJson(
+			{ jsonrpc: '2.0', id: 12, method: 'tools/call', params: { name: 'get_solutions', arguments: { problem_id: 'P1002', page: 2 } } },
+			memoryEnv,
+		);
+		expect(list.result.content[0].text).toContain('第 2/2 页');
+		expect(list.result.content[0].text).toContain('**题解ID**: abc123xy');
+
+		mockLentille('/article/abc123xz', { article: { ...article, lid: 'abc123xz', solutionFor: { pid: 'P1002', title: 'B' } } });
+		const full = await mcpJson(
+			{ jsonrpc: '2.0', id: 13, method: 'tools/call', params: { name: 'get_solutions', arguments: { problem_id: 'P1002', solution_id: 'abc123xz' } } },
+			memoryEnv,
+		);
+		expect(full.result.content[0].text).toContain('直接输出 $a+b$ 即可。');
+	});
+
+	it('does not return a solution written for another problem', async () => {
+		// abc123xy is a solution of P1001 and is already cached
+		const res = await get('/api/problem/P1003/solutions/abc123xy', memoryEnv);
+		expect(res.status).toBe(404);
+		expect((await res.json()).code).toBe('NOT_FOUND');
+
+		const data = await mcpJson(
+			{ jsonrpc: '2.0', id: 47, method: 'tools/call', params: { name: 'get_solutions', arguments: { problem_id: 'P1003', solution_id: 'abc123xy' } } },
+			memoryEnv,
+		);
+		expect(data.result.isError).toBe(true);
+		expect(data.result._meta.error.code).toBe('NOT_FOUND');
+	});
+});
+
+// ── Users ───────────────────────────────────────────────────────────────────
+
+describe('Users', () => {
+	const practice = {
+		user: { uid: 2 },
+		passed: [
+			{ pid: 'P1001', title: 'A+B Problem', difficulty: 1, type: 'P' },
+			{ pid: 'P1880', title: '石子合并', difficulty: 4, type: 'P' },
+		],
+		submitted: [
+			{ pid: 'P1001', title: 'A+B Problem', difficulty: 1, type: 'P' },
+			{ pid: 'P1063', title: '能量项链', difficulty: 4, type: 'P' },
+		],
+	};
+
+	it('returns profile basics for a UID', async () => {
+		mockLentille('/user/1', {
+			user: { uid: 1, name: 'kkksc03', badge: '管理员', ranking: 10, eloValue: 2000, passedProblemCount: 100 },
+			prizes: [{ prize: { year: 2018, contest: 'NOIP 提高组', prize: '一等奖' } }],
+		});
+		const res = await get('/api/user/1', memoryEnv);
+		expect(res.status).toBe(200);
+		const data = await res.json();
+		expect(data).toMatchObject({ uid: 1, name: 'kkksc03', rating: 2000, ranking: 10, badges: ['管理员'] });
+		expect(data.prizes).toEqual([{ year: 2018, contest: 'NOIP 提高组', prize: '一等奖' }]);
+	});
+
+	it('groups solved and attempted problems by difficulty', async () => {
+		mockLentille('/user/2/practice', practice);
+		const res = await get('/api/user/2/practice', memoryEnv);
+		const data = await res.json();
+		expect(data.passed.total).toBe(2);
+		expect(data.passed.byDifficulty.map(g => g.difficulty)).toEqual(['入门', '普及+/提高']);
+		expect(data.attempted.total).toBe(1);
+		expect(data.attempted.byDifficulty[0].problems).toEqual([{ id: 'P1063', title: '能量项链' }]);
+	});
+
+	it('resolves usernames through the user search API', async () => {
+		fetchMock
+			.get('https://www.luogu.com.cn')
+			.intercept({ path: '/api/user/search?keyword=student' })
+			.reply(200, JSON.stringify({ users: [{ uid: 3, name: 'student' }] }));
+		mockLentille('/user/3/practice', { ...practice, user: { uid: 3 } });
+
+		const data = await mcpJson(
+			{
+				jsonrpc: '2.0',
+				id: 14,
+				method: 'tools/call',
+				params: { name: 'get_user_practice', arguments: { user: 'student', difficulty: '普及+/提高' } },
+			},
+			memoryEnv,
+		);
+		const text = data.result.content[0].text;
+		expect(text).toContain('# 用户 3 的练习记录');
+		expect(text).toContain('## 已通过（1 题）');
+		expect(text).toContain('P1880 石子合并');
+		expect(text).not.toContain('P1001');
+	});
+
+	it('reports unknown usernames as a tool error', async () => {
+		fetchMock
+			.get('https://www.luogu.com.cn')
+			.intercept({ path: '/api/user/search?keyword=nobody' })
+			.reply(200, JSON.stringify({ users: [] }));
+		const data = await mcpJson(
+			{ jsonrpc: '2.0', id: 15, method: 'tools/call', params: { name: 'get_user', arguments: { user: 'nobody' } } },
+			memoryEnv,
+		);
+		expect(data.result.isError).toBe(true);
+		expect(data.result.content[0].text).toContain('找不到洛谷用户');
+	});
+
+	it('rejects malformed percent-encoding in the user route', async () => {
+		const res = await get('/api/user/%E0', memoryEnv);
+		expect(res.status).toBe(400);
+		expect((await res.json()).code).toBe('INVALID_ID');
+	});
+
+	it('maps invalid user search JSON to PARSE_ERROR and honors no-cache', async () => {
+		fetchMock.get('https://www.luogu.com.cn').intercept({ path: '/api/user/search?keyword=broken' }).reply(200, '<html>');
+		const res = await get('/api/user/broken', memoryEnv);
+		expect(res.status).toBe(502);
+		expect((await res.json()).code).toBe('PARSE_ERROR');
+
+		// A cached search result is skipped when fresh data is requested
+		fetchMock
+			.get('https://www.luogu.com.cn')
+			.intercept({ path: '/api/user/search?keyword=renamed' })
+			.reply(200, JSON.stringify({ users: [{ uid: 8, name: 'renamed' }] }));
+		fetchMock
+			.get('https://www.luogu.com.cn')
+			.intercept({ path: '/api/user/search?keyword=renamed' })
+			.reply(200, JSON.stringify({ users: [] }));
+		fetchMock
+			.get('https://www.luogu.com.cn')
+			.intercept({ path: '/user/8' })
+			.reply(200, `<script id="lentille-context" type="application/json">${JSON.stringify({ data: { user: { uid: 8, name: 'renamed' } } })}</script>`);
+		expect((await get('/api/user/renamed', memoryEnv)).status).toBe(200);
+		expect((await get('/api/user/renamed', memoryEnv, { headers: { 'Cache-Control': 'no-cache' } })).status).toBe(404);
+	});
+});
+
+// ── Contests ────────────────────────────────────────────────────────────────
+
+describe('Contests', () => {
+	const contestData = {
+		contest: { id: 100, name: '校内训练赛 #1', ruleType: 4, startTime: 1700000000, endTime: 1700010800, host: { name: '集训队' }, totalParticipants: 40 },
+		contestProblems: [
+			{ score: 100, problem: { pid: 'P9101', title: '签到', difficulty: 1 } },
+			{ score: 300, problem: { pid: 'P9102', title: '压轴', difficulty: 6 } },
+		],
+	};
+
+	it('returns metadata, rule type and problem list with scores', async () => {
+		mockLentille('/contest/100', contestData);
+		const res = await get('/api/contest/100', memoryEnv);
+		expect(res.status).toBe(200);
+		const data = await res.json();
+		expect(data).toMatchObject({ id: 100, name: '校内训练赛 #1', ruleType: 'IOI', startTime: '2023-11-14T22:13:20.000Z', host: '集训队' });
+		expect(data.problems.map(p => [p.id, p.score])).toEqual([['P9101', 100], ['P9102', 300]]);
+		expect(data.problems[0].url).toBe('https://www.luogu.com.cn/problem/P9101?contestId=100');
+	});
+
+	it('expands contest problems through get_problem formatting', async () => {
+		mockLentille('/contest/101', { ...contestData, contest: { ...contestData.contest, id: 101 } });
+		mockProblem('P9101');
+		fetchMock.get('https://www.luogu.com.cn').intercept({ path: '/problem/P9102' }).reply(404, 'not found');
+		const data = await mcpJson(
+			{ jsonrpc: '2.0', id: 16, method: 'tools/call', params: { name: 'get_contest', arguments: { contest_id: 101, expand: true } } },
+			memoryEnv,
+		);
+		const text = data.result.content[0].text;
+		expect(text).toContain('**赛制**: IOI');
+		expect(text).toContain('| [P9101](https://www.luogu.com.cn/problem/P9101?contestId=101) | 签到 | 100 | 入门 |');
+		expect(text).toContain('# P9101 Title of P9101');
+		expect(text).toContain('# P9102 获取失败');
+	});
+
+	it('expands into a copy capped at BATCH_MAX_SIZE without touching the cached contest', async () => {
+		const cappedEnv = { ...memoryEnv, BATCH_MAX_SIZE: '1' };
+		mockLentille('/contest/102', {
+			contest: { ...contestData.contest, id: 102 },
+			contestProblems: [
+				{ score: 100, problem: { pid: 'P9103', title: '甲', difficulty: 1 } },
+				{ score: 100, problem: { pid: 'P9104', title: '乙', difficulty: 1 } },
+			],
+		});
+		mockProblem('P9103');
+		const expanded = await (await get('/api/contest/102?expand=1', cappedEnv)).json();
+		expect(expanded.problems[0].detail.id).toBe('P9103');
+		expect(expanded.problems[1].id).toBe('P9104');
+		expect(expanded.problems[1]).not.toHaveProperty('detail');
+
+		const plain = await (await get('/api/contest/102', cappedEnv)).json();
+		expect(plain.problems.every(p => !('detail' in p))).toBe(true);
+	});
+
+	it('returns a paginated scoreboard', async () => {
+		fetchMock
+			.get('https://www.luogu.com.cn')
+			.intercept({ path: '/fe/api/contest/scoreboard/100?page=2' })
+			.reply(200, JSON.stringify({
+				scoreboard: {
+					result: [{ user: { uid: 7, name: 'alice' }, score: 400, runningTime: 3600, details: { P9101: { score: 100 }, P9102: { score: 300 } } }],
+					count: 51,
+					perPage: 50,
+				},
+			}));
+		const data = await mcpJson(
+			{ jsonrpc: '2.0', id: 17, method: 'tools/call', params: { name: 'get_contest_ranking', arguments: { contest_id: '100', page: 2 } } },
+			memoryEnv,
+		);
+		const text = data.result.content[0].text;
+		expect(text).toContain('共 51 人，第 2/2 页');
+		expect(text).toContain('| 51 | alice | 400 | 100 | 300 |');
+	});
+
+	it('rejects non-numeric contest IDs', async () => {
+		const res = await get('/api/contest/abc', memoryEnv);
+		expect((await res.json()).error).toContain('无效的比赛编号');
+	});
+});
+
+// ── Trainings ───────────────────────────────────────────────────────────────
+
+describe('Trainings', () => {
+	const training = {
+		id: 200,
+		title: '动态规划入门',
+		description: '<p>按顺序完成</p>',
+		provider: { uid: 1, name: 'kkksc03' },
+		problems: [
+			{ problem: { pid: 'P9201', title: '第一题', difficulty: 2, tags: [3] } },
+			{ problem: { pid: 'P9202', title: '第二题', difficulty: 3, tags: [3, 99999] } },
+		],
+	};
+
+	it('returns title, owner and the ordered problem list with resolved tags', async () => {
+		mockLentille('/training/200', { training });
+		const res = await get('/api/training/200', memoryEnv);
+		expect(res.status).toBe(200);
+		const data = await res.json();
+		expect(data).toMatchObject({ id: 200, title: '动态规划入门', description: '按顺序完成', owner: { uid: 1, name: 'kkksc03' }, problemCount: 2 });
+		expect(data.problems.map(p => p.id)).toEqual(['P9201', 'P9202']);
+		expect(data.problems[1]).toMatchObject({ difficulty: '普及/提高-', tags: ['动态规划 DP', '未知标签(99999)'] });
+	});
+
+	it('expands every problem into a full payload with ?expand=1', async () => {
+		mockLentille('/training/201', { training: { ...training, id: 201 } });
+		mockProblem('P9201');
+		mockProblem('P9202');
+		const data = await (await get('/api/training/201?expand=1', memoryEnv)).json();
+		expect(data.problems[0].detail).toMatchObject({ id: 'P9201', title: 'Title of P9201', samples: [{ input: '1 2', output: '3' }] });
+		expect(data.problems[1].detail.id).toBe('P9202');
+
+		// The expansion must not leak into the cached training
+		const plain = await (await get('/api/training/201', memoryEnv)).json();
+		expect(plain.problems.map(p => p.id)).toEqual(['P9201', 'P9202']);
+		expect(plain.problems.some(p => 'detail' in p)).toBe(false);
+	});
+
+	it('caps expansion at BATCH_MAX_SIZE and notes the rest in get_training', async () => {
+		const cappedEnv = { ...memoryEnv, BATCH_MAX_SIZE: '1' };
+		mockLentille('/training/203', { training: { ...training, id: 203 } });
+		const data = await mcpJson(
+			{ jsonrpc: '2.0', id: 41, method: 'tools/call', params: { name: 'get_training', arguments: { training_id: 203, expand: true } } },
+			cappedEnv,
+		);
+		const text = data.result.content[0].text;
+		// P9201 is served from the cache filled by the previous test
+		expect(text).toContain('# P9201 Title of P9201');
+		expect(text).not.toContain('# P9202');
+		expect(text).toContain('只展开了前 1 道题目');
+	});
+
+	it('uses the requested locale for labels and expansion errors', async () => {
+		mockLentille('/training/204', {
+			training: {
+				...training,
+				id: 204,
+				problems: [
+					{ problem: { pid: 'P9203', title: '第三题', difficulty: 2, tags: [3] } },
+					{ problem: { pid: 'P9204', title: '第四题', difficulty: 2, tags: [] } },
+				],
+			},
+		});
+		fetchMock.get('https://www.luogu.com.cn').intercept({ path: '/problem/P9203' }).reply(404, 'upstream');
+		mockProblem('P9204');
+		const data = await mcpJson(
+			{ jsonrpc: '2.0', id: 56, method: 'tools/call', params: { name: 'get_training', arguments: { training_id: 204, expand: true, locale: 'en' } } },
+			{ ...memoryEnv, FETCH_MAX_RETRIES: '0' },
+		);
+		const text = data.result.content[0].text;
+		expect(text).toContain('**Problem list ID**: 204  **Owner**: kkksc03  **Problems**: 2');
+		expect(text).toContain('| # | ID | Title | Difficulty | Tags |');
+		expect(text).toContain('| 2 | P9204 | 第四题 | 普及- | None |');
+		expect(text).toContain('# Failed to fetch P9203: Problem not found: P9203');
+		expect(text).toContain('# P9204 Title of P9204');
+		expect(text).not.toMatch(/题单编号|获取失败|题目列表/);
+	});
+
+	it('is exposed as the get_training MCP tool', async () => {
+		mockLentille('/training/202', { training: { ...training, id: 202 } });
+		const data = await mcpJson(
+			{ jsonrpc: '2.0', id: 18, method: 'tools/call', params: { name: 'get_training', arguments: { training_id: 202 } } },
+			memoryEnv,
+		);
+		const text = data.result.content[0].text;
+		expect(text).toContain('# 动态规划入门');
+		expect(text).toContain('| 2 | P9202 | 第二题 | 普及/提高- | 动态规划 DP、未知标签(99999) |');
+	});
+});
+
+// ── MCP: resources ──────────────────────────────────────────────────────────
+
+describe('MCP resources', () => {
+	it('advertises the luogu://problem/{id} templates', async () => {
+		const data = await mcpJson({ jsonrpc: '2.0', id: 19, method: 'resources/templates/list' });
+		const templates = data.result.resourceTemplates.map(t => t.uriTemplate);
+		expect(templates).toContain('luogu://problem/{id}');
+		expect(templates).toContain('luogu://problem/{id}/json');
+	});
+
+	it('reads a problem as Markdown and as JSON', async () => {
+		mockProblem('P9301');
+		const md = await mcpJson(
+			{ jsonrpc: '2.0', id: 20, method: 'resources/read', params: { uri: 'luogu://problem/P9301' } },
+			memoryEnv,
+		);
+		expect(md.result.contents[0].mimeType).toBe('text/markdown');
+		expect(md.result.contents[0].text).toContain('# P9301 Title of P9301');
+
+		const json = await mcpJson(
+			{ jsonrpc: '2.0', id: 21, method: 'resources/read', params: { uri: 'luogu://problem/P9301/json' } },
+			memoryEnv,
+		);
+		expect(json.result.contents[0].mimeType).toBe('application/json');
+		expect(JSON.parse(json.result.contents[0].text)).toMatchObject({ id: 'P9301', title: 'Title of P9301' });
+	});
+
+	it('lists recently fetched problems', async () => {
+		mockProblem('P9302');
+		await get('/api/problem/P9302', memoryEnv);
+		const data = await mcpJson({ jsonrpc: '2.0', id: 22, method: 'resources/list' }, memoryEnv);
+		expect(data.result.resources[0]).toMatchObject({ uri: 'luogu://problem/P9302', name: 'P9302 Title of P9302', mimeType: 'text/markdown' });
+	});
+});
+
+// ── MCP: prompts ────────────────────────────────────────────────────────────
+
+describe('MCP prompts', () => {
+	it('lists the teaching prompts', async () => {
+		const data = await mcpJson({ jsonrpc: '2.0', id: 23, method: 'prompts/list' });
+		const names = data.result.prompts.map(p => p.name);
+		expect(names).toEqual(expect.arrayContaining(['solve_problem', 'progressive_hints', 'explain_samples', 'review_my_code']));
+		const review = data.result.prompts.find(p => p.name === 'review_my_code');
+		expect(review.arguments.map(a => [a.name, a.required])).toEqual([['problem_id', true], ['code', true], ['language', false]]);
+	});
+
+	it('embeds the statement, samples and limits', async () => {
+		mockProblem('P9401', { content: { description: '求两数之和', hint: '1 <= a, b <= 10' } });
+		const data = await mcpJson(
+			{
+				jsonrpc: '2.0',
+				id: 24,
+				method: 'prompts/get',
+				params: { name: 'review_my_code', arguments: { problem_id: 'P9401', code: 'int main() {}', language: 'cpp' } },
+			},
+			memoryEnv,
+		);
+		const text = data.result.messages[0].content.text;
+		expect(data.result.messages[0].role).toBe('user');
+		expect(text).toContain('# P9401 Title of P9401');
+		expect(text).toContain('求两数之和');
+		expect(text).toContain('## 样例 1');
+		expect(text).toContain('1 <= a, b <= 10');
+		expect(text).toContain('```cpp\nint main() {}\n```');
+	});
+});
+
+// ── MCP: structured output ──────────────────────────────────────────────────
+
+describe('get_problem structured output', () => {
+	it('declares an output schema', async () => {
+		const data = await mcpJson({ jsonrpc: '2.0', id: 25, method: 'tools/list' });
+		const tool = data.result.tools.find(t => t.name === 'get_problem');
+		expect(tool.outputSchema.type).toBe('object');
+		expect(Object.keys(tool.outputSchema.properties)).toEqual(
+			expect.arrayContaining(['title', 'difficultyNum', 'difficulty', 'tags', 'description', 'inputFormat', 'outputFormat', 'samples', 'limit']),
+		);
+	});
+
+	it('returns structuredContent alongside the Markdown text', async () => {
+		mockProblem('P9501', { difficulty: 4, tags: [3], content: { description: 'desc', formatI: 'in', formatO: 'out', hint: 'n <= 10' } });
+		const data = await mcpJson(
+			{ jsonrpc: '2.0', id: 26, method: 'tools/call', params: { name: 'get_problem', arguments: { problem_id: 'P9501' } } },
+			memoryEnv,
+		);
+		expect(data.result.isError).toBeFalsy();
+		expect(data.result.content[0].text).toContain('# P9501 Title of P9501');
+		expect(data.result.structuredContent).toEqual({
+			id: 'P9501',
+			url: 'https://www.luogu.com.cn/problem/P9501',
+			title: 'Title of P9501',
+			type: null,
+			difficultyNum: 4,
+			difficulty: '普及+/提高',
+			tags: ['动态规划 DP'],
+			tagsByType: { algorithm: ['动态规划 DP'] },
+			sources: [],
+			years: [],
+			provider: null,
+			background: '',
+			description: 'desc',
+			inputFormat: 'in',
+			outputFormat: 'out',
+			samples: [{ input: '1 2', output: '3' }],
+			limit: 'n <= 10',
+			testcaseLimits: [],
+			acceptedCount: null,
+			submittedCount: null,
+			hasTranslation: false,
+			locale: 'zh-CN',
+			availableLocales: ['zh-CN'],
+			images: [],
+			extractionStrategy: 'lentille',
+		});
+	});
+});
+
+// ── Batch retrieval ─────────────────────────────────────────────────────────
+
+function postJson(path, body, testEnv = memoryEnv) {
+	return get(path, testEnv, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+}
+
+describe('Batch retrieval', () => {
+	it('returns per-item results in input order', async () => {
+		mockProblem('P9601');
+		fetchMock.get('https://www.luogu.com.cn').intercept({ path: '/problem/P9602' }).reply(500, 'oops');
+		mockProblem('P9603');
+		const res = await postJson(
+			'/api/problems',
+			{ ids: ['P9601', 'P9602', 'P9603', '!!bad'], concurrency: 2 },
+			{ ...memoryEnv, FETCH_MAX_RETRIES: '0' },
+		);
+		expect(res.status).toBe(200);
+		const { results } = await res.json();
+		expect(results.map(r => [r.id, r.ok])).toEqual([['P9601', true], ['P9602', false], ['P9603', true], ['!!bad', false]]);
+		expect(results[0].problem.title).toBe('Title of P9601');
+		expect(results[1].error).toContain('500');
+		expect(results[1].code).toBe('UPSTREAM_ERROR');
+	});
+
+	it('enforces BATCH_MAX_SIZE and validates the body', async () => {
+		const smallBatchEnv = { ...memoryEnv, BATCH_MAX_SIZE: '2' };
+		expect((await postJson('/api/problems', { ids: ['P1', 'P2', 'P3'] }, smallBatchEnv)).status).toBe(400);
+		expect((await postJson('/api/problems', { ids: [] })).status).toBe(400);
+		expect((await get('/api/problems', memoryEnv)).status).toBe(405);
+	});
+
+	it('is exposed as the get_problems MCP tool', async () => {
+		mockProblem('P9604');
+		mockProblem('P9605');
+		const data = await mcpJson(
+			{ jsonrpc: '2.0', id: 27, method: 'tools/call', params: { name: 'get_problems', arguments: { problem_ids: ['P9604', 'P9605'] } } },
+			memoryEnv,
+		);
+		const text = data.result.content[0].text;
+		expect(text).toContain('成功 2 题，失败 0 题');
+		expect(text.indexOf('# P9604')).toBeLessThan(text.indexOf('# P9605'));
+	});
+});
+
+// ── Statement formats ───────────────────────────────────────────────────────
+
+describe('Statement formats', () => {
+	const statement = [
+		'给定 $n$ 个数 $a_1, a_2, \\dots, a_n$，求 **最大值**。<script>alert(1)</script>',
+		'',
+		'| $n$ | 分值 |',
+		'|:-:|:-:|',
+		'| $\\le 10$ | $30$ |',
+		'',
+		'```cpp',
+		'int main() {',
+		'    return 0;',
+		'}',
+		'```',
+	].join('\r\n');
+
+	it('keeps Markdown, math and tables by default', async () => {
+		mockProblem('P9701', { content: { description: statement }, samples: [['1  2\n', '3']] });
+		const res = await get('/api/problem/P9701', memoryEnv);
+		const data = await res.json();
+		expect(data.description).toContain('$a_1, a_2, \\dots, a_n$');
+		expect(data.description).toContain('| $\\le 10$ | $30$ |');
+		expect(data.description).toContain('    return 0;');
+		expect(data.description).not.toContain('\r');
+		expect(data.samples[0]).toEqual({ input: '1  2', output: '3' });
+	});
+
+	it('renders plain text and sanitized HTML from the same cache entry', async () => {
+		mockProblem('P9702', { content: { description: statement } });
+		const text = await (await get('/api/problem/P9702?format=text', memoryEnv)).json();
+		expect(text.description).toContain('给定 n 个数 a_1, a_2, \\dots, a_n，求 最大值。');
+		expect(text.description).toContain('n\t分值');
+		expect(text.description).not.toContain('<script>');
+
+		const res = await get('/api/problem/P9702?format=html', memoryEnv);
+		expect(res.headers.get('X-Cache')).toBe('HIT');
+		const html = (await res.json()).description;
+		expect(html).toContain('<span class="math">$a_1, a_2, \\dots, a_n$</span>');
+		expect(html).toContain('<strong>最大值</strong>');
+		expect(html).toContain('&lt;script&gt;');
+		expect(html).not.toContain('<script>');
+		expect(html).toContain('<th><span class="math">$n$</span></th>');
+		expect(html).toContain('<pre><code class="language-cpp">int main() {\n    return 0;\n}</code></pre>');
+	});
+
+	it('drops unsafe link targets in HTML', async () => {
+		mockProblem('P9703', { content: { description: '[ok](https://example.com) [bad](javascript:alert(1))' } });
+		const data = await (await get('/api/problem/P9703?format=html', memoryEnv)).json();
+		expect(data.description).toContain('<a href="https://example.com" rel="nofollow noopener">ok</a>');
+		expect(data.description).not.toContain('javascript:');
+		expect(data.description).toContain('</a> bad</p>');
+	});
+
+	it('keeps bare asterisks, code and math and strips nested-paren links in text', async () => {
+		mockProblem('P9707', {
+			content: {
+				description: '计算 2*3*4 与 a*b*c，**重点** 和 *斜体*。`x*y*z` 与 $p*q*r$ 不变。[bad](javascript:alert(1)) [wiki](https://en.wikipedia.org/wiki/Tree_(graph_theory) "树")',
+			},
+		});
+		const text = (await (await get('/api/problem/P9707?format=text', memoryEnv)).json()).description;
+		expect(text).toBe('计算 2*3*4 与 a*b*c，重点 和 斜体。x*y*z 与 p*q*r 不变。bad wiki');
+
+		const html = (await (await get('/api/problem/P9707?format=html', memoryEnv)).json()).description;
+		expect(html).toContain('计算 2*3*4 与 a*b*c，<strong>重点</strong> 和 <em>斜体</em>。');
+		expect(html).toContain('<a href="https://en.wikipedia.org/wiki/Tree_(graph_theory)" rel="nofollow noopener">wiki</a>');
+	});
+
+	it('leaves underscores in URLs and identifiers alone', async () => {
+		mockProblem('P9706', {
+			content: {
+				description: [
+					'![a](https://cdn.luogu.com.cn/upload/image_hosting/abc.png) ![b](https://cdn.luogu.com.cn/upload/image_hosting/def.png)',
+					'',
+					'[x](https://x.com/a_b_c) 与 _强调_',
+					'',
+					'a_i 和 b_i',
+				].join('\n'),
+			},
+		});
+		const html = (await (await get('/api/problem/P9706?format=html', memoryEnv)).json()).description;
+		expect(html).toContain('<img src="https://cdn.luogu.com.cn/upload/image_hosting/abc.png" alt="a"> <img src="https://cdn.luogu.com.cn/upload/image_hosting/def.png" alt="b">');
+		expect(html).toContain('<a href="https://x.com/a_b_c" rel="nofollow noopener">x</a> 与 <em>强调</em>');
+		expect(html).toContain('<p>a_i 和 b_i</p>');
+		expect(html).not.toContain('<em>hosting');
+
+		const text = (await (await get('/api/problem/P9706?format=text', memoryEnv)).json()).description;
+		expect(text).toContain('[图片: a] [图片: b]');
+		expect(text).toContain('x 与 强调');
+		expect(text).toContain('a_i 和 b_i');
+	});
+
+	it('rejects unknown formats with 400', async () => {
+		const res = await get('/api/problem/P9704?format=pdf', memoryEnv);
+		expect(res.status).toBe(400);
+		expect((await res.json()).error).toContain('不支持的内容格式');
+	});
+
+	it('accepts format on the get_problem tool', async () => {
+		mockProblem('P9705', { content: { description: '**粗体** 与 $x^2$' } });
+		const data = await mcpJson(
+			{ jsonrpc: '2.0', id: 28, method: 'tools/call', params: { name: 'get_problem', arguments: { problem_id: 'P9705', format: 'raw' } } },
+			memoryEnv,
+		);
+		expect(data.result.structuredContent.description).toBe('**粗体** 与 $x^2$');
+	});
+});
+
+// ── Statement images ────────────────────────────────────────────────────────
+
+describe('Statement images', () => {
+	const withImages = {
+		description: '如图：\n\n![树](https://cdn.luogu.com.cn/upload/image_hosting/tree.png)',
+		formatI: '<img src="/upload/pic/grid.jpg" alt="网格">',
+		hint: '```\n![not an image](x.png)\n```',
+	};
+
+	it('lists images per section in the REST payload', async () => {
+		mockProblem('P9801', { content: withImages });
+		const data = await (await get('/api/problem/P9801', memoryEnv)).json();
+		expect(data.images).toEqual([
+			{ section: 'description', alt: '树', url: 'https://cdn.luogu.com.cn/upload/image_hosting/tree.png' },
+			{ section: 'inputFormat', alt: '网格', url: 'https://www.luogu.com.cn/upload/pic/grid.jpg' },
+		]);
+	});
+
+	it('returns resource links from get_problem by default', async () => {
+		mockProblem('P9802', { content: withImages });
+		const data = await mcpJson(
+			{ jsonrpc: '2.0', id: 29, method: 'tools/call', params: { name: 'get_problem', arguments: { problem_id: 'P9802' } } },
+			memoryEnv,
+		);
+		const links = data.result.content.filter(c => c.type === 'resource_link');
+		expect(links).toHaveLength(2);
+		expect(links[0]).toMatchObject({ uri: 'https://cdn.luogu.com.cn/upload/image_hosting/tree.png', name: '树', mimeType: 'image/png' });
+		expect(data.result.structuredContent.images).toHaveLength(2);
+	});
+
+	it('inlines images under the size cap and links the rest', async () => {
+		mockProblem('P9803', { content: withImages });
+		fetchMock
+			.get('https://cdn.luogu.com.cn')
+			.intercept({ path: '/upload/image_hosting/tree.png' })
+			.reply(200, 'abcd', { headers: { 'Content-Type': 'image/png' } });
+		fetchMock
+			.get('https://www.luogu.com.cn')
+			.intercept({ path: '/upload/pic/grid.jpg' })
+			.reply(200, 'x'.repeat(64), { headers: { 'Content-Type': 'image/jpeg' } });
+		const data = await mcpJson(
+			{ jsonrpc: '2.0', id: 30, method: 'tools/call', params: { name: 'get_problem', arguments: { problem_id: 'P9803', images: 'inline' } } },
+			{ ...memoryEnv, IMAGE_MAX_BYTES: '16' },
+		);
+		const [, first, second] = data.result.content;
+		expect(first).toEqual({ type: 'image', data: 'YWJjZA==', mimeType: 'image/png' });
+		expect(second.type).toBe('resource_link');
+		expect(second.description).toContain('图片过大: 超过上限 16 字节');
+	});
+
+	it('only downloads images from Luogu and IMAGE_HOSTS', async () => {
+		mockProblem('P9804', {
+			content: {
+				description: '![a](http://169.254.169.254/latest/meta-data.png) ![b](https://img.example.com/b.png) ![c](https://evil.example.com/c.png)',
+			},
+		});
+		fetchMock
+			.get('https://img.example.com')
+			.intercept({ path: '/b.png' })
+			.reply(200, 'abcd', { headers: { 'Content-Type': 'image/png' } });
+		const data = await mcpJson(
+			{ jsonrpc: '2.0', id: 42, method: 'tools/call', params: { name: 'get_problem', arguments: { problem_id: 'P9804', images: 'inline' } } },
+			{ ...memoryEnv, IMAGE_HOSTS: 'img.example.com' },
+		);
+		const [, metadata, allowed, other] = data.result.content;
+		expect(metadata).toMatchObject({ type: 'resource_link', description: expect.stringContaining('不允许下载该域名的图片: 169.254.169.254') });
+		expect(allowed).toEqual({ type: 'image', data: 'YWJjZA==', mimeType: 'image/png' });
+		expect(other.description).toContain('不允许下载该域名的图片: evil.example.com');
+	});
+
+	it('does not follow image redirects', async () => {
+		mockProblem('P9805', { content: { description: '![a](https://cdn.luogu.com.cn/upload/moved.png)' } });
+		fetchMock
+			.get('https://cdn.luogu.com.cn')
+			.intercept({ path: '/upload/moved.png' })
+			.reply(302, '', { headers: { Location: 'http://127.0.0.1/secret.png' } });
+		const data = await mcpJson(
+			{ jsonrpc: '2.0', id: 43, method: 'tools/call', params: { name: 'get_problem', arguments: { problem_id: 'P9805', images: 'inline' } } },
+			memoryEnv,
+		);
+		expect(data.result.content[1]).toMatchObject({ type: 'resource_link', description: expect.stringContaining('302') });
+	});
+});
+
+// ── Problem fields ──────────────────────────────────────────────────────────
+
+describe('Problem fields', () => {
+	const full = {
+		type: 'P',
+		tags: [83, 36, 3],
+		provider: { uid: 1, name: 'kkksc03', color: 'Purple' },
+		totalAccepted: 1200,
+		totalSubmit: 3400,
+		limits: { time: [1000, 1000, 2000], memory: [131072, 131072, 262144] },
+		content: { background: '很久很久以前……', description: 'desc', formatI: 'in', formatO: 'out', hint: 'hint' },
+	};
+
+	it('carries background, limits, provider, source tags and counts', async () => {
+		mockProblem('P9901', full);
+		const data = await (await get('/api/problem/P9901', memoryEnv)).json();
+		expect(data).toMatchObject({
+			type: 'P',
+			background: '很久很久以前……',
+			sources: ['NOIP 提高组'],
+			years: [2019],
+			provider: { uid: 1, name: 'kkksc03' },
+			acceptedCount: 1200,
+			submittedCount: 3400,
+			hasTranslation: false,
+		});
+		expect(data.testcaseLimits).toEqual([
+			{ time: 1000, memory: 131072 },
+			{ time: 1000, memory: 131072 },
+			{ time: 2000, memory: 262144 },
+		]);
+	});
+
+	it('renders the new fields in get_problem text', async () => {
+		mockProblem('P9902', full);
+		const data = await mcpJson(
+			{ jsonrpc: '2.0', id: 31, method: 'tools/call', params: { name: 'get_problem', arguments: { problem_id: 'P9902' } } },
+			memoryEnv,
+		);
+		const text = data.result.content[0].text;
+		expect(text).toContain('**标签**: 算法: 动态规划 DP；来源: NOIP 提高组；年份: 2019');
+		expect(text).toContain('**时间限制**: 1.00s ~ 2.00s  **内存限制**: 128.00MB ~ 256.00MB');
+		expect(text).toContain('**通过**: 1200  **提交**: 3400');
+		expect(text).toContain('**提供者**: kkksc03（UID 1）');
+		expect(text.indexOf('## 题目背景')).toBeLessThan(text.indexOf('## 题目描述'));
+	});
+
+	it('detects translated statements', async () => {
+		fetchMock
+			.get('https://www.luogu.com.cn')
+			.intercept({ path: '/problem/CF9903A' })
+			.reply(200, `<script id="lentille-context" type="application/json">${JSON.stringify({
+				data: { problem: { pid: 'CF9903A', title: 't', content: { description: 'd' } }, translations: { 'zh-CN': { description: '中文' } } },
+			})}</script>`);
+		const data = await (await get('/api/problem/CF9903A', memoryEnv)).json();
+		expect(data.hasTranslation).toBe(true);
+	});
+});
+
+// ── Statement languages ─────────────────────────────────────────────────────
+
+describe('Statement languages', () => {
+	function mockBilingual(pid) {
+		fetchMock
+			.get('https://www.luogu.com.cn')
+			.intercept({ path: `/problem/${pid}` })
+			.reply(200, `<script id="lentille-context" type="application/json">${JSON.stringify({
+				data: {
+					problem: {
+						pid,
+						title: '两数之和',
+						difficulty: 1,
+						tags: [],
+						content: { description: '中文描述', formatI: '中文输入', formatO: '中文输出', locale: 'zh-CN' },
+						samples: [['1 2', '3']],
+					},
+					translations: { en: { name: 'Sum of Two', description: 'English statement', formatI: 'Two integers.', formatO: 'Their sum.', locale: 'en' } },
+				},
+			})}</script>`);
+	}
+
+	it('selects the requested translation over REST and reports available languages', async () => {
+		mockBilingual('CF9911A');
+		const english = await (await get('/api/problem/CF9911A?lang=en-US', memoryEnv)).json();
+		expect(english).toMatchObject({ title: 'Sum of Two', description: 'English statement', locale: 'en', availableLocales: ['zh-CN', 'en'] });
+
+		const chinese = await (await get('/api/problem/CF9911A', memoryEnv)).json();
+		expect(chinese).toMatchObject({ title: '两数之和', description: '中文描述', locale: 'zh-CN' });
+	});
+
+	it('falls back to the original statement when no translation exists', async () => {
+		mockProblem('P9912');
+		const data = await (await get('/api/problem/P9912?locale=ja', memoryEnv)).json();
+		expect(data).toMatchObject({ description: 'desc', locale: 'zh-CN', availableLocales: ['zh-CN'] });
+	});
+
+	it('rejects malformed locales with 400', async () => {
+		expect((await get('/api/problem/P9913?locale=%3Cscript%3E', memoryEnv)).status).toBe(400);
+	});
+
+	it('localizes get_problem headings and errors', async () => {
+		mockBilingual('CF9914A');
+		const data = await mcpJson(
+			{ jsonrpc: '2.0', id: 32, method: 'tools/call', params: { name: 'get_problem', arguments: { problem_id: 'CF9914A', locale: 'en' } } },
+			memoryEnv,
+		);
+		const text = data.result.content[0].text;
+		expect(text).toContain('# CF9914A Sum of Two');
+		expect(text).toContain('## Description\nEnglish statement');
+		expect(text).toContain('## Sample 1');
+		expect(text).toContain('**Languages**: zh-CN, en');
+
+		const invalid = await mcpJson(
+			{ jsonrpc: '2.0', id: 33, method: 'tools/call', params: { name: 'get_problem', arguments: { problem_id: '!!', locale: 'en' } } },
+			memoryEnv,
+		);
+		expect(invalid.result.isError).toBe(true);
+		expect(invalid.result.content[0].text).toContain('Invalid problem ID: !!');
+	});
+});
+
+// ── Tag catalog ─────────────────────────────────────────────────────────────
+
+describe('Tag catalog', () => {
+	afterEach(() => memoryStore.delete('tags:catalog'));
+
+	it('groups problem tags by type and keeps unknown ids', async () => {
+		mockProblem('P9921', { tags: [3, 83, 999999] });
+		const data = await (await get('/api/problem/P9921', memoryEnv)).json();
+		expect(data.tags).toEqual(['动态规划 DP', 'NOIP 提高组', '未知标签(999999)']);
+		expect(data.tagsByType).toEqual({ algorithm: ['动态规划 DP'], source: ['NOIP 提高组'], other: ['未知标签(999999)'] });
+	});
+
+	it('uses the catalog refreshed by the cron trigger', async () => {
+		fetchMock
+			.get('https://www.luogu.com.cn')
+			.intercept({ path: '/_lfe/tags' })
+			.reply(200, JSON.stringify({
+				types: [{ id: 2, name: '算法' }, { id: 4, name: '时间' }],
+				tags: [
+					{ id: 3, name: '动态规划 DP', type: 2, parent: null },
+					{ id: 999999, name: '新算法', type: 2, parent: null },
+					{ id: 36, name: '2019', type: 4, parent: 76 },
+				],
+			}));
+		const ctx = createExecutionContext();
+		await worker.scheduled({ cron: '17 3 * * *' }, memoryEnv, ctx);
+		await waitOnExecutionContext(ctx);
+
+		mockProblem('P9922', { tags: [999999, 36] });
+		const data = await (await get('/api/problem/P9922', memoryEnv)).json();
+		expect(data.tagsByType).toEqual({ algorithm: ['新算法'], year: ['2019'] });
+		expect(data.years).toEqual([2019]);
+	});
+
+	it('stores the refreshed catalog in KV', async () => {
+		// Minimal KV namespace: refreshed tags must reach every data center, so they live in KV
+		const kv = new Map();
+		const namespace = {
+			get: async (key, type) => (kv.has(key) ? (type === 'json' ? JSON.parse(kv.get(key)) : kv.get(key)) : null),
+			put: async (key, value) => void kv.set(key, value),
+			delete: async key => void kv.delete(key),
+		};
+		const kvEnv = { ...env, PROBLEM_CACHE: namespace };
+		fetchMock
+			.get('https://www.luogu.com.cn')
+			.intercept({ path: '/_lfe/tags' })
+			.reply(200, JSON.stringify({ types: [{ id: 2, name: '算法' }], tags: [{ id: 999998, name: 'KV 算法', type: 2, parent: null }] }));
+		const ctx = createExecutionContext();
+		await worker.scheduled({ cron: '17 3 * * *' }, kvEnv, ctx);
+		await waitOnExecutionContext(ctx);
+
+		expect(JSON.parse(kv.get('tags:catalog')).tags).toEqual([{ id: 999998, name: 'KV 算法', type: 'algorithm', parent: null }]);
+		const data = await (await get('/api/tags?keyword=KV', kvEnv)).json();
+		expect(data.tags[0]).toMatchObject({ id: 999998, name: 'KV 算法' });
+	});
+
+	it('skips the refresh without a KV binding', async () => {
+		// The Cache API is local to one data center, so the cron trigger must not fetch or store anything
+		const ctx = createExecutionContext();
+		await worker.scheduled({ cron: '17 3 * * *' }, env, ctx);
+		await waitOnExecutionContext(ctx);
+
+		const data = await (await get('/api/tags?keyword=KV', env)).json();
+		expect(data.tags.some(tag => tag.id === 999998)).toBe(false);
+	});
+
+	it('finds tags by substring and pinyin initials', async () => {
+		const byInitials = await (await get('/api/tags?keyword=xds')).json();
+		expect(byInitials.tags[0]).toMatchObject({ id: 42, name: '线段树', type: 'algorithm', parent: null });
+
+		const byName = await (await get('/api/tags?keyword=%E6%A0%91%E5%BD%A2&types=algorithm')).json();
+		expect(byName.tags.map(tag => tag.name)).toEqual(expect.arrayContaining(['树形数据结构', '树形 DP']));
+		expect(byName.types).toEqual(['algorithm']);
+
+		const years = await (await get('/api/tags?keyword=2019&types=year')).json();
+		expect(years.tags[0]).toMatchObject({ id: 36, parent: 76, parentName: '时间' });
+	});
+
+	it('lists tags with a type filter and rejects unknown types', async () => {
+		const regions = await (await get('/api/tags?types=region&limit=500')).json();
+		expect(regions.total).toBe(regions.tags.length);
+		expect(regions.tags.every(tag => tag.type === 'region')).toBe(true);
+
+		const bad = await get('/api/tags?types=misc');
+		expect(bad.status).toBe(400);
+		expect((await bad.json()).error).toContain('不支持的标签类型');
+	});
+
+	it('exposes list_tags over MCP', async () => {
+		const data = await mcpJson({ jsonrpc: '2.0', id: 34, method: 'tools/call', params: { name: 'list_tags', arguments: { keyword: '线段树', limit: 2 } } });
+		const text = data.result.content[0].text;
+		expect(text).toContain('# 标签查询「线段树」');
+		expect(text).toContain('| 42 | 线段树 | 算法 | 无 |');
+		expect(text).toContain('仅显示前 2 个');
+	});
+});
+
+// ── Error taxonomy ──────────────────────────────────────────────────────────
+
+describe('Error taxonomy', () => {
+	// Each failing status is mocked once, so the transient ones (429, 5xx) must not be retried
+	const noRetryEnv = { ...memoryEnv, FETCH_MAX_RETRIES: '0' };
+
+	function mockStatus(path, status, headers = {}) {
+		fetchMock.get('https://www.luogu.com.cn').intercept({ path }).reply(status, 'upstream', { headers });
+	}
+
+	it('maps upstream statuses to stable codes and HTTP statuses', async () => {
+		mockStatus('/problem/P9931', 404);
+		mockStatus('/problem/P9932', 429, { 'Retry-After': '30' });
+		mockStatus('/problem/P9933', 403);
+		mockStatus('/problem/P9934', 524);
+		mockStatus('/problem/P9935', 500);
+
+		const notFound = await get('/api/problem/P9931', noRetryEnv);
+		expect(notFound.status).toBe(404);
+		expect(await notFound.json()).toEqual({ error: '题目不存在: P9931', code: 'NOT_FOUND' });
+
+		const limited = await get('/api/problem/P9932', noRetryEnv);
+		expect(limited.status).toBe(429);
+		expect(limited.headers.get('Retry-After')).toBe('30');
+		expect(await limited.json()).toMatchObject({ code: 'RATE_LIMITED', retryAfter: 30 });
+
+		const blocked = await get('/api/problem/P9933', noRetryEnv);
+		expect([blocked.status, (await blocked.json()).code]).toEqual([502, 'UPSTREAM_BLOCKED']);
+
+		const timeout = await get('/api/problem/P9934', noRetryEnv);
+		expect([timeout.status, (await timeout.json()).code]).toEqual([504, 'UPSTREAM_TIMEOUT']);
+
+		const broken = await get('/api/problem/P9935', noRetryEnv);
+		expect([broken.status, (await broken.json()).code]).toEqual([502, 'UPSTREAM_ERROR']);
+	});
+
+	it('reports invalid IDs and unparsable pages', async () => {
+		const invalid = await get('/api/problem/!!!', memoryEnv);
+		expect([invalid.status, (await invalid.json()).code]).toEqual([400, 'INVALID_ID']);
+
+		fetchMock.get('https://www.luogu.com.cn').intercept({ path: '/training/9936' }).reply(200, '<html></html>');
+		const unparsable = await get('/api/training/9936', memoryEnv);
+		expect([unparsable.status, (await unparsable.json()).code]).toEqual([502, 'PARSE_ERROR']);
+	});
+
+	it('returns structured isError results from MCP tools', async () => {
+		mockStatus('/problem/P9937', 404);
+		const data = await mcpJson(
+			{ jsonrpc: '2.0', id: 35, method: 'tools/call', params: { name: 'get_problem', arguments: { problem_id: 'P9937' } } },
+			memoryEnv,
+		);
+		expect(data.error).toBeUndefined();
+		expect(data.result.isError).toBe(true);
+		expect(data.result.content[0].text).toBe('[NOT_FOUND] 题目不存在: P9937');
+		expect(data.result._meta.error).toEqual({ code: 'NOT_FOUND', message: '题目不存在: P9937', status: 404 });
+	});
+
+	it('localizes error messages for the requested locale', async () => {
+		mockStatus('/problem/P9938', 404);
+		const data = await mcpJson(
+			{ jsonrpc: '2.0', id: 48, method: 'tools/call', params: { name: 'get_problem', arguments: { problem_id: 'P9938', locale: 'en' } } },
+			memoryEnv,
+		);
+		expect(data.result.content[0].text).toBe('[NOT_FOUND] Problem not found: P9938');
+
+		fetchMock.get('https://www.luogu.com.cn').intercept({ path: '/training/9939' })
+			.reply(200, '<html><head><title>用户登录 - 洛谷</title></head></html>');
+		const login = await get('/api/training/9939?lang=en', memoryEnv);
+		expect(await login.json()).toEqual({ error: 'Luogu requires login to view this problem list', code: 'LOGIN_REQUIRED' });
+
+		const contest = await get('/api/contest/abc?locale=en', memoryEnv);
+		expect((await contest.json()).error).toBe('Invalid contest ID: abc');
+
+		const format = await get('/api/problem/P1001?format=pdf&locale=en', memoryEnv);
+		expect((await format.json()).error).toBe('Unsupported content format: pdf. Supported: markdown, raw, text, html');
+
+		const batch = await postJson('/api/problems', { ids: ['!!'], locale: 'en' });
+		expect((await batch.json()).results[0]).toEqual({ id: '!!', ok: false, error: 'Invalid Luogu problem ID format', code: 'INVALID_ID' });
+
+		const chinese = await get('/api/contest/abc', memoryEnv);
+		expect((await chinese.json()).error).toBe('无效的比赛编号: abc');
+	});
+});
+
+// ── Fetch policy ────────────────────────────────────────────────────────────
+
+describe('Fetch policy', () => {
+	const retryEnv = { ...memoryEnv, FETCH_MAX_RETRIES: '2', FETCH_RETRY_BASE_MS: '1' };
+
+	function mockStatus(path, status, headers = {}) {
+		fetchMock.get('https://www.luogu.com.cn').intercept({ path }).reply(status, 'upstream', { headers });
+	}
+
+	it('retries transient 5xx and 429 responses', async () => {
+		mockStatus('/problem/P9941', 502);
+		mockStatus('/problem/P9941', 429, { 'Retry-After': '0' });
+		mockProblem('P9941');
+		const res = await get('/api/problem/P9941', retryEnv);
+		expect(res.status).toBe(200);
+		expect((await res.json()).title).toBe('Title of P9941');
+	});
+
+	it('gives up after the retry budget and does not retry 404', async () => {
+		mockStatus('/problem/P9942', 503);
+		mockStatus('/problem/P9942', 503);
+		mockStatus('/problem/P9942', 503);
+		expect((await get('/api/problem/P9942', retryEnv)).status).toBe(502);
+
+		mockStatus('/problem/P9943', 404);
+		expect((await get('/api/problem/P9943', retryEnv)).status).toBe(404);
+	});
+
+	it('fails with a rate limit error when Retry-After exceeds the backoff cap', async () => {
+		mockStatus('/problem/P9944', 429, { 'Retry-After': '120' });
+		const res = await get('/api/problem/P9944', retryEnv);
+		expect(res.status).toBe(429);
+		expect(res.headers.get('Retry-After')).toBe('120');
+	});
+
+	it('times out slow responses', async () => {
+		fetchMock
+			.get('https://www.luogu.com.cn')
+			.intercept({ path: '/problem/P9945' })
+			.reply(200, 'slow')
+			.delay(500);
+		const res = await get('/api/problem/P9945', { ...memoryEnv, FETCH_TIMEOUT_MS: '20', FETCH_MAX_RETRIES: '0' });
+		expect([res.status, (await res.json()).code]).toEqual([504, 'UPSTREAM_TIMEOUT']);
+	});
+
+	it('opens the circuit after consecutive upstream failures', async () => {
+		const breakerEnv = { ...memoryEnv, CIRCUIT_BREAKER_THRESHOLD: '2', FETCH_MAX_RETRIES: '0' };
+		mockStatus('/problem/P9946', 500);
+		mockStatus('/problem/P9947', 500);
+		expect((await get('/api/problem/P9946', breakerEnv)).status).toBe(502);
+		expect((await get('/api/problem/P9947', breakerEnv)).status).toBe(502);
+
+		// No upstream mock: the open circuit must fail fast without calling Luogu
+		const res = await get('/api/problem/P9948', breakerEnv);
+		expect(res.status).toBe(503);
+		expect(Number(res.headers.get('Retry-After'))).toBeGreaterThan(0);
+		expect((await res.json()).code).toBe('UPSTREAM_UNAVAILABLE');
+	});
+});
+
+// ── Page detection ──────────────────────────────────────────────────────────
+
+describe('Page detection', () => {
+	function mockPage(path, body) {
+		fetchMock.get('https://www.luogu.com.cn').intercept({ path }).reply(200, body);
+	}
+
+	function feInjection(payload) {
+		return `<script>window._feInjection = JSON.parse(decodeURIComponent("${encodeURIComponent(JSON.stringify(payload))}"));</script>`;
+	}
+
+	it('recognizes lentille-context and _feInjection error payloads', async () => {
+		mockPage('/problem/P9951', `<script id="lentille-context" type="application/json">${JSON.stringify({
+			code: 404, template: 'error', data: { errorType: 'NotFoundHttpException', errorMessage: '题目未找到' },
+		})}</script>`);
+		mockPage('/problem/P9952', feInjection({ code: 404, currentTemplate: 'InternalError', currentData: { errorMessage: '题目未找到' } }));
+		mockPage('/problem/P9953', feInjection({ code: 403, currentTemplate: 'InternalError', currentData: { errorMessage: '您需要先登录' } }));
+
+		const lentille = await get('/api/problem/P9951', memoryEnv);
+		expect(lentille.status).toBe(404);
+		expect(await lentille.json()).toEqual({ error: '题目不存在（洛谷: 题目未找到）', code: 'NOT_FOUND' });
+
+		expect((await get('/api/problem/P9952', memoryEnv)).status).toBe(404);
+
+		const login = await get('/api/problem/P9953', memoryEnv);
+		expect([login.status, (await login.json()).code]).toEqual([403, 'LOGIN_REQUIRED']);
+	});
+
+	it('recognizes challenge, login and not-found pages without embedded data', async () => {
+		mockPage('/problem/P9954', '<html><head><title>Just a moment...</title></head><body>challenge-platform</body></html>');
+		mockPage('/problem/P9955', '<script>document.cookie="C3VK=abc;path=/";location.reload();</script>');
+		mockPage('/problem/P9956', '<html><head><title>登录 - 洛谷</title></head></html>');
+		mockPage('/problem/P9957', '<html><body><div>题目未找到</div></body></html>');
+		mockPage('/problem/P9958', '<html><body>unexpected</body></html>');
+		mockPage('/problem/P9958?_contentOnly=1', '<html><body>unexpected</body></html>');
+
+		const codes = [];
+		for (const id of ['P9954', 'P9955', 'P9956', 'P9957', 'P9958']) {
+			const res = await get(`/api/problem/${id}`, memoryEnv);
+			codes.push([res.status, (await res.json()).code]);
+		}
+		expect(codes).toEqual([
+			[502, 'UPSTREAM_BLOCKED'],
+			[502, 'UPSTREAM_BLOCKED'],
+			[403, 'LOGIN_REQUIRED'],
+			[404, 'NOT_FOUND'],
+			[502, 'PARSE_ERROR'],
+		]);
+	});
+
+	it('does not cache challenge pages', async () => {
+		mockPage('/problem/P9959', '<html><head><title>Just a moment...</title></head></html>');
+		expect((await get('/api/problem/P9959', memoryEnv)).status).toBe(502);
+		mockProblem('P9959');
+		const res = await get('/api/problem/P9959', memoryEnv);
+		expect(res.status).toBe(200);
+		expect((await res.json()).title).toBe('Title of P9959');
+	});
+
+	it('falls back from lentille-context to _feInjection, ?_contentOnly=1 and HTML', async () => {
+		const problem = { pid: 'P9961', title: 'Legacy', difficulty: 2, tags: [3], content: { description: 'old' }, samples: [['1', '2']] };
+		mockPage('/problem/P9961', feInjection({ code: 200, currentTemplate: 'ProblemShow', currentData: { problem } }));
+		mockPage('/problem/P9962', '<html><body><div id="app"></div></body></html>');
+		mockPage('/problem/P9962?_contentOnly=1', JSON.stringify({ code: 200, currentTemplate: 'ProblemShow', currentData: { problem: { ...problem, pid: 'P9962' } } }));
+		mockPage('/problem/P9963', '<html><body><h1>Plain page</h1><h2>题目描述</h2>plain desc<h2>输入格式</h2></body></html>');
+		mockPage('/problem/P9963?_contentOnly=1', '<html><body>no json here</body></html>');
+
+		const legacy = await (await get('/api/problem/P9961', memoryEnv)).json();
+		expect(legacy).toMatchObject({ title: 'Legacy', difficulty: '普及-', description: 'old', extractionStrategy: 'feInjection' });
+		expect(legacy.samples).toEqual([{ input: '1', output: '2' }]);
+
+		const contentOnly = await (await get('/api/problem/P9962', memoryEnv)).json();
+		expect(contentOnly).toMatchObject({ title: 'Legacy', extractionStrategy: 'contentOnly' });
+
+		const plain = await (await get('/api/problem/P9963', memoryEnv)).json();
+		expect(plain).toMatchObject({ title: 'Plain page', description: 'plain desc', extractionStrategy: 'html' });
+	});
+
+	it('requests ?_contentOnly=1 only once even when retries are enabled', async () => {
+		let contentOnlyCalls = 0;
+		mockPage('/problem/P9964', '<html><body><h1>Plain page</h1><h2>题目描述</h2>plain desc<h2>输入格式</h2></body></html>');
+		fetchMock
+			.get('https://www.luogu.com.cn')
+			.intercept({ path: '/problem/P9964?_contentOnly=1' })
+			.reply(() => {
+				contentOnlyCalls++;
+				return { statusCode: 503, data: 'upstream' };
+			})
+			.persist();
+
+		const res = await get('/api/problem/P9964', memoryEnv);
+		expect(await res.json()).toMatchObject({ title: 'Plain page', extractionStrategy: 'html' });
+		expect(contentOnlyCalls).toBe(1);
+	});
+
+	it('explains why a training page could not be parsed', async () => {
+		mockPage('/training/9960', `<script id="lentille-context" type="application/json">${JSON.stringify({ code: 404, data: { errorMessage: '题单不存在' } })}</script>`);
+		const res = await get('/api/training/9960', memoryEnv);
+		expect(res.status).toBe(404);
+		expect((await res.json()).error).toContain('题单不存在');
+	});
+});
+
+// ── MCP: sessions ───────────────────────────────────────────────────────────
+
+describe('MCP sessions', () => {
+	const sessionEnv = { ...memoryEnv, MCP_SESSION_MODE: 'memory' };
+	const initialize = {
+		jsonrpc: '2.0', id: 1, method: 'initialize',
+		params: { protocolVersion: '2025-11-25', capabilities: {}, clientInfo: { name: 'test', version: '1.0.0' } },
+	};
+
+	function sessionRequest(testEnv, { method = 'POST', sessionId, body, headers = {} } = {}) {
+		return get('/mcp', testEnv, {
+			method,
+			headers: {
+				'Content-Type': 'application/json',
+				'Accept': 'application/json, text/event-stream',
+				...(sessionId ? { 'Mcp-Session-Id': sessionId } : {}),
+				...headers,
+			},
+			body: body && JSON.stringify(body),
+		});
+	}
+
+	/** Parse SSE text into [{ id, data }] events, skipping priming events without data. */
+	function sseEvents(text) {
+		return text.split('\n\n').map(block => ({
+			id: block.match(/^id: (.+)$/m)?.[1],
+			data: block.match(/^data: (.+)$/m)?.[1],
+		})).filter(event => event.data).map(event => ({ ...event, data: JSON.parse(event.data) }));
+	}
+
+	/** Read an open SSE stream until `done` matches, then cancel it. */
+	async function readUntil(res, done) {
+		const reader = res.body.getReader();
+		const decoder = new TextDecoder();
+		let text = '';
+		while (!done(sseEvents(text))) {
+			const { value, done: ended } = await reader.read();
+			if (ended) break;
+			text += decoder.decode(value, { stream: true });
+		}
+		await reader.cancel();
+		return sseEvents(text);
+	}
+
+	async function startSession(testEnv = sessionEnv) {
+		const res = await sessionRequest(testEnv, { body: initialize });
+		expect(res.status).toBe(200);
+		await res.text();
+		const sessionId = res.headers.get('Mcp-Session-Id');
+		expect(sessionId).toBeTruthy();
+		await (await sessionRequest(testEnv, { sessionId, body: { jsonrpc: '2.0', method: 'notifications/initialized' } })).text();
+		return sessionId;
+	}
+
+	it('keeps stateless mode by default', async () => {
+		const res = await get('/mcp', memoryEnv, { method: 'GET' });
+		expect(res.status).toBe(405);
+	});
+
+	it('requires a known Mcp-Session-Id after initialization', async () => {
+		const sessionId = await startSession();
+		const ping = await sessionRequest(sessionEnv, { sessionId, body: { jsonrpc: '2.0', id: 2, method: 'ping' } });
+		expect((await parseResponse(ping)).result).toEqual({});
+
+		const missing = await sessionRequest(sessionEnv, { body: { jsonrpc: '2.0', id: 3, method: 'ping' } });
+		expect(missing.status).toBe(400);
+		await missing.text();
+		const unknown = await sessionRequest(sessionEnv, { sessionId: 'nope', body: { jsonrpc: '2.0', id: 4, method: 'ping' } });
+		expect(unknown.status).toBe(404);
+		await unknown.text();
+	});
+
+	it('sends progress notifications and replays them after Last-Event-ID', async () => {
+		mockProblem('P9971');
+		mockProblem('P9972');
+		const sessionId = await startSession();
+		const res = await sessionRequest(sessionEnv, {
+			sessionId,
+			body: {
+				jsonrpc: '2.0', id: 36, method: 'tools/call',
+				params: { name: 'get_problems', arguments: { problem_ids: ['P9971', 'P9972'] }, _meta: { progressToken: 'batch-1' } },
+			},
+		});
+		const events = sseEvents(await res.text());
+		const progress = events.filter(event => event.data.method === 'notifications/progress');
+		expect(progress.map(event => event.data.params)).toEqual([
+			{ progressToken: 'batch-1', progress: 1, total: 2 },
+			{ progressToken: 'batch-1', progress: 2, total: 2 },
+		]);
+		expect(events.at(-1).data.id).toBe(36);
+		expect(events.every(event => event.id)).toBe(true);
+
+		// Resume after the first progress notification: the rest of the stream is replayed
+		const resumed = await sessionRequest(sessionEnv, {
+			method: 'GET', sessionId, headers: { 'Last-Event-ID': progress[0].id },
+		});
+		expect(resumed.headers.get('Content-Type')).toContain('text/event-stream');
+		const replayed = await readUntil(resumed, seen => seen.some(event => event.data.id === 36));
+		expect(replayed.map(event => event.data.method ?? event.data.id)).toEqual(['notifications/progress', 36]);
+	});
+
+	it('opens a GET SSE stream and terminates the session with DELETE', async () => {
+		const sessionId = await startSession();
+		const stream = await sessionRequest(sessionEnv, { method: 'GET', sessionId });
+		expect(stream.status).toBe(200);
+		expect(stream.headers.get('Content-Type')).toContain('text/event-stream');
+		await stream.body.cancel();
+
+		const deleted = await sessionRequest(sessionEnv, { method: 'DELETE', sessionId });
+		expect(deleted.status).toBe(200);
+		const after = await sessionRequest(sessionEnv, { sessionId, body: { jsonrpc: '2.0', id: 5, method: 'ping' } });
+		expect(after.status).toBe(404);
+		await after.text();
+	});
+
+	it('routes each session to its own Durable Object', async () => {
+		const objects = new Map();
+		const namespace = {
+			idFromName: name => name,
+			get: id => {
+				if (!objects.has(id)) objects.set(id, new McpSessionObject({}, memoryEnv));
+				return objects.get(id);
+			},
+		};
+		const doEnv = { ...memoryEnv, MCP_SESSION_MODE: 'durable-object', MCP_SESSIONS: namespace };
+
+		const sessionId = await startSession(doEnv);
+		expect([...objects.keys()]).toEqual([sessionId]);
+		const ping = await sessionRequest(doEnv, { sessionId, body: { jsonrpc: '2.0', id: 6, method: 'ping' } });
+		expect((await parseResponse(ping)).result).toEqual({});
+		expect(objects.get(sessionId).manager.size).toBe(1);
+	});
+
+	it('reports a missing MCP_SESSIONS binding as a configuration error', async () => {
+		const ctx = createExecutionContext();
+		const res = await worker.fetch(
+			mcpPost({ jsonrpc: '2.0', id: 55, method: 'ping' }),
+			{ ...memoryEnv, MCP_SESSION_MODE: 'durable-object' },
+			ctx,
+		);
+		await waitOnExecutionContext(ctx);
+		expect(res.status).toBe(500);
+		expect(await res.json()).toEqual({
+			error: 'MCP_SESSION_MODE=durable-object 需要配置 MCP_SESSIONS Durable Object 绑定',
+			code: 'CONFIGURATION_ERROR',
+		});
+	});
+});
+
+// ── Authentication ──────────────────────────────────────────────────────────
+
+describe('Authentication', () => {
+	const authEnv = {
+		...memoryEnv,
+		API_KEYS: JSON.stringify({ 'reader-key': ['read'], 'disabled-key': { name: 'bot', scopes: [] } }),
+	};
+	const bearer = token => ({ headers: { Authorization: `Bearer ${token}` } });
+
+	it('leaves endpoints open when no API keys are configured', async () => {
+		mockProblem('P9981');
+		expect((await get('/api/problem/P9981', memoryEnv)).status).toBe(200);
+		expect((await get('/.well-known/oauth-protected-resource', memoryEnv)).headers.get('Content-Type')).toContain('text/html');
+	});
+
+	it('rejects missing and unknown keys with 401 and WWW-Authenticate', async () => {
+		const missing = await get('/api/problem/P9982', authEnv);
+		expect(missing.status).toBe(401);
+		expect((await missing.json()).code).toBe('UNAUTHORIZED');
+		expect(missing.headers.get('WWW-Authenticate')).toBe(
+			'Bearer realm="luogu-mcp", resource_metadata="http://example.com/.well-known/oauth-protected-resource"',
+		);
+
+		const unknown = await get('/mcp', authEnv, { method: 'POST', ...bearer('wrong') });
+		expect(unknown.status).toBe(401);
+		expect(unknown.headers.get('WWW-Authenticate')).toContain('error="invalid_token"');
+
+		// The frontend stays public
+		expect((await get('/', authEnv)).status).toBe(200);
+	});
+
+	it('accepts valid keys and enforces scopes', async () => {
+		mockProblem('P9983');
+		const ok = await get('/api/problem/P9983', authEnv, bearer('reader-key'));
+		expect(ok.status).toBe(200);
+		// Authenticated responses must not be stored by shared caches
+		expect(ok.headers.get('Cache-Control')).toMatch(/^private, max-age=\d+$/);
+
+		const forbidden = await get('/api/problem/P9983', authEnv, bearer('disabled-key'));
+		expect(forbidden.status).toBe(403);
+		expect((await forbidden.json()).code).toBe('INSUFFICIENT_SCOPE');
+		expect(forbidden.headers.get('WWW-Authenticate')).toContain('error="insufficient_scope", scope="read"');
+
+		// A key without the read scope cannot reach the MCP endpoint either
+		const forbiddenMcp = mcpPost({ jsonrpc: '2.0', id: 57, method: 'tools/call', params: { name: 'list_tags', arguments: { keyword: '线段树' } } });
+		forbiddenMcp.headers.set('Authorization', 'Bearer disabled-key');
+		const forbiddenMcpRes = await worker.fetch(forbiddenMcp, authEnv, createExecutionContext());
+		expect(forbiddenMcpRes.status).toBe(403);
+		expect((await forbiddenMcpRes.json()).code).toBe('INSUFFICIENT_SCOPE');
+
+		const req = mcpPost({ jsonrpc: '2.0', id: 37, method: 'tools/call', params: { name: 'list_tags', arguments: { keyword: '线段树', limit: 1 } } });
+		req.headers.set('Authorization', 'Bearer reader-key');
+		const data = await parseResponse(await worker.fetch(req, authEnv, createExecutionContext()));
+		expect(data.result.content[0].text).toContain('线段树');
+	});
+
+	it('reports invalid API_KEYS JSON as a configuration error without an auth challenge', async () => {
+		const res = await get('/api/problem/P9984?locale=en', { ...memoryEnv, API_KEYS: '{"reader-key": ' }, bearer('reader-key'));
+		expect(res.status).toBe(500);
+		expect(await res.json()).toMatchObject({ code: 'CONFIGURATION_ERROR', error: 'API_KEYS is not valid JSON' });
+		expect(res.headers.get('WWW-Authenticate')).toBeNull();
+	});
+
+	it('publishes OAuth protected resource metadata', async () => {
+		const res = await get('/.well-known/oauth-protected-resource', { ...authEnv, OAUTH_AUTHORIZATION_SERVERS: 'https://auth.example.com' });
+		expect(await res.json()).toEqual({
+			resource: 'http://example.com/mcp',
+			resource_name: 'Luogu MCP Server',
+			bearer_methods_supported: ['header'],
+			scopes_supported: ['read'],
+			authorization_servers: ['https://auth.example.com'],
+		});
+	});
+});
+
+// ── Rate limiting ───────────────────────────────────────────────────────────
+
+describe('Rate limiting', () => {
+	const fromIp = ip => ({ headers: { 'CF-Connecting-IP': ip } });
+
+	it('limits REST routes per client IP with RateLimit headers', async () => {
+		const limitedEnv = { ...memoryEnv, RATE_LIMITS: JSON.stringify({ default: '2/60' }) };
+		const first = await get('/api/problem/bad!', limitedEnv, fromIp('203.0.113.1'));
+		expect(first.headers.get('RateLimit-Limit')).toBe('2');
+		expect(first.headers.get('RateLimit-Remaining')).toBe('1');
+		expect(first.headers.get('RateLimit-Policy')).toBe('2;w=60');
+		await get('/api/problem/bad!', limitedEnv, fromIp('203.0.113.1'));
+
+		const limited = await get('/api/problem/bad!', limitedEnv, fromIp('203.0.113.1'));
+		expect(limited.status).toBe(429);
+		expect(limited.headers.get('Retry-After')).toBe('30');
+		expect(limited.headers.get('RateLimit-Remaining')).toBe('0');
+		expect(await limited.json()).toMatchObject({ code: 'TOO_MANY_REQUESTS', retryAfter: 30 });
+
+		// Other clients and the frontend are unaffected
+		expect((await get('/api/problem/bad!', limitedEnv, fromIp('203.0.113.2'))).status).toBe(400);
+		expect((await get('/', limitedEnv, fromIp('203.0.113.1'))).status).toBe(200);
+	});
+
+	it('applies per-route limits and can be turned off', async () => {
+		const limitedEnv = { ...memoryEnv, RATE_LIMITS: JSON.stringify({ routes: { '/api/tags': '1/10' } }) };
+		expect((await get('/api/tags?limit=1', limitedEnv)).status).toBe(200);
+		expect((await get('/api/tags?limit=1', limitedEnv)).status).toBe(429);
+		expect((await get('/api/problem/bad!', limitedEnv)).headers.get('RateLimit-Limit')).toBe('60');
+
+		const offEnv = { ...memoryEnv, RATE_LIMITS: 'off' };
+		const res = await get('/api/tags?limit=1', offEnv);
+		expect(res.status).toBe(200);
+		expect(res.headers.get('RateLimit-Limit')).toBeNull();
+	});
+
+	it('returns an isError tool result when a tool limit is exceeded', async () => {
+		const limitedEnv = { ...memoryEnv, RATE_LIMITS: JSON.stringify({ tools: { list_tags: '1/60' } }) };
+		const call = { jsonrpc: '2.0', id: 38, method: 'tools/call', params: { name: 'list_tags', arguments: { limit: 1 } } };
+		expect((await mcpJson(call, limitedEnv)).result.isError).toBeFalsy();
+
+		const ctx = createExecutionContext();
+		const res = await worker.fetch(mcpPost(call), limitedEnv, ctx);
+		await waitOnExecutionContext(ctx);
+		expect(res.status).toBe(200);
+		expect(res.headers.get('RateLimit-Limit')).toBe('1');
+		const data = await parseResponse(res);
+		expect(data.id).toBe(38);
+		expect(data.result.isError).toBe(true);
+		expect(data.result._meta.error).toMatchObject({ code: 'TOO_MANY_REQUESTS', status: 429, retryAfter: 60 });
+
+		// Other tools keep working
+		const ping = await mcpJson({ jsonrpc: '2.0', id: 39, method: 'tools/call', params: { name: 'search_problems', arguments: {} } }, limitedEnv);
+		expect(ping.result._meta?.error?.code).not.toBe('TOO_MANY_REQUESTS');
+	});
+
+	it('applies tool limits to every call in a JSON-RPC batch', async () => {
+		const limitedEnv = { ...memoryEnv, RATE_LIMITS: JSON.stringify({ tools: { list_tags: '1/60' } }) };
+		const call = id => ({ jsonrpc: '2.0', id, method: 'tools/call', params: { name: 'list_tags', arguments: { limit: 1 } } });
+		const ctx = createExecutionContext();
+		const res = await worker.fetch(mcpPost([call(44), call(45)]), limitedEnv, ctx);
+		await waitOnExecutionContext(ctx);
+		expect(res.status).toBe(429);
+		expect(res.headers.get('Retry-After')).toBe('60');
+		expect((await res.json()).code).toBe('TOO_MANY_REQUESTS');
+	});
+
+	it('does not charge tokens for a rejected JSON-RPC batch', async () => {
+		const limitedEnv = { ...memoryEnv, RATE_LIMITS: JSON.stringify({ tools: { get_problem: '5/60', list_tags: '1/60' } }) };
+		const getProblem = id => ({ jsonrpc: '2.0', id, method: 'tools/call', params: { name: 'get_problem', arguments: { problem_id: '!!' } } });
+		const listTags = id => ({ jsonrpc: '2.0', id, method: 'tools/call', params: { name: 'list_tags', arguments: { limit: 1 } } });
+		const send = async body => {
+			const ctx = createExecutionContext();
+			const res = await worker.fetch(mcpPost(body), limitedEnv, ctx);
+			await waitOnExecutionContext(ctx);
+			return res;
+		};
+
+		expect((await send([getProblem(50), listTags(51), listTags(52)])).status).toBe(429);
+
+		// get_problem's token was refunded, and the rejected list_tags calls took nothing
+		const single = await send(getProblem(53));
+		expect(single.headers.get('RateLimit-Remaining')).toBe('4');
+		expect((await parseResponse(single)).result._meta.error.code).toBe('INVALID_ID');
+		expect((await mcpJson(listTags(54), limitedEnv)).result.isError).toBeFalsy();
+	});
+
+	it('ignores tool names that collide with Object.prototype', async () => {
+		const data = await mcpJson({ jsonrpc: '2.0', id: 46, method: 'tools/call', params: { name: 'toString', arguments: {} } }, memoryEnv);
+		expect(data.result?._meta?.error?.code).not.toBe('TOO_MANY_REQUESTS');
+		expect(JSON.stringify(data)).toContain('toString');
+	});
+
+	it('applies the default limits when RATE_LIMITS is not set', async () => {
+		expect(getRateLimitConfig({})).not.toBeNull();
+
+		const problem = await get('/api/problem/bad!', memoryEnv);
+		expect(problem.headers.get('RateLimit-Limit')).toBe('60');
+		const search = await get('/api/search?difficulty=unknown', memoryEnv);
+		expect(search.status).toBe(400);
+		expect(search.headers.get('RateLimit-Policy')).toBe('20;w=60');
+	});
+
+	it('reports a missing RATE_LIMITER binding as a configuration error', async () => {
+		const res = await get('/api/problem/P1001', { ...memoryEnv, RATE_LIMIT_STORE: 'durable-object' });
+		expect(res.status).toBe(500);
+		expect(await res.json()).toEqual({
+			error: 'RATE_LIMIT_STORE=durable-object 需要配置 RATE_LIMITER Durable Object 绑定',
+			code: 'CONFIGURATION_ERROR',
+		});
+	});
+
+	it('falls back to the default limits when RATE_LIMITS is invalid', async () => {
+		for (const RATE_LIMITS of ['{not json', '[]', '{"tools": "10/60"}']) {
+			const res = await get('/api/problem/bad!', { ...memoryEnv, RATE_LIMITS });
+			expect(res.status).toBe(400);
+			expect(res.headers.get('RateLimit-Limit')).toBe('60');
+		}
+	});
+
+	it('keys buckets by API key and can keep them in a Durable Object', async () => {
+		const limiter = new RateLimiterObject({}, {});
+		const namespace = { idFromName: name => name, get: () => limiter };
+		const limitedEnv = {
+			...memoryEnv,
+			API_KEYS: 'key-a,key-b',
+			RATE_LIMITS: JSON.stringify({ default: '1/60' }),
+			RATE_LIMIT_STORE: 'durable-object',
+			RATE_LIMITER: namespace,
+		};
+		const withKey = key => ({ headers: { Authorization: `Bearer ${key}` } });
+		expect((await get('/api/problem/bad!', limitedEnv, withKey('key-a'))).status).toBe(400);
+		expect((await get('/api/problem/bad!', limitedEnv, withKey('key-a'))).status).toBe(429);
+		expect((await get('/api/problem/bad!', limitedEnv, withKey('key-b'))).status).toBe(400);
+		expect(limiter.buckets.buckets.size).toBe(2);
+	});
+});
+
+// ── Request coalescing ──────────────────────────────────────────────────────
+
+describe('Request coalescing', () => {
+	it('shares one upstream fetch between concurrent lookups of the same problem', async () => {
+		// A single one-shot mock: any second upstream request would fail
+		mockProblem('P7001');
+		const tool = { jsonrpc: '2.0', id: 40, method: 'tools/call', params: { name: 'get_problem', arguments: { problem_id: 'P7001' } } };
+		const [mcp, ...rest] = await Promise.all([
+			mcpJson(tool, memoryEnv),
+			...Array.from({ length: 4 }, () => get('/api/problem/P7001', memoryEnv)),
+		]);
+		expect(mcp.result.structuredContent.title).toBe('Title of P7001');
+		expect(rest.map(res => res.status)).toEqual([200, 200, 200, 200]);
+		expect(new Set(await Promise.all(rest.map(async res => (await res.json()).title)))).toEqual(new Set(['Title of P7001']));
+	});
+
+	it('shares failures but does not keep them', async () => {
+		fetchMock.get('https://www.luogu.com.cn').intercept({ path: '/problem/P7002' }).reply(404, 'upstream');
+		const failed = await Promise.all([get('/api/problem/P7002', memoryEnv), get('/api/problem/P7002', memoryEnv)]);
+		expect(failed.map(res => res.status)).toEqual([404, 404]);
+
+		mockProblem('P7002');
+		expect((await get('/api/problem/P7002', memoryEnv)).status).toBe(200);
+	});
+
+	it('caps concurrent upstream requests and queues the rest', async () => {
+		const cappedEnv = { ...memoryEnv, FETCH_MAX_CONCURRENCY: '1' };
+		for (const pid of ['P7003', 'P7004']) {
+			fetchMock
+				.get('https://www.luogu.com.cn')
+				.intercept({ path: `/problem/${pid}` })
+				.reply(200, problemPage({ pid, title: `Title of ${pid}`, difficulty: 1, tags: [], content: { description: 'desc' } }))
+				.delay(50);
+		}
+		const pending = Promise.all([get('/api/problem/P7003', cappedEnv), get('/api/problem/P7004', cappedEnv)]);
+		await new Promise(resolve => setTimeout(resolve, 20));
+		expect(getUpstreamLoad()).toEqual({ active: 1, queued: 1 });
+
+		expect((await pending).map(res => res.status)).toEqual([200, 200]);
+		expect(getUpstreamLoad()).toEqual({ active: 0, queued: 0 });
+	});
+});